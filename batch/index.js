@@ -0,0 +1,240 @@
+'use strict';
+
+const crypto = require('crypto');
+const { errorStatus } = require('../jobs');
+const { SEVERITIES } = require('../rules');
+
+// ---------------------------------------------------------------------------
+// Batch scans - many URLs with shared options and an aggregate summary
+// ---------------------------------------------------------------------------
+
+/**
+ * Aggregate of the finished items: average score, issues by the number of
+ * sites they occur on (the more severe first on a tie), and detected technologies
+ *
+ * @param {object} batch - Batch record
+ * @param {number} [topIssues] - Most common issues to list
+ * @returns {object} - Summary
+ */
+function summarizeBatch(batch, topIssues = 10) {
+  const done = batch.items.filter(item => item.status === 'done');
+  const issueCounts = new Map();
+  const techCounts = new Map();
+
+  for (const item of done) {
+    for (const issue of item.issues) {
+      const entry = issueCounts.get(issue.code) || { ...issue, sites: 0 };
+      entry.sites++;
+      issueCounts.set(issue.code, entry);
+    }
+
+    for (const name of item.techStack) {
+      techCounts.set(name, (techCounts.get(name) || 0) + 1);
+    }
+  }
+
+  const totalScore = done.reduce((sum, item) => sum + item.score, 0);
+
+  return {
+    total: batch.items.length,
+    done: done.length,
+    failed: batch.items.filter(item => item.status === 'failed').length,
+    pending: batch.items.filter(item => item.status === 'queued' || item.status === 'running').length,
+    averageScore: done.length > 0 ? Math.round((totalScore / done.length) * 10) / 10 : null,
+    topIssues: Array.from(issueCounts.values())
+      .sort((a, b) => b.sites - a.sites || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+      .slice(0, topIssues)
+      .map(entry => ({ ...entry, share: Math.round((entry.sites / done.length) * 100) })),
+    techStack: Array.from(techCounts, ([name, sites]) => ({ name, sites })).sort((a, b) => b.sites - a.sites),
+  };
+}
+
+/**
+ * Create the batch runner of the server. Scanning, validation and webhooks
+ * are passed in, so batches share them with single scans.
+ *
+ * @param {object} config
+ * @param {number} config.maxUrls - URLs per batch
+ * @param {number} config.concurrency - Items of a batch scanned at the same time
+ * @param {number} [config.topIssues] - Most common issues in the summary
+ * @param {function(object): object} config.parseOptions - Validates the scan options of a request body
+ * @param {function(*): string} config.parseCallbackUrl - Validates the callbackUrl option
+ * @param {function(*): string} config.normalizeUrl - Validates and normalizes one URL
+ * @param {function(string, object, string): Promise<object>} config.scan - Scans (url, options, jobId) to a /scan result
+ * @param {function(string): string|null} config.resultUrl - Where the full result of a job id can be fetched
+ * @param {function(object): void} [config.onFinish] - Called with every finished batch
+ * @returns {object} - { create, get, serialize, prune }
+ */
+function createBatchRunner({
+  maxUrls,
+  concurrency,
+  topIssues = 10,
+  parseOptions,
+  parseCallbackUrl,
+  normalizeUrl,
+  scan,
+  resultUrl,
+  onFinish = () => {},
+}) {
+  const batches = new Map();
+
+  /**
+   * Scan the items with `concurrency` workers feeding the job queue
+   */
+  async function runBatch(batch) {
+    let next = 0;
+
+    const worker = async () => {
+      while (next < batch.items.length) {
+        const item = batch.items[next++];
+        if (item.status === 'queued') {
+          await runBatchItem(batch, item);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, batch.items.length) }, worker));
+
+    batch.status = 'done';
+    batch.finishedAt = new Date().toISOString();
+
+    const summary = summarizeBatch(batch, topIssues);
+    console.log(`[Batch] Batch ${batch.id} done: ${summary.done} scanned, ${summary.failed} failed`);
+    batch.listeners.forEach(listener => listener({ type: 'summary', summary }));
+
+    onFinish(batch);
+  }
+
+  /**
+   * Scan one item. The item keeps a summary only - the full result is in the
+   * scan history under the item's job id - so a large batch doesn't hold
+   * hundreds of results (with screenshots) in memory.
+   */
+  async function runBatchItem(batch, item) {
+    item.status = 'running';
+
+    try {
+      const result = await scan(item.url, batch.options, item.jobId);
+
+      item.finalUrl = result.finalUrl;
+      item.score = result.score;
+      item.issues = Array.from(
+        new Map(result.issues.map(({ code, title, severity }) => [code, { code, title, severity }])).values()
+      );
+      item.techStack = result.techStack;
+      item.resultUrl = resultUrl(item.jobId);
+      item.status = 'done';
+    } catch (error) {
+      const message = error && error.message ? error.message : 'Scan failed';
+      item.status = 'failed';
+      item.error = { message, status: errorStatus(message) };
+    }
+
+    batch.listeners.forEach(listener => listener({ type: 'item', item }));
+  }
+
+  return {
+    /**
+     * Create a batch and start it. Invalid URLs fail as single items, not the batch.
+     * Options (rules, lang, consentInteraction, linkCheck) are validated as in /scan.
+     *
+     * @param {object} body - Request body ({ urls, callbackUrl, stream, ...options })
+     * @returns {object} - Batch record (with internal `listeners` for streaming)
+     */
+    create(body = {}) {
+      if (!Array.isArray(body.urls) || body.urls.length === 0) {
+        throw new Error('Invalid urls option. Expected a non-empty array of URLs.');
+      }
+      if (body.urls.length > maxUrls) {
+        throw new Error(`Invalid urls option. At most ${maxUrls} URLs per batch.`);
+      }
+
+      if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+        throw new Error('Invalid stream option. Expected true or false.');
+      }
+
+      const options = parseOptions(body);
+      const callbackUrl = body.callbackUrl !== undefined ? parseCallbackUrl(body.callbackUrl) : null;
+      const id = crypto.randomUUID();
+
+      const items = body.urls.map((input, index) => {
+        const item = {
+          index,
+          url: input,
+          jobId: `batch-${id}-${index}`,
+          status: 'queued',
+          finalUrl: null,
+          score: null,
+          issues: [],
+          techStack: [],
+          resultUrl: null,
+          error: null,
+        };
+
+        try {
+          item.url = normalizeUrl(input);
+        } catch (error) {
+          item.status = 'failed';
+          item.error = { message: error.message, status: errorStatus(error.message) };
+        }
+        return item;
+      });
+
+      const batch = {
+        id,
+        options,
+        callbackUrl,
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        items,
+        callback: null,
+        listeners: new Set(),
+      };
+
+      batches.set(id, batch);
+      console.log(`[Batch] Started batch ${id} with ${items.length} URLs`);
+
+      runBatch(batch).catch((error) => console.error(`[Batch] Batch ${id} failed:`, error));
+      return batch;
+    },
+
+    get(id) {
+      return batches.get(id);
+    },
+
+    /**
+     * Public representation of a batch
+     */
+    serialize(batch) {
+      return {
+        id: batch.id,
+        options: batch.options,
+        callbackUrl: batch.callbackUrl,
+        status: batch.status,
+        createdAt: batch.createdAt,
+        finishedAt: batch.finishedAt,
+        summary: summarizeBatch(batch, topIssues),
+        items: batch.items,
+        callback: batch.callback,
+      };
+    },
+
+    /**
+     * Drop batches finished more than `maxAgeMs` ago
+     */
+    prune(maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      for (const [id, batch] of batches) {
+        if (batch.finishedAt && Date.parse(batch.finishedAt) < cutoff) {
+          batches.delete(id);
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  summarizeBatch,
+  createBatchRunner,
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Consent management platforms (CMPs) - detection and banner buttons
+// ---------------------------------------------------------------------------
+
+/**
+ * `domains` are script hosts, `globals` window properties and `selectors` the
+ * banner root of a platform. `accept` / `reject` are selectors of the first-layer
+ * "accept all" / "reject all" buttons. Playwright CSS selectors pierce open
+ * shadow roots (Usercentrics renders into one).
+ */
+const CONSENT_PLATFORMS = [
+  {
+    name: 'Cookiebot',
+    domains: ['cookiebot.com', 'cookiebot.eu'],
+    globals: ['Cookiebot', 'CookieConsent'],
+    selectors: ['#CybotCookiebotDialog'],
+    accept: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+    reject: ['#CybotCookiebotDialogBodyButtonDecline'],
+  },
+  {
+    name: 'Usercentrics',
+    domains: ['usercentrics.eu'],
+    globals: ['UC_UI', 'usercentrics'],
+    selectors: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+    accept: ['[data-testid="uc-accept-all-button"]'],
+    reject: ['[data-testid="uc-deny-all-button"]'],
+  },
+  {
+    name: 'Borlabs Cookie',
+    domains: [],
+    globals: ['BorlabsCookie', 'borlabsCookieConfig'],
+    selectors: ['#BorlabsCookieBox', '#BorlabsCookieBoxWrap', '.brlbs-cmpnt-dialog'],
+    accept: ['a[data-cookie-accept-all]', '._brlbs-btn-accept-all', '.brlbs-btn-accept-all'],
+    reject: ['a[data-cookie-refuse]', '._brlbs-refuse-btn a', '.brlbs-btn-accept-only-essential'],
+  },
+  {
+    name: 'OneTrust',
+    domains: ['cookielaw.org', 'onetrust.com'],
+    globals: ['OneTrust', 'OptanonActiveGroups'],
+    selectors: ['#onetrust-banner-sdk', '#onetrust-consent-sdk'],
+    accept: ['#onetrust-accept-btn-handler'],
+    reject: ['#onetrust-reject-all-handler'],
+  },
+  {
+    name: 'CCM19',
+    domains: ['ccm19.de'],
+    globals: ['CCM'],
+    selectors: ['.ccm-root', '#ccm-widget', '.ccm-modal'],
+    accept: ['button[data-full-consent="true"]', '.ccm--save-settings[data-full-consent="true"]'],
+    reject: ['.ccm--decline-cookies'],
+  },
+  {
+    name: 'Complianz',
+    domains: [],
+    globals: ['complianz', 'cmplz_set_cookie'],
+    selectors: ['#cmplz-cookiebanner-container', '.cmplz-cookiebanner'],
+    accept: ['.cmplz-btn.cmplz-accept'],
+    reject: ['.cmplz-btn.cmplz-deny'],
+  },
+  {
+    name: 'consentmanager',
+    domains: ['consentmanager.net'],
+    globals: ['__cmp', 'cmpmngr'],
+    selectors: ['#cmpbox', '#cmpwrapper'],
+    accept: ['.cmpboxbtnyes'],
+    reject: ['.cmpboxbtnno'],
+  },
+  {
+    name: 'Didomi',
+    domains: ['privacy-center.org'],
+    globals: ['Didomi'],
+    selectors: ['#didomi-host', '#didomi-notice'],
+    accept: ['#didomi-notice-agree-button'],
+    reject: ['#didomi-notice-disagree-button'],
+  },
+  {
+    name: 'iubenda',
+    domains: ['iubenda.com'],
+    globals: ['_iub'],
+    selectors: ['#iubenda-cs-banner'],
+    accept: ['.iubenda-cs-accept-btn'],
+    reject: ['.iubenda-cs-reject-btn'],
+  },
+  {
+    name: 'Klaro',
+    domains: ['kiprotect.com'],
+    globals: ['klaro', 'klaroConfig'],
+    selectors: ['.klaro .cookie-notice', '.klaro .cookie-modal'],
+    accept: ['.klaro .cm-btn-success', '.klaro .cm-btn-accept-all'],
+    reject: ['.klaro .cn-decline', '.klaro .cm-btn-decline'],
+  },
+];
+
+/**
+ * Button texts for banners of unknown platforms (German and English)
+ */
+const ACCEPT_TEXT = /^\s*(alle[ns]? (akzeptieren|annehmen|zulassen|erlauben)|akzeptieren|zustimmen|einverstanden|accept( all)?( cookies)?|allow all|agree|i agree|ok)\s*$/i;
+const REJECT_TEXT = /^\s*(alle[ns]? ablehnen|ablehnen|nur (notwendige|essenzielle|erforderliche)( cookies)?( akzeptieren)?|reject( all)?|decline|deny|only (necessary|essential)( cookies)?|necessary only)\s*$/i;
+
+module.exports = {
+  CONSENT_PLATFORMS,
+  ACCEPT_TEXT,
+  REJECT_TEXT,
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Cookie catalog - known cookies by name
+// ---------------------------------------------------------------------------
+
+/**
+ * Purpose categories:
+ * necessary, functional, consent, analytics, marketing
+ *
+ * `pattern` matches the full cookie name. Specific entries must come before
+ * generic ones (e.g. a vendor's cookie before a generic session name).
+ */
+const COOKIES = [
+  // Google
+  { vendor: 'Google Analytics', purpose: 'analytics', pattern: /^(_ga|_ga_\w+|_gid|_gat|_gat_\w+|__utm[abcztv])$/ },
+  { vendor: 'Google Ads', purpose: 'marketing', pattern: /^(_gcl_(au|aw|dc|gs|gb)|IDE|DSID|test_cookie|__gads|__gpi|__gsas|FPGCLAW|FPGCLDC)$/ },
+  { vendor: 'YouTube', purpose: 'marketing', pattern: /^(YSC|VISITOR_INFO1_LIVE|VISITOR_PRIVACY_METADATA)$/ },
+
+  // Social / ads
+  { vendor: 'Facebook Pixel', purpose: 'marketing', pattern: /^(_fbp|_fbc|fr)$/ },
+  { vendor: 'Microsoft Advertising', purpose: 'marketing', pattern: /^(_uetsid|_uetvid|MUID|_uetmsclkid)$/ },
+  { vendor: 'LinkedIn Insight', purpose: 'marketing', pattern: /^(li_sugr|bcookie|bscookie|lidc|li_fat_id|UserMatchHistory|AnalyticsSyncHistory|li_gc)$/ },
+  { vendor: 'TikTok Pixel', purpose: 'marketing', pattern: /^(_ttp|_tt_enable_cookie|ttcsid|ttcsid_\w+)$/ },
+  { vendor: 'Pinterest Tag', purpose: 'marketing', pattern: /^(_pin_unauth|_pinterest_ct_ua|_epik)$/ },
+  { vendor: 'HubSpot', purpose: 'marketing', pattern: /^(__hstc|__hssc|__hssrc|hubspotutk)$/ },
+  { vendor: 'Criteo', purpose: 'marketing', pattern: /^(cto_bundle|cto_bidid)$/ },
+
+  // Analytics
+  { vendor: 'Hotjar', purpose: 'analytics', pattern: /^_hj\w+$/ },
+  { vendor: 'Microsoft Clarity', purpose: 'analytics', pattern: /^(_clck|_clsk|CLID|ANONCHK)$/ },
+  { vendor: 'Matomo', purpose: 'analytics', pattern: /^(_pk_(id|ses|ref|cvar|hsr)(\.\w+)*|MATOMO_SESSID)$/ },
+  { vendor: 'etracker', purpose: 'analytics', pattern: /^(et_coid|_et_coid|BT_ctst|BT_sdc|BT_pdc)$/ },
+  { vendor: 'Shopify Analytics', purpose: 'analytics', pattern: /^(_shopify_y|_shopify_s|_shopify_sa_t|_shopify_sa_p)$/ },
+
+  // Consent platforms (store the consent decision)
+  { vendor: 'Cookiebot', purpose: 'consent', pattern: /^CookieConsent(BulkSetting-.+)?$/ },
+  { vendor: 'OneTrust', purpose: 'consent', pattern: /^(OptanonConsent|OptanonAlertBoxClosed|eupubconsent-v2)$/ },
+  { vendor: 'Borlabs Cookie', purpose: 'consent', pattern: /^borlabs-cookie$/ },
+  { vendor: 'Complianz', purpose: 'consent', pattern: /^cmplz_\w+$/ },
+  { vendor: 'CCM19', purpose: 'consent', pattern: /^ccm_consent$/ },
+  { vendor: 'Usercentrics', purpose: 'consent', pattern: /^(uc_settings|uc_user_interaction)$/ },
+
+  // Necessary / functional
+  { vendor: 'Cloudflare', purpose: 'necessary', pattern: /^(__cf_bm|cf_clearance|__cflb|_cfuvid)$/ },
+  { vendor: 'Stripe', purpose: 'necessary', pattern: /^(__stripe_mid|__stripe_sid)$/ },
+  { vendor: 'WordPress', purpose: 'necessary', pattern: /^(wordpress_\w+|wordpress_logged_in_\w+|wp-settings-(time-)?\d+|wordpress_test_cookie)$/ },
+  { vendor: 'WooCommerce', purpose: 'necessary', pattern: /^(woocommerce_cart_hash|woocommerce_items_in_cart|wp_woocommerce_session_\w+)$/ },
+  { vendor: 'Shopify', purpose: 'necessary', pattern: /^(cart_sig|secure_customer_sig|_shopify_essential)$/ },
+  { vendor: null, purpose: 'necessary', pattern: /^(PHPSESSID|JSESSIONID|ASP\.NET_SessionId|laravel_session|XSRF-TOKEN|csrftoken|sessionid)$/ },
+  { vendor: 'reCAPTCHA', purpose: 'necessary', pattern: /^_GRECAPTCHA$/ },
+];
+
+/**
+ * Find the catalog entry for a cookie name
+ *
+ * @param {string} name - Cookie name
+ * @returns {object|null} - Catalog entry or null if unknown
+ */
+function classifyCookie(name) {
+  return COOKIES.find(entry => entry.pattern.test(name)) || null;
+}
+
+module.exports = {
+  COOKIES,
+  classifyCookie,
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Schema.org types - required and recommended properties
+// ---------------------------------------------------------------------------
+
+/**
+ * Common LocalBusiness subtypes (schema.org), checked like LocalBusiness
+ */
+const LOCAL_BUSINESS_TYPES = [
+  'LocalBusiness', 'AccountingService', 'Attorney', 'AutoDealer', 'AutoRepair', 'AutomotiveBusiness',
+  'Bakery', 'BarOrPub', 'BeautySalon', 'BedAndBreakfast', 'BikeStore', 'BookStore', 'CafeOrCoffeeShop',
+  'ChildCare', 'ClothingStore', 'ComputerStore', 'DaySpa', 'Dentist', 'DryCleaningOrLaundry',
+  'Electrician', 'ElectronicsStore', 'EmploymentAgency', 'EntertainmentBusiness', 'FinancialService',
+  'Florist', 'FoodEstablishment', 'FurnitureStore', 'GardenStore', 'GeneralContractor', 'HairSalon',
+  'HardwareStore', 'HealthAndBeautyBusiness', 'HealthClub', 'HomeAndConstructionBusiness',
+  'HomeGoodsStore', 'Hotel', 'HousePainter', 'HVACBusiness', 'InsuranceAgency', 'JewelryStore',
+  'LegalService', 'Locksmith', 'LodgingBusiness', 'MedicalBusiness', 'MedicalClinic', 'MovingCompany',
+  'Notary', 'NailSalon', 'Optician', 'Pharmacy', 'Physician', 'Physiotherapy', 'Plumber',
+  'ProfessionalService', 'RealEstateAgent', 'Restaurant', 'RoofingContractor', 'SelfStorage',
+  'ShoeStore', 'SportingGoodsStore', 'SportsActivityLocation', 'Store', 'TattooParlor',
+  'TaxiService', 'TireShop', 'TouristInformationCenter', 'TravelAgency', 'VeterinaryCare',
+];
+
+/**
+ * Checks per type. `required` entries are property names; an array means
+ * "at least one of". `recommended` are reported but not counted as errors.
+ */
+const SCHEMA_TYPES = {
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', ['openingHoursSpecification', 'openingHours'], 'geo', 'url', 'image'],
+  },
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', ['contactPoint', 'telephone', 'email'], 'sameAs'],
+  },
+  Product: {
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', ['sku', 'gtin', 'gtin13', 'mpn']],
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+  },
+};
+
+/**
+ * Last segment of a schema.org type ("https://schema.org/Dentist" → "Dentist")
+ */
+function normalizeSchemaType(type) {
+  return String(type).split(/[/:#]/).pop();
+}
+
+/**
+ * Catalog key a type is checked as (LocalBusiness subtypes → LocalBusiness)
+ *
+ * @param {string} type - Normalized schema.org type
+ * @returns {string|null} - Key of SCHEMA_TYPES or null if the type isn't checked
+ */
+function getSchemaCheckType(type) {
+  if (LOCAL_BUSINESS_TYPES.includes(type)) return 'LocalBusiness';
+  return SCHEMA_TYPES[type] ? type : null;
+}
+
+/**
+ * Check a structured data item against its type's required and recommended properties
+ *
+ * @param {object} item - Parsed item (JSON-LD object or Microdata item)
+ * @returns {{checkedAs, missing, missingRecommended}|null} - null for unchecked types
+ */
+function validateSchemaItem(item) {
+  const types = [].concat(item['@type'] || []).map(normalizeSchemaType);
+  const checkedAs = types.map(getSchemaCheckType).find(Boolean);
+  if (!checkedAs) return null;
+
+  const isSet = (name) => {
+    const value = item[name];
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  };
+  const missingOf = (entries) => entries
+    .filter(entry => ![].concat(entry).some(isSet))
+    .map(entry => [].concat(entry).join('|'));
+
+  const { required, recommended } = SCHEMA_TYPES[checkedAs];
+  const missing = missingOf(required);
+
+  // Every breadcrumb needs a position and a name
+  if (checkedAs === 'BreadcrumbList' && isSet('itemListElement')) {
+    const incomplete = [].concat(item.itemListElement).filter(element =>
+      !element || element.position === undefined || !(element.name || (element.item && element.item.name))
+    );
+    if (incomplete.length > 0) missing.push('itemListElement.position|name');
+  }
+
+  return { checkedAs, missing, missingRecommended: missingOf(recommended) };
+}
+
+module.exports = {
+  LOCAL_BUSINESS_TYPES,
+  SCHEMA_TYPES,
+  normalizeSchemaType,
+  validateSchemaItem,
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Third-party catalog - known external services by request host
+// ---------------------------------------------------------------------------
+
+/**
+ * Purposes that count as tracking - for third parties and cookies (see cookies.js)
+ */
+const TRACKING_PURPOSES = ['analytics', 'marketing'];
+
+/**
+ * Purpose categories:
+ * analytics, marketing, tag-manager, fonts, maps, video, social, cdn,
+ * consent, captcha, chat, payment, monitoring, other
+ *
+ * `domains` match the host itself and all subdomains. `pathPrefix` restricts
+ * an entry to matching request paths (for shared hosts like www.google.com).
+ * `outsideEU` marks services that transfer data to countries outside the EU.
+ * Specific entries must come before generic ones of the same company.
+ */
+const THIRD_PARTIES = [
+  // Google
+  { vendor: 'Google Fonts', purpose: 'fonts', outsideEU: true, domains: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+  { vendor: 'Google Maps', purpose: 'maps', outsideEU: true, domains: ['maps.googleapis.com', 'maps.gstatic.com', 'maps.google.com'] },
+  { vendor: 'Google Analytics', purpose: 'analytics', outsideEU: true, domains: ['google-analytics.com', 'analytics.google.com'] },
+  { vendor: 'Google Tag Manager', purpose: 'tag-manager', outsideEU: true, domains: ['googletagmanager.com'] },
+  { vendor: 'Google Ads', purpose: 'marketing', outsideEU: true, domains: ['doubleclick.net', 'googleadservices.com', 'googlesyndication.com'] },
+  { vendor: 'Google reCAPTCHA', purpose: 'captcha', outsideEU: true, domains: ['recaptcha.net'] },
+  { vendor: 'Google reCAPTCHA', purpose: 'captcha', outsideEU: true, domains: ['www.google.com', 'www.gstatic.com'], pathPrefix: '/recaptcha' },
+  { vendor: 'Google Hosted Libraries', purpose: 'cdn', outsideEU: true, domains: ['ajax.googleapis.com'] },
+  { vendor: 'YouTube', purpose: 'video', outsideEU: true, domains: ['youtube.com', 'youtube-nocookie.com', 'ytimg.com', 'googlevideo.com'] },
+  { vendor: 'Google', purpose: 'other', outsideEU: true, domains: ['google.com', 'gstatic.com', 'googleapis.com', 'googleusercontent.com'] },
+
+  // Social & advertising
+  { vendor: 'Facebook Pixel', purpose: 'marketing', outsideEU: true, domains: ['connect.facebook.net'] },
+  { vendor: 'Facebook Pixel', purpose: 'marketing', outsideEU: true, domains: ['www.facebook.com'], pathPrefix: '/tr' },
+  { vendor: 'Facebook', purpose: 'social', outsideEU: true, domains: ['facebook.com', 'facebook.net', 'fbcdn.net'] },
+  { vendor: 'Instagram', purpose: 'social', outsideEU: true, domains: ['instagram.com', 'cdninstagram.com'] },
+  { vendor: 'TikTok Pixel', purpose: 'marketing', outsideEU: true, domains: ['analytics.tiktok.com'] },
+  { vendor: 'TikTok', purpose: 'social', outsideEU: true, domains: ['tiktok.com', 'tiktokcdn.com', 'ttwstatic.com'] },
+  { vendor: 'LinkedIn Insight Tag', purpose: 'marketing', outsideEU: true, domains: ['snap.licdn.com', 'px.ads.linkedin.com'] },
+  { vendor: 'LinkedIn', purpose: 'social', outsideEU: true, domains: ['linkedin.com', 'licdn.com'] },
+  { vendor: 'X (Twitter)', purpose: 'social', outsideEU: true, domains: ['twitter.com', 'twimg.com', 'x.com'] },
+  { vendor: 'Pinterest', purpose: 'marketing', outsideEU: true, domains: ['pinterest.com', 'pinimg.com'] },
+  { vendor: 'Microsoft Advertising', purpose: 'marketing', outsideEU: true, domains: ['bat.bing.com'] },
+  { vendor: 'Criteo', purpose: 'marketing', outsideEU: true, domains: ['criteo.com', 'criteo.net'] },
+  { vendor: 'HubSpot', purpose: 'marketing', outsideEU: true, domains: ['hs-scripts.com', 'hs-analytics.net', 'hsforms.net', 'hubspot.com'] },
+  { vendor: 'Mailchimp', purpose: 'marketing', outsideEU: true, domains: ['list-manage.com', 'chimpstatic.com'] },
+
+  // Analytics
+  { vendor: 'Hotjar', purpose: 'analytics', outsideEU: false, domains: ['hotjar.com', 'hotjar.io'] },
+  { vendor: 'Microsoft Clarity', purpose: 'analytics', outsideEU: true, domains: ['clarity.ms'] },
+  { vendor: 'Adobe Analytics', purpose: 'analytics', outsideEU: true, domains: ['omtrdc.net', '2o7.net', 'demdex.net'] },
+  { vendor: 'Yandex Metrica', purpose: 'analytics', outsideEU: true, domains: ['mc.yandex.ru', 'mc.yandex.com'] },
+  { vendor: 'Cloudflare Web Analytics', purpose: 'analytics', outsideEU: true, domains: ['cloudflareinsights.com'] },
+  { vendor: 'Matomo Cloud', purpose: 'analytics', outsideEU: false, domains: ['matomo.cloud', 'innocraft.cloud'] },
+  { vendor: 'etracker', purpose: 'analytics', outsideEU: false, domains: ['etracker.com', 'etracker.de'] },
+  { vendor: 'Plausible', purpose: 'analytics', outsideEU: false, domains: ['plausible.io'] },
+
+  // Video
+  { vendor: 'Vimeo', purpose: 'video', outsideEU: true, domains: ['vimeo.com', 'vimeocdn.com'] },
+
+  // CDNs & fonts
+  { vendor: 'Cloudflare CDN', purpose: 'cdn', outsideEU: true, domains: ['cdnjs.cloudflare.com'] },
+  { vendor: 'jsDelivr', purpose: 'cdn', outsideEU: true, domains: ['jsdelivr.net'] },
+  { vendor: 'unpkg', purpose: 'cdn', outsideEU: true, domains: ['unpkg.com'] },
+  { vendor: 'jQuery CDN', purpose: 'cdn', outsideEU: true, domains: ['code.jquery.com'] },
+  { vendor: 'BootstrapCDN', purpose: 'cdn', outsideEU: true, domains: ['bootstrapcdn.com'] },
+  { vendor: 'Amazon CloudFront', purpose: 'cdn', outsideEU: true, domains: ['cloudfront.net'] },
+  { vendor: 'Font Awesome', purpose: 'fonts', outsideEU: true, domains: ['fontawesome.com'] },
+  { vendor: 'Adobe Fonts', purpose: 'fonts', outsideEU: true, domains: ['typekit.net'] },
+
+  // Consent management
+  { vendor: 'Cookiebot', purpose: 'consent', outsideEU: false, domains: ['cookiebot.com', 'cookiebot.eu'] },
+  { vendor: 'Usercentrics', purpose: 'consent', outsideEU: false, domains: ['usercentrics.eu'] },
+  { vendor: 'OneTrust', purpose: 'consent', outsideEU: true, domains: ['cookielaw.org', 'onetrust.com'] },
+  { vendor: 'CCM19', purpose: 'consent', outsideEU: false, domains: ['ccm19.de'] },
+  { vendor: 'consentmanager', purpose: 'consent', outsideEU: false, domains: ['consentmanager.net'] },
+  { vendor: 'Didomi', purpose: 'consent', outsideEU: false, domains: ['privacy-center.org'] },
+  { vendor: 'iubenda', purpose: 'consent', outsideEU: false, domains: ['iubenda.com'] },
+
+  // Chat, payment, monitoring, other
+  { vendor: 'Intercom', purpose: 'chat', outsideEU: true, domains: ['intercom.io', 'intercomcdn.com'] },
+  { vendor: 'tawk.to', purpose: 'chat', outsideEU: true, domains: ['tawk.to'] },
+  { vendor: 'Zendesk', purpose: 'chat', outsideEU: true, domains: ['zdassets.com', 'zendesk.com'] },
+  { vendor: 'Userlike', purpose: 'chat', outsideEU: false, domains: ['userlike.com'] },
+  { vendor: 'Stripe', purpose: 'payment', outsideEU: true, domains: ['stripe.com', 'stripe.network'] },
+  { vendor: 'PayPal', purpose: 'payment', outsideEU: true, domains: ['paypal.com', 'paypalobjects.com'] },
+  { vendor: 'Sentry', purpose: 'monitoring', outsideEU: true, domains: ['sentry.io', 'sentry-cdn.com'] },
+  { vendor: 'New Relic', purpose: 'monitoring', outsideEU: true, domains: ['nr-data.net', 'newrelic.com'] },
+  { vendor: 'Calendly', purpose: 'other', outsideEU: true, domains: ['calendly.com'] },
+  { vendor: 'Trustpilot', purpose: 'other', outsideEU: false, domains: ['trustpilot.com', 'trustpilot.net'] },
+];
+
+/**
+ * Find the catalog entry for a request URL
+ *
+ * @param {string} hostname - Request host
+ * @param {string} [pathname] - Request path (for entries with pathPrefix)
+ * @returns {object|null} - Catalog entry or null if unknown
+ */
+function classifyThirdParty(hostname, pathname = '/') {
+  const host = hostname.toLowerCase();
+
+  return (
+    THIRD_PARTIES.find(entry =>
+      entry.domains.some(domain => host === domain || host.endsWith(`.${domain}`)) &&
+      (!entry.pathPrefix || pathname.startsWith(entry.pathPrefix))
+    ) || null
+  );
+}
+
+module.exports = {
+  THIRD_PARTIES,
+  TRACKING_PURPOSES,
+  classifyThirdParty,
+};
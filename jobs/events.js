@@ -0,0 +1,120 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Job progress events - replay buffer and Server-Sent Events streams
+// ---------------------------------------------------------------------------
+
+const MAX_JOB_EVENTS = 200;      // Latest progress events a running job keeps for replays
+const SSE_HEARTBEAT_MS = 15_000; // Keep-alive comments on progress streams (proxies drop idle connections)
+
+/**
+ * A job takes part in progress events with these fields:
+ * - events:     replay buffer (see emitJobEvent)
+ * - eventCount: id of the latest event
+ * - finalEventId: id of the result or failed event, null until the job is finished
+ * - listeners:  Set of open streams, called with every event
+ * - status, result, error: to build the final event of a finished job
+ */
+
+/**
+ * Whether an event ends the progress stream
+ */
+function isFinalEvent(type) {
+  return type === 'result' || type === 'failed';
+}
+
+/**
+ * Record a progress event of a job and pass it to the open streams.
+ * A running job keeps its latest MAX_JOB_EVENTS events for late subscribers.
+ * The final event is not kept - replays build it from job.result / job.error -
+ * and the buffer is dropped once the job is finished. Events after the final
+ * one (e.g. from a run that goes on after its job timed out) are ignored.
+ *
+ * @param {object} job - Job record
+ * @param {string} type - queued, started, phase, page, links, warning, issue, result or failed
+ * @param {object} data - Event payload
+ */
+function emitJobEvent(job, type, data) {
+  if (job.finalEventId) return;
+
+  const event = { id: ++job.eventCount, type, data };
+
+  if (isFinalEvent(type)) {
+    job.finalEventId = event.id;
+    job.events = [];
+  } else {
+    job.events.push(event);
+    if (job.events.length > MAX_JOB_EVENTS) job.events.shift();
+  }
+  job.listeners.forEach(listener => listener(event));
+}
+
+/**
+ * Stream a job's progress events as Server-Sent Events, starting after
+ * the Last-Event-ID header on reconnects. Ends after `result` or `failed`.
+ */
+function streamJobEvents(job, req, res) {
+  const lastEventId = Number(req.get('last-event-id')) || 0;
+  const finished = job.status === 'done' || job.status === 'failed';
+
+  // The client already has the final event - 204 stops EventSource from reconnecting
+  if (finished && lastEventId >= job.eventCount) {
+    res.status(204).end();
+    return;
+  }
+
+  res.status(200).set({
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(send);
+    res.end();
+  };
+
+  function send(event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (isFinalEvent(event.type)) {
+      close();
+      return true;
+    }
+    return false;
+  }
+
+  // A finished job only has its final event left
+  if (finished) {
+    send(job.status === 'done'
+      ? { id: job.eventCount, type: 'result', data: job.result }
+      : { id: job.eventCount, type: 'failed', data: job.error });
+    return;
+  }
+
+  for (const event of job.events) {
+    if (event.id > lastEventId) send(event);
+  }
+
+  job.listeners.add(send);
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', close);
+}
+
+/**
+ * Whether the client asked for a progress stream instead of a JSON response
+ */
+function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+module.exports = {
+  MAX_JOB_EVENTS,
+  isFinalEvent,
+  emitJobEvent,
+  streamJobEvents,
+  wantsEventStream,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+const { emitJobEvent } = require('./events');
+
+// ---------------------------------------------------------------------------
+// Job queue - scans and harvests run here with bounded concurrency
+// ---------------------------------------------------------------------------
+
+/**
+ * Map an error message to an HTTP status code
+ * (400 for invalid input, 403 when robots.txt blocks a polite harvest,
+ * 502 for unreachable sites, 500 otherwise)
+ */
+function errorStatus(message) {
+  const isUserError =
+    message.includes('URL is required') ||
+    message.includes('Invalid URL') ||
+    /^Invalid \w+ option/.test(message) ||
+    message.includes('Only HTTP/HTTPS protocols are allowed.');
+
+  return isUserError
+    ? 400
+    : message.includes('blocked by robots.txt')
+    ? 403
+    : message.includes('unreachable') || message.includes('timeout')
+    ? 502
+    : 500;
+}
+
+/**
+ * A job type implements:
+ * - run(job, signal):        the work, resolving to the job's result. The signal
+ *                            aborts when the job timed out.
+ * - onDone(job, result):     optional, awaited before the job counts as done
+ * - timeoutMs(job):          time budget of the job
+ * - timeoutMessage(seconds): error message of a timed-out job
+ * - logTag:                  console prefix for failures
+ */
+
+/**
+ * Create a job queue. Jobs are validated by the caller; the queue runs at
+ * most `concurrency` of them at a time, in order.
+ *
+ * A timed-out job fails at once, but keeps its worker slot until the run has
+ * actually stopped - the abort signal closes its browser contexts.
+ *
+ * @param {object} config
+ * @param {object} config.types - Job types by name
+ * @param {number} config.concurrency - Max jobs running at the same time
+ * @param {function(object): void} [config.onFinish] - Called with every finished job (after its final event)
+ * @returns {object} - Queue
+ */
+function createJobQueue({ types, concurrency, onFinish = () => {} }) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  /**
+   * Start queued jobs while worker slots are free
+   */
+  function processQueue() {
+    while (running < concurrency && waiting.length > 0) {
+      runJob(waiting.shift());
+    }
+  }
+
+  /**
+   * Fail with the job type's timeout message (and abort the run) once the budget is spent
+   */
+  function raceTimeout(run, job, controller) {
+    const jobType = types[job.type];
+    const timeoutMs = jobType.timeoutMs(job);
+    let timeoutId;
+
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new Error(jobType.timeoutMessage(timeoutMs / 1000)));
+      }, timeoutMs);
+    });
+
+    return Promise.race([run, timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  /**
+   * Run a single job and record its outcome
+   */
+  async function runJob(job) {
+    const jobType = types[job.type];
+    const controller = new AbortController();
+
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[JobQueue] Running ${job.type} job ${job.id}`);
+    emitJobEvent(job, 'started', { startedAt: job.startedAt });
+
+    // Settles asynchronously even if run() throws synchronously
+    const run = Promise.resolve().then(() => jobType.run(job, controller.signal));
+    run.catch(() => {}).finally(() => {
+      if (controller.signal.aborted) {
+        console.log(`[JobQueue] ${job.type} job ${job.id} stopped after timeout`);
+      }
+      running--;
+      processQueue();
+    });
+
+    try {
+      const result = await raceTimeout(run, job, controller);
+      if (jobType.onDone) await jobType.onDone(job, result);
+      job.status = 'done';
+      job.result = result;
+      job.resolve(result);
+    } catch (error) {
+      console.error(`${jobType.logTag} Job ${job.id} failed:`, error);
+
+      const message = error && error.message ? error.message : `${job.type} failed`;
+      job.status = 'failed';
+      job.error = { message, status: errorStatus(message) };
+      job.reject(error);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+
+      // The final event of every progress stream
+      if (job.status === 'done') {
+        emitJobEvent(job, 'result', job.result);
+      } else {
+        emitJobEvent(job, 'failed', job.error);
+      }
+
+      onFinish(job);
+    }
+  }
+
+  return {
+    /**
+     * Create a job and put it into the queue
+     *
+     * @param {object} fields - { id, type, url, options, callbackUrl }
+     * @returns {object} - Job record (with internal `promise` resolving to the result)
+     */
+    enqueue({ id, type, url, options, callbackUrl = null }) {
+      if (jobs.has(id)) {
+        throw new Error(`Job ${id} already exists.`);
+      }
+
+      const job = {
+        id,
+        type,
+        url,
+        options,
+        callbackUrl,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        callback: null,
+        events: [],
+        eventCount: 0,
+        finalEventId: null,
+        listeners: new Set(),
+      };
+
+      job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+      // Synchronous callers attach their own handlers; avoid unhandled rejections for polled jobs
+      job.promise.catch(() => {});
+
+      jobs.set(id, job);
+      waiting.push(job);
+      console.log(`[JobQueue] Queued ${type} job ${id} for ${url} (${waiting.length} waiting, ${running} running)`);
+      emitJobEvent(job, 'queued', { jobId: id, type, url, queuePosition: waiting.length });
+
+      processQueue();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id);
+    },
+
+    /**
+     * Forget a job record (a running job still finishes)
+     */
+    delete(id) {
+      return jobs.delete(id);
+    },
+
+    /**
+     * Public representation of a job (without internal promise handles)
+     */
+    serialize(job) {
+      const position = waiting.indexOf(job);
+
+      return {
+        id: job.id,
+        type: job.type,
+        url: job.url,
+        options: job.options,
+        callbackUrl: job.callbackUrl,
+        status: job.status,
+        queuePosition: position >= 0 ? position + 1 : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        result: job.result,
+        error: job.error,
+        callback: job.callback,
+      };
+    },
+
+    /**
+     * Drop jobs finished more than `maxAgeMs` ago
+     */
+    prune(maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      for (const [id, job] of jobs) {
+        if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+          jobs.delete(id);
+        }
+      }
+    },
+
+    stats() {
+      return { running, queued: waiting.length, concurrency };
+    },
+  };
+}
+
+module.exports = {
+  errorStatus,
+  createJobQueue,
+};
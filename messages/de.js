@@ -0,0 +1,433 @@
+'use strict';
+
+// Link checker errors (see checkLink in server.js)
+const LINK_ERRORS = {
+  timeout: 'Zeitüberschreitung',
+  dns: 'Domain nicht gefunden',
+  'redirect-loop': 'Weiterleitungsschleife',
+  'too-many-redirects': 'zu viele Weiterleitungen',
+  connection: 'Verbindungsfehler',
+};
+
+const linkList = (links) => links
+  .map(link => `${link.url} (${link.error === 'http' ? `HTTP ${link.status}` : LINK_ERRORS[link.error]}, auf ${link.page})`)
+  .join(', ');
+
+/**
+ * German issue texts, keyed by issue code (= rule id unless a rule says otherwise)
+ */
+module.exports = {
+  'no-https': {
+    title: 'Keine SSL-Verschlüsselung',
+    message: 'Webseite ist nicht verschlüsselt (kein HTTPS). Dies ist unsicher und schadet dem Vertrauen.',
+    remediation: 'SSL-Zertifikat einrichten (z. B. kostenlos über Let\'s Encrypt beim Hoster) und alle Seiten über HTTPS ausliefern.',
+  },
+  'tls-certificate-invalid': {
+    title: 'SSL-Zertifikat ungültig',
+    message: (p) => `Das SSL-Zertifikat wird von Browsern nicht akzeptiert (${p.error}). Besucher sehen eine Sicherheitswarnung statt der Website.`,
+    remediation: 'Ein gültiges Zertifikat einer anerkannten Zertifizierungsstelle mit vollständiger Zertifikatskette installieren.',
+  },
+  'tls-certificate-expired': {
+    title: 'SSL-Zertifikat abgelaufen',
+    message: (p) => `Das SSL-Zertifikat${p.issuer ? ` von ${p.issuer}` : ''} ist seit ${p.days} Tagen abgelaufen (${new Date(p.validTo).toLocaleDateString('de-DE')}). Besucher sehen eine Sicherheitswarnung statt der Website.`,
+    remediation: 'Zertifikat sofort erneuern und die automatische Verlängerung beim Hoster einrichten.',
+  },
+  'tls-certificate-expiring': {
+    title: 'SSL-Zertifikat läuft bald ab',
+    message: (p) => `Das SSL-Zertifikat${p.issuer ? ` von ${p.issuer}` : ''} läuft in ${p.days} Tagen ab (${new Date(p.validTo).toLocaleDateString('de-DE')}). Prüfen Sie die automatische Verlängerung.`,
+    remediation: 'Automatische Verlängerung prüfen oder das Zertifikat rechtzeitig manuell erneuern.',
+  },
+  'tls-certificate-names': {
+    title: 'SSL-Zertifikat deckt nicht alle Adressen ab',
+    message: (p) => `Das SSL-Zertifikat gilt nicht für ${p.hosts}. Wer diese Adresse aufruft, sieht eine Sicherheitswarnung.`,
+    remediation: 'Zertifikat neu ausstellen, das alle Adressen (mit und ohne www) enthält.',
+  },
+  'tls-protocol-outdated': {
+    title: 'Veraltetes TLS-Protokoll',
+    message: (p) => `Der Server verwendet ${p.protocol}. Diese Version gilt als unsicher und wird von aktuellen Browsern blockiert. Mindestens TLS 1.2 ist erforderlich.`,
+    remediation: 'TLS 1.0/1.1 in der Serverkonfiguration abschalten und TLS 1.2 sowie 1.3 aktivieren.',
+  },
+  'http-redirect-missing': {
+    title: 'Keine Weiterleitung auf HTTPS',
+    message: (p) => `${p.url} leitet nicht auf HTTPS weiter (Ziel: ${p.finalUrl}). Besucher, die die Adresse ohne https eingeben, surfen unverschlüsselt.`,
+    remediation: 'Alle http://-Aufrufe per 301-Weiterleitung auf die https://-Adresse umleiten.',
+  },
+  'http-redirect-not-permanent': {
+    title: 'HTTPS-Weiterleitung nicht dauerhaft',
+    message: (p) => `Die Weiterleitung von HTTP auf HTTPS nutzt Status ${p.statuses} statt 301. Suchmaschinen behandeln sie als vorübergehend.`,
+    remediation: 'Die Weiterleitung von HTTP auf HTTPS als 301 (oder 308) statt 302/307 einrichten.',
+  },
+  'http-redirect-chain': {
+    title: 'Weiterleitungskette auf HTTPS',
+    message: (p) => `HTTP wird erst nach ${p.count} Weiterleitungen auf HTTPS umgeleitet: ${p.chain}. Eine direkte Weiterleitung ist schneller.`,
+    remediation: 'Direkt in einem Schritt von http:// auf die endgültige https://-Adresse weiterleiten.',
+  },
+  'viewport-missing': {
+    title: 'Nicht mobile-optimiert',
+    message: 'Kein responsiver Viewport-Meta-Tag gefunden. Webseite ist nicht für Mobilgeräte optimiert.',
+    remediation: '<meta name="viewport" content="width=device-width, initial-scale=1"> in den <head> aufnehmen.',
+  },
+  'mobile-viewport-ineffective': {
+    title: 'Viewport-Tag wirkungslos',
+    message: (p) => `Ein Viewport-Meta-Tag ist vorhanden ('${p.content}'), aber auf dem Smartphone wird trotzdem die Desktop-Breite dargestellt statt ${p.deviceWidth}px. Besucher müssen zoomen.`,
+    remediation: 'Den Viewport auf width=device-width setzen und feste Seitenbreiten im CSS entfernen.',
+  },
+  'mobile-horizontal-overflow': {
+    title: 'Seite breiter als das Smartphone',
+    message: (p) => `Der Inhalt ist ${p.documentWidth}px breit, der Bildschirm nur ${p.viewportWidth}px. Besucher müssen seitlich scrollen. Betroffen: ${p.elements || 'unbekannt'}`,
+    remediation: 'Die genannten Elemente mit max-width: 100% bzw. flexiblen Breiten an schmale Bildschirme anpassen.',
+  },
+  'mobile-tap-targets': {
+    title: 'Schaltflächen zu klein für Touch',
+    message: (p) => `${p.count} von ${p.total} Links und Buttons sind kleiner als 44x44px und auf dem Smartphone schwer zu treffen. Beispiele: ${p.examples}`,
+    remediation: 'Buttons und Links auf mindestens 44 × 44 Pixel vergrößern oder mehr Abstand zwischen ihnen lassen.',
+  },
+  'mobile-font-size': {
+    title: 'Text auf dem Smartphone zu klein',
+    message: (p) => `${p.percentage}% des Textes sind auf dem Smartphone kleiner als 12px (kleinste Schrift: ${p.size}px). Der Text ist ohne Zoomen kaum lesbar.`,
+    remediation: 'Fließtext auf Mobilgeräten mit mindestens 16 Pixel Schriftgröße darstellen.',
+  },
+  'legal-placeholders': {
+    title: 'Rechtstexte unvollständig',
+    message: (p) => `Rechtstexte unvollständig (Platzhalter '${p.match}' gefunden). Die Website verwendet noch Template-Placeholder und ist nicht fertiggestellt.`,
+    remediation: 'Platzhalter im Impressum durch die echten Angaben (Name, Anschrift, Kontakt, Register) ersetzen.',
+  },
+  'impressum-missing': {
+    title: 'Impressum fehlt',
+    message: 'Kein Impressum-Link gefunden. Dies ist in Deutschland gesetzlich vorgeschrieben (§5 TMG)!',
+    remediation: 'Ein Impressum nach § 5 DDG anlegen und von jeder Seite aus verlinken (üblich im Footer).',
+  },
+  'datenschutz-missing': {
+    title: 'Datenschutzerklärung fehlt',
+    message: 'Kein Datenschutz-Link gefunden. DSGVO-Verstoß!',
+    remediation: 'Eine Datenschutzerklärung nach Art. 13 DSGVO anlegen und von jeder Seite aus verlinken.',
+  },
+  'google-fonts': {
+    title: 'Google Fonts werden illegal geladen',
+    message: 'Ihre Seite lädt Schriften direkt von US-Servern. Das verstößt gegen die DSGVO (EuGH-Urteil). Schriftarten sollten lokal gehostet werden.',
+    remediation: 'Die Schriftarten herunterladen und vom eigenen Server ausliefern (z. B. mit dem google-webfonts-helper).',
+  },
+  'google-maps': {
+    title: 'Google Maps ohne Consent',
+    message: 'Google Maps wird ohne Consent-Management eingebunden. Möglicher DSGVO-Verstoß.',
+    remediation: 'Die Karte erst nach Einwilligung laden (Zwei-Klick-Lösung oder Consent-Tool) oder ein statisches Bild verlinken.',
+  },
+  'google-analytics': {
+    title: 'Google Analytics erkannt',
+    message: 'Google Analytics erkannt. Stellen Sie sicher, dass ein Cookie-Banner aktiv ist.',
+    remediation: 'Google Analytics erst nach Einwilligung über das Consent-Tool laden oder eine cookielose EU-Alternative nutzen.',
+  },
+  'third-party-outside-eu': {
+    title: 'Drittanbieter außerhalb der EU',
+    message: (p) => `Die Seite kontaktiert ${p.count} Dienste mit Datenübermittlung außerhalb der EU, bevor eine Einwilligung vorliegt: ${p.vendors}. Dabei wird u.a. die IP-Adresse der Besucher übertragen.`,
+    remediation: 'Die Dienste erst nach Einwilligung laden, EU-Alternativen prüfen und die Dienste in der Datenschutzerklärung nennen.',
+  },
+  'consent-banner-missing': {
+    title: 'Kein Cookie-Banner',
+    message: (p) => `Die Seite setzt Tracking oder Drittanbieter-Cookies ein, zeigt aber kein Cookie-Banner: ${p.sources}. Dafür ist eine Einwilligung der Besucher erforderlich (§ 25 TDDDG, DSGVO).`,
+    remediation: 'Ein Consent-Tool einbinden, das Tracking und Drittanbieter-Cookies erst nach Einwilligung zulässt.',
+  },
+  'tracking-before-consent': {
+    title: 'Tracking vor Einwilligung',
+    message: (p) => `${p.count} Tracking-Dienste werden geladen, bevor im Cookie-Banner zugestimmt wurde: ${p.vendors}. Tracking darf erst nach der Einwilligung starten.`,
+    remediation: 'Die Tracking-Skripte im Consent-Tool blockieren, sodass sie erst nach „Alle akzeptieren" geladen werden.',
+  },
+  'consent-no-reject': {
+    title: 'Keine Ablehnen-Option im Cookie-Banner',
+    message: 'Das Cookie-Banner bietet „Alle akzeptieren“, aber keine gleichwertige Möglichkeit, abzulehnen. Ablehnen muss so einfach sein wie Zustimmen.',
+    remediation: 'Einen gleichwertigen „Alle ablehnen"-Button auf der ersten Ebene des Banners ergänzen.',
+  },
+  'tracking-after-reject': {
+    title: 'Tracking trotz Ablehnung',
+    message: (p) => `Nach „Alle ablehnen“ werden weiterhin Tracking-Dienste geladen oder Drittanbieter-Cookies gesetzt: ${p.sources}. Die Ablehnung wird nicht umgesetzt.`,
+    remediation: 'Die Konfiguration des Consent-Tools korrigieren, sodass nach „Ablehnen" keine Tracker und Cookies geladen werden.',
+  },
+  'cookie-long-lived-tracking': {
+    title: 'Tracking-Cookies mit langer Laufzeit',
+    message: (p) => `${p.count} Tracking-Cookies laufen länger als 13 Monate: ${p.cookies.map(c => `${c.name} (${c.vendor}, ${c.lifetimeDays} Tage)`).join(', ')}. Einwilligungen sollten regelmäßig erneuert werden.`,
+    remediation: 'Die Laufzeit der Tracking-Cookies in der Tool-Konfiguration auf höchstens 13 Monate begrenzen.',
+  },
+  'deprecated-html': {
+    title: 'Veraltete Technik (HTML4)',
+    message: (p) => {
+      const details = [];
+      if (p.tags.font > 0) details.push(`<font> Tags (${p.tags.font})`);
+      if (p.tags.center > 0) details.push(`<center> Tags (${p.tags.center})`);
+      if (p.tags.marquee > 0) details.push(`<marquee> Tags (${p.tags.marquee})`);
+      if (p.tags.frameset > 0) details.push(`<frameset> Tags (${p.tags.frameset})`);
+      if (p.tags.tableLayout > 0) details.push(`Tabellen-Layout (${p.tags.tableLayout})`);
+      return `Diese Seite ist technisch auf dem Stand von vor 10+ Jahren. Gefunden: ${details.join(', ')}. Diese Technik wird seit 2010 nicht mehr empfohlen.`;
+    },
+    remediation: 'Veraltete Tags (<font>, <center>, <marquee>) durch CSS ersetzen – meist ist ein Relaunch sinnvoll.',
+  },
+  'score-capped': {
+    title: (p) => `Score auf ${p.max} begrenzt`,
+    message: (p) => `Aufgrund der veralteten HTML-Technik wurde der Score auf maximal ${p.max} Punkte begrenzt. Eine technische Überarbeitung ist dringend empfohlen.`,
+    remediation: 'Die veraltete Technik modernisieren – erst dann ist eine bessere Bewertung möglich.',
+  },
+  'javascript-errors': {
+    title: 'JavaScript-Fehler erkannt',
+    message: (p) => `${p.count} JavaScript-Fehler während des Ladens erkannt. Funktionen der Seite könnten defekt sein. Beispiele: ${p.samples || 'Siehe Browser-Konsole'}`,
+    remediation: 'Die Fehlermeldungen in der Browser-Konsole prüfen und die verursachenden Skripte korrigieren oder entfernen.',
+  },
+  'tiny-fonts': {
+    title: 'Schriftgröße zu klein',
+    message: (p) => `Schriftgröße ist zu klein (${p.size}px gefunden). Empfohlen sind mindestens 14-16px für gute Lesbarkeit auf Mobilgeräten.`,
+    remediation: 'Die Schriftgröße für Text auf mindestens 14, besser 16 Pixel erhöhen.',
+  },
+  'broken-resources': {
+    title: 'Defekte Ressourcen',
+    message: (p) => `${p.count} Ressourcen konnten nicht geladen werden (404 Fehler). Typen: ${p.types}. Beispiele: ${p.examples}`,
+    remediation: 'Die fehlenden Dateien wiederherstellen oder die Verweise darauf entfernen.',
+  },
+  'broken-links-internal': {
+    title: 'Defekte interne Links',
+    message: (p) => `${p.count} Links auf eigene Seiten führen ins Leere, z. B. ${linkList(p.links)}. Besucher landen auf Fehlerseiten und Suchmaschinen verschwenden Crawl-Budget.`,
+    remediation: 'Die Links auf die richtige Seite korrigieren oder für entfernte Seiten 301-Weiterleitungen einrichten.',
+  },
+  'broken-links-external': {
+    title: 'Defekte externe Links',
+    message: (p) => `${p.count} Links auf andere Websites funktionieren nicht mehr, z. B. ${linkList(p.links)}.`,
+    remediation: 'Die Links auf die neue Adresse aktualisieren oder entfernen.',
+  },
+  'mixed-content': {
+    title: 'Unsichere Inhalte (Mixed Content)',
+    message: (p) => `${p.count} Ressourcen werden über unsicheres HTTP geladen, obwohl die Seite HTTPS nutzt. Das grüne Schloss im Browser verschwindet. Typen: ${p.types}`,
+    remediation: 'Alle Ressourcen über https:// einbinden (oder protokollrelativ) und http://-Adressen im Inhalt ersetzen.',
+  },
+  'cookie-insecure': {
+    title: 'Cookies ohne Secure-Flag',
+    message: (p) => `${p.count} Cookies der Website werden ohne Secure-Flag gesetzt und können auch über unverschlüsseltes HTTP übertragen werden: ${p.names}`,
+    remediation: 'Die Cookies mit dem Attribut Secure setzen (Server- bzw. CMS-Konfiguration).',
+  },
+  'hsts-missing': {
+    title: 'HSTS fehlt',
+    message: 'Der Header Strict-Transport-Security fehlt. Browser könnten die Seite weiterhin unverschlüsselt über HTTP aufrufen.',
+    remediation: 'Den Header Strict-Transport-Security: max-age=31536000; includeSubDomains senden.',
+  },
+  'hsts-weak': {
+    title: 'HSTS unvollständig',
+    message: (p) => {
+      const gaps = [];
+      if (p.shortMaxAge) gaps.push(`max-age nur ${p.maxAgeDays} Tage (empfohlen: mindestens 1 Jahr)`);
+      if (!p.includeSubDomains) gaps.push('includeSubDomains fehlt');
+      if (!p.preload) gaps.push('preload fehlt');
+      return `Der HSTS-Header ist schwach konfiguriert: ${gaps.join(', ')}.`;
+    },
+    remediation: 'max-age auf mindestens ein Jahr (31536000) erhöhen und includeSubDomains sowie preload ergänzen.',
+  },
+  'csp-missing': {
+    title: 'Content-Security-Policy fehlt',
+    message: (p) => p.reportOnly
+      ? 'Die Content-Security-Policy ist nur im Report-Only-Modus aktiv und schützt nicht vor eingeschleusten Skripten (XSS).'
+      : 'Es ist keine Content-Security-Policy gesetzt. Eingeschleuste Skripte (XSS) werden vom Browser nicht blockiert.',
+    remediation: 'Eine Content-Security-Policy erarbeiten, zunächst als Report-Only testen und dann aktiv schalten.',
+  },
+  'clickjacking-protection-missing': {
+    title: 'Kein Schutz vor Clickjacking',
+    message: 'Weder X-Frame-Options noch CSP frame-ancestors sind gesetzt. Fremde Seiten können die Website unsichtbar einbetten und Klicks abfangen.',
+    remediation: 'Den Header X-Frame-Options: SAMEORIGIN oder die CSP-Direktive frame-ancestors \'self\' senden.',
+  },
+  'content-type-options-missing': {
+    title: 'X-Content-Type-Options fehlt',
+    message: 'Der Header „X-Content-Type-Options: nosniff“ fehlt. Browser könnten Dateien als ausführbare Skripte interpretieren.',
+    remediation: 'Den Header X-Content-Type-Options: nosniff senden.',
+  },
+  'referrer-policy-missing': {
+    title: 'Referrer-Policy fehlt',
+    message: 'Es ist keine Referrer-Policy gesetzt. Beim Klick auf externe Links können Seitenadressen an Dritte übertragen werden.',
+    remediation: 'Den Header Referrer-Policy: strict-origin-when-cross-origin senden.',
+  },
+  'referrer-policy-unsafe': {
+    title: 'Unsichere Referrer-Policy',
+    message: 'Die Referrer-Policy „unsafe-url“ überträgt die vollständige Adresse jeder Seite an Dritte, auch von HTTPS zu HTTP.',
+    remediation: 'Referrer-Policy auf strict-origin-when-cross-origin statt unsafe-url setzen.',
+  },
+  'permissions-policy-missing': {
+    title: 'Permissions-Policy fehlt',
+    message: 'Es ist keine Permissions-Policy gesetzt, die Browser-Funktionen wie Kamera, Mikrofon oder Standort für eingebettete Inhalte einschränkt.',
+    remediation: 'Einen Permissions-Policy-Header senden, der ungenutzte Funktionen (Kamera, Mikrofon, Standort) abschaltet.',
+  },
+  'server-version-disclosure': {
+    title: 'Server-Software wird offengelegt',
+    message: (p) => `Die Antwort-Header verraten eingesetzte Software und Versionen: ${p.headers}. Angreifer können gezielt nach bekannten Sicherheitslücken suchen.`,
+    remediation: 'Versionsangaben in Server- und X-Powered-By-Headern abschalten (z. B. server_tokens off, expose_php = Off).',
+  },
+  'slow-server-response': {
+    title: 'Server antwortet langsam',
+    message: (p) => `Der Server braucht ${p.ms} ms bis zum ersten Byte. Empfohlen sind unter 800 ms - oft hilft besseres Hosting oder Caching.`,
+    remediation: 'Seiten-Caching aktivieren, Datenbankabfragen optimieren oder einen schnelleren Hoster wählen.',
+  },
+  'slow-lcp': {
+    title: 'Hauptinhalt lädt langsam (LCP)',
+    message: (p) => `Der größte sichtbare Inhalt erscheint erst nach ${p.seconds} Sekunden (Largest Contentful Paint). Google empfiehlt unter 2,5 Sekunden - langsame Seiten verlieren Besucher und Ranking.`,
+    remediation: 'Das größte Element (meist das Titelbild) komprimieren, vorladen und nicht per Lazy Loading verzögern.',
+  },
+  'layout-shift': {
+    title: 'Inhalte springen beim Laden (CLS)',
+    message: (p) => `Elemente verschieben sich beim Laden (Cumulative Layout Shift: ${p.cls}). Google empfiehlt unter 0,1. Besucher klicken dadurch leicht daneben.`,
+    remediation: 'Bildern, Videos und Werbeflächen feste Maße (width/height) geben und Inhalte nicht nachträglich oberhalb einfügen.',
+  },
+  'blocking-time': {
+    title: 'Seite reagiert verzögert (TBT)',
+    message: (p) => `JavaScript blockiert den Browser für ${p.ms} ms (${p.longTasks} lange Tasks). Die Seite reagiert in dieser Zeit nicht auf Klicks. Empfohlen sind unter 200 ms.`,
+    remediation: 'JavaScript reduzieren, aufteilen und mit defer laden; unnötige Drittanbieter-Skripte entfernen.',
+  },
+  'page-weight': {
+    title: 'Seite zu groß',
+    message: (p) => `Beim Laden werden ${p.megabytes} MB übertragen. Empfohlen sind unter 3 MB - auf Mobilfunk dauert das lange. Größte Dateien: ${p.largest}`,
+    remediation: 'Bilder komprimieren und in WebP/AVIF ausliefern, ungenutzte Skripte und Schriften entfernen.',
+  },
+  'too-many-requests': {
+    title: 'Zu viele Anfragen',
+    message: (p) => `Die Seite lädt ${p.count} einzelne Dateien. Viele Anfragen verlangsamen den Seitenaufbau, besonders auf Mobilgeräten.`,
+    remediation: 'Dateien bündeln, ungenutzte Plugins und Drittanbieter-Skripte entfernen und Bilder per Lazy Loading laden.',
+  },
+  'redirect-chain-long': {
+    title: 'Lange Weiterleitungskette',
+    message: (p) => `Die Seite ist erst nach ${p.count} Weiterleitungen erreichbar: ${p.chain}. Jede Weiterleitung kostet Ladezeit und kann Ranking-Signale abschwächen.`,
+    remediation: 'Links und Weiterleitungen direkt auf die endgültige Adresse zeigen lassen.',
+  },
+  'redirect-temporary': {
+    title: 'Temporäre Weiterleitung statt 301',
+    message: (p) => `${p.count} Weiterleitungen sind als vorübergehend markiert: ${p.hops}. Für dauerhafte Umzüge sollte 301 verwendet werden, sonst bleibt die alte Adresse im Suchindex.`,
+    remediation: 'Dauerhafte Weiterleitungen als 301 (oder 308) statt 302/307 einrichten.',
+  },
+  'www-inconsistent': {
+    title: 'www und ohne www uneinheitlich',
+    message: (p) => `${p.variant} leitet nicht auf ${p.finalHost} weiter (Status ${p.status}, Ziel: ${p.endUrl}). Dieselben Inhalte unter zwei Adressen gelten als Duplicate Content.`,
+    remediation: 'Eine Variante (mit oder ohne www) festlegen und die andere per 301 dorthin weiterleiten.',
+  },
+  'www-variant-unreachable': {
+    title: 'Seite nicht unter beiden Schreibweisen erreichbar',
+    message: (p) => `${p.variant} ist nicht erreichbar (${p.error}), nur ${p.finalHost}. Besucher, die die andere Schreibweise eingeben, landen auf einer Fehlerseite.`,
+    remediation: 'Einen DNS-Eintrag für die andere Variante anlegen und per 301 auf die Hauptadresse weiterleiten.',
+  },
+  'noindex-homepage': {
+    title: 'Startseite auf noindex',
+    message: (p) => `Die Seite ist von Suchmaschinen ausgeschlossen (${p.source}). Sie erscheint nicht in den Google-Suchergebnissen.`,
+    remediation: 'noindex aus dem Meta-Tag bzw. dem X-Robots-Tag-Header entfernen (oft eine vergessene Einstellung im CMS).',
+  },
+  'robots-disallow-all': {
+    title: 'robots.txt sperrt die gesamte Website',
+    message: (p) => `${p.url} verbietet Suchmaschinen das Crawlen aller Seiten (Disallow: /). Oft ein Überbleibsel aus der Entwicklungsphase.`,
+    remediation: '„Disallow: /" aus der robots.txt entfernen und nur Bereiche sperren, die nicht in Suchmaschinen sollen.',
+  },
+  'robots-homepage-blocked': {
+    title: 'Startseite in robots.txt gesperrt',
+    message: (p) => `${p.robotsUrl} verbietet Suchmaschinen das Crawlen von ${p.url}.`,
+    remediation: 'Die Disallow-Regel in der robots.txt anpassen, die die Startseite sperrt.',
+  },
+  'sitemap-missing': {
+    title: 'Keine XML-Sitemap',
+    message: (p) => p.broken
+      ? `Die Sitemap (${p.checked}) enthält keine Seiten-URLs oder ist fehlerhaft. Suchmaschinen finden neue Seiten dadurch langsamer.`
+      : `Es wurde keine XML-Sitemap gefunden (geprüft: ${p.checked}). Eine Sitemap hilft Suchmaschinen, alle Seiten zu finden.`,
+    remediation: 'Eine XML-Sitemap erzeugen (z. B. per SEO-Plugin), in der robots.txt verlinken und in der Search Console einreichen.',
+  },
+  'title-missing': {
+    title: 'Seitentitel fehlt',
+    message: 'Seitentitel fehlt komplett. Wichtig für Suchmaschinen!',
+    remediation: 'Einen aussagekräftigen <title> mit 30–60 Zeichen pro Seite vergeben.',
+  },
+  'title-too-short': {
+    title: 'Seitentitel zu kurz',
+    message: (p) => `Seitentitel ist zu kurz (${p.length} Zeichen). Empfohlen: 50-60 Zeichen.`,
+    remediation: 'Den Titel auf 30–60 Zeichen mit Leistung und Ort erweitern.',
+  },
+  'title-too-long': {
+    title: 'Seitentitel zu lang',
+    message: (p) => `Seitentitel ist zu lang (${p.length} Zeichen). Google kürzt nach ~60 Zeichen.`,
+    remediation: 'Den Titel auf höchstens 60–70 Zeichen kürzen, das Wichtigste zuerst.',
+  },
+  'meta-description-missing': {
+    title: 'Meta-Description fehlt',
+    message: 'Meta-Description fehlt. Wichtig für Suchergebnisse!',
+    remediation: 'Eine Meta-Description mit 120–160 Zeichen pro Seite vergeben.',
+  },
+  'meta-description-too-short': {
+    title: 'Meta-Description zu kurz',
+    message: (p) => `Meta-Description ist zu kurz (${p.length} Zeichen). Empfohlen: 150-160 Zeichen.`,
+    remediation: 'Die Meta-Description auf 120–160 Zeichen erweitern.',
+  },
+  'h1-missing': {
+    title: 'H1-Überschrift fehlt',
+    message: 'Keine H1-Überschrift gefunden. Wichtig für SEO-Struktur!',
+    remediation: 'Genau eine H1-Überschrift mit dem Hauptthema der Seite ergänzen.',
+  },
+  'h1-multiple': {
+    title: 'Mehrere H1-Überschriften',
+    message: (p) => `Mehrere H1-Überschriften gefunden (${p.count}). Es sollte nur eine H1 pro Seite geben.`,
+    remediation: 'Nur eine H1 pro Seite verwenden und weitere Überschriften zu H2/H3 machen.',
+  },
+  'lang-missing': {
+    title: 'Sprachattribut fehlt',
+    message: 'HTML-Sprachattribut fehlt. Sollte gesetzt werden für bessere Barrierefreiheit.',
+    remediation: 'Die Sprache im <html>-Tag angeben, z. B. <html lang="de">.',
+  },
+  'open-graph-missing': {
+    title: 'Open Graph Tags fehlen',
+    message: 'Open Graph Tags fehlen. Wichtig für Social Media Sharing (Facebook, LinkedIn).',
+    remediation: 'og:title, og:description und og:image im <head> ergänzen (z. B. per SEO-Plugin).',
+  },
+  'structured-data-invalid': {
+    title: 'Fehlerhafte strukturierte Daten (JSON-LD)',
+    message: (p) => `${p.count} JSON-LD-Blöcke enthalten ungültiges JSON (${p.error}). Suchmaschinen ignorieren diese Angaben vollständig.`,
+    remediation: 'Das JSON-LD mit dem Rich-Results-Test von Google prüfen und die Syntaxfehler beheben.',
+  },
+  'structured-data-incomplete': {
+    title: 'Strukturierte Daten unvollständig',
+    message: (p) => `${p.count} Schema.org-Einträgen fehlen Pflichtangaben: ${p.items}. Ohne diese Angaben erscheinen keine Rich Results in der Google-Suche.`,
+    remediation: 'Die fehlenden Pflichtangaben im Schema.org-Markup ergänzen.',
+  },
+  'local-business-schema-missing': {
+    title: 'LocalBusiness-Auszeichnung fehlt',
+    message: 'Die Seite nennt Telefonnummer oder Adresse, aber es gibt keine LocalBusiness-Auszeichnung (Schema.org). Damit kann Google Adresse, Öffnungszeiten und Kontaktdaten direkt in der lokalen Suche anzeigen.',
+    remediation: 'LocalBusiness-Markup (JSON-LD) mit Name, Adresse, Telefon und Öffnungszeiten ergänzen.',
+  },
+  'contrast-insufficient': {
+    title: 'Zu geringer Farbkontrast',
+    message: (p) => `${p.count} Textelemente sind schwer lesbar, z. B. ${p.elements.map(e => `„${e.text}" (${e.ratio}:1, nötig ${e.required}:1)`).join(', ')}. Text braucht mindestens 4,5:1 Kontrast zum Hintergrund, große Schrift 3:1.`,
+    remediation: 'Text- oder Hintergrundfarbe so anpassen, dass der Kontrast mindestens 4,5:1 (große Schrift 3:1) beträgt.',
+  },
+  'form-labels-missing': {
+    title: 'Formularfelder ohne Beschriftung',
+    message: (p) => `${p.count} Formularfelder haben kein Label (${p.elements.map(e => e.placeholder ? `${e.type} „${e.placeholder}"` : e.type).join(', ')}). Screenreader können nicht ansagen, was eingegeben werden soll – ein Platzhalter ersetzt kein Label.`,
+    remediation: 'Jedem Feld ein sichtbares <label for="…"> zuordnen oder zumindest ein aria-label setzen.',
+  },
+  'button-name-missing': {
+    title: 'Buttons ohne Namen',
+    message: (p) => `${p.count} Buttons haben keinen zugänglichen Namen (z. B. reine Icon-Buttons ohne aria-label). Screenreader lesen nur „Schalter" vor.`,
+    remediation: 'Icon-Buttons mit aria-label oder einem visuell versteckten Text beschriften.',
+  },
+  'link-name-missing': {
+    title: 'Links ohne Linktext',
+    message: (p) => `${p.count} Links haben keinen Text und keinen Alt-Text (z. B. ${p.elements.map(e => e.href).join(', ')}). Screenreader-Nutzer erfahren nicht, wohin sie führen.`,
+    remediation: 'Den Links Text geben bzw. verlinkten Bildern einen Alt-Text, der das Linkziel beschreibt.',
+  },
+  'heading-order-skipped': {
+    title: 'Übersprungene Überschriftenebenen',
+    message: (p) => `Die Überschriftenstruktur springt ${p.count}-mal über Ebenen, z. B. ${p.elements.map(e => `h${e.from} → h${e.to} („${e.text}")`).join(', ')}. Screenreader-Nutzer orientieren sich an dieser Gliederung.`,
+    remediation: 'Überschriften ohne Lücken verschachteln (H1 → H2 → H3) und die Optik per CSS steuern.',
+  },
+  'landmark-main-missing': {
+    title: 'Kein Hauptbereich ausgezeichnet',
+    message: 'Die Seite hat weder ein <main>-Element noch einen „Zum Inhalt springen"-Link. Tastatur- und Screenreader-Nutzer müssen auf jeder Seite Kopfbereich und Navigation durchlaufen.',
+    remediation: 'Den Hauptinhalt in ein <main>-Element fassen und einen „Zum Inhalt springen"-Link ergänzen.',
+  },
+  'duplicate-ids': {
+    title: 'Doppelte IDs',
+    message: (p) => `${p.count} IDs, auf die Labels oder ARIA-Attribute verweisen, werden mehrfach verwendet (${p.ids.join(', ')}). Diese Verweise können dadurch auf das falsche Element zeigen.`,
+    remediation: 'Jede ID nur einmal pro Seite vergeben.',
+  },
+  'focus-not-visible': {
+    title: 'Tastaturfokus nicht sichtbar',
+    message: (p) => `Bei ${p.count} von ${p.checked} per Tab-Taste erreichten Elementen ist nicht zu sehen, welches gerade ausgewählt ist${p.elements.some(e => e.text) ? ` (z. B. ${p.elements.filter(e => e.text).map(e => `„${e.text}"`).join(', ')})` : ''}. Tastaturnutzer verlieren so die Orientierung.`,
+    remediation: 'outline: none entfernen oder einen deutlichen :focus-visible-Stil (Rahmen, Unterstreichung) definieren.',
+  },
+  'images-without-alt': {
+    title: 'Bilder ohne Alt-Text',
+    message: (p) => `${p.missing} von ${p.total} Bildern haben keinen Alt-Text (${p.percentage}%). Wichtig für Barrierefreiheit!`,
+    remediation: 'Inhaltsbildern einen beschreibenden Alt-Text geben, rein dekorativen Bildern alt="".',
+  },
+};
@@ -0,0 +1,433 @@
+'use strict';
+
+// Link checker errors (see checkLink in server.js)
+const LINK_ERRORS = {
+  timeout: 'timeout',
+  dns: 'domain not found',
+  'redirect-loop': 'redirect loop',
+  'too-many-redirects': 'too many redirects',
+  connection: 'connection error',
+};
+
+const linkList = (links) => links
+  .map(link => `${link.url} (${link.error === 'http' ? `HTTP ${link.status}` : LINK_ERRORS[link.error]}, on ${link.page})`)
+  .join(', ');
+
+/**
+ * English issue texts, keyed by issue code (= rule id unless a rule says otherwise)
+ */
+module.exports = {
+  'no-https': {
+    title: 'No SSL encryption',
+    message: 'The website is not encrypted (no HTTPS). This is insecure and damages visitor trust.',
+    remediation: 'Set up an SSL certificate (e.g. free via Let\'s Encrypt at your host) and serve all pages over HTTPS.',
+  },
+  'tls-certificate-invalid': {
+    title: 'SSL certificate invalid',
+    message: (p) => `Browsers don't accept the SSL certificate (${p.error}). Visitors see a security warning instead of the website.`,
+    remediation: 'Install a valid certificate from a trusted authority with the complete certificate chain.',
+  },
+  'tls-certificate-expired': {
+    title: 'SSL certificate expired',
+    message: (p) => `The SSL certificate${p.issuer ? ` from ${p.issuer}` : ''} expired ${p.days} days ago (${new Date(p.validTo).toLocaleDateString('en-GB')}). Visitors see a security warning instead of the website.`,
+    remediation: 'Renew the certificate immediately and set up automatic renewal at your host.',
+  },
+  'tls-certificate-expiring': {
+    title: 'SSL certificate expires soon',
+    message: (p) => `The SSL certificate${p.issuer ? ` from ${p.issuer}` : ''} expires in ${p.days} days (${new Date(p.validTo).toLocaleDateString('en-GB')}). Check the automatic renewal.`,
+    remediation: 'Check the automatic renewal or renew the certificate manually in time.',
+  },
+  'tls-certificate-names': {
+    title: 'SSL certificate does not cover all addresses',
+    message: (p) => `The SSL certificate is not valid for ${p.hosts}. Visitors using this address see a security warning.`,
+    remediation: 'Reissue the certificate so it covers all addresses (with and without www).',
+  },
+  'tls-protocol-outdated': {
+    title: 'Outdated TLS protocol',
+    message: (p) => `The server uses ${p.protocol}. This version is considered insecure and is blocked by current browsers. At least TLS 1.2 is required.`,
+    remediation: 'Disable TLS 1.0/1.1 in the server configuration and enable TLS 1.2 and 1.3.',
+  },
+  'http-redirect-missing': {
+    title: 'No redirect to HTTPS',
+    message: (p) => `${p.url} does not redirect to HTTPS (ends at ${p.finalUrl}). Visitors who type the address without https browse unencrypted.`,
+    remediation: 'Redirect all http:// requests to the https:// address with a 301.',
+  },
+  'http-redirect-not-permanent': {
+    title: 'HTTPS redirect not permanent',
+    message: (p) => `The redirect from HTTP to HTTPS uses status ${p.statuses} instead of 301. Search engines treat it as temporary.`,
+    remediation: 'Make the HTTP to HTTPS redirect a 301 (or 308) instead of 302/307.',
+  },
+  'http-redirect-chain': {
+    title: 'Redirect chain to HTTPS',
+    message: (p) => `HTTP only reaches HTTPS after ${p.count} redirects: ${p.chain}. A direct redirect is faster.`,
+    remediation: 'Redirect from http:// to the final https:// address in a single step.',
+  },
+  'viewport-missing': {
+    title: 'Not optimized for mobile',
+    message: 'No responsive viewport meta tag found. The website is not optimized for mobile devices.',
+    remediation: 'Add <meta name="viewport" content="width=device-width, initial-scale=1"> to the <head>.',
+  },
+  'mobile-viewport-ineffective': {
+    title: 'Viewport tag has no effect',
+    message: (p) => `A viewport meta tag is present ('${p.content}'), but phones still render the desktop width instead of ${p.deviceWidth}px. Visitors have to zoom.`,
+    remediation: 'Set the viewport to width=device-width and remove fixed page widths from the CSS.',
+  },
+  'mobile-horizontal-overflow': {
+    title: 'Page wider than the phone screen',
+    message: (p) => `The content is ${p.documentWidth}px wide, the screen only ${p.viewportWidth}px. Visitors have to scroll sideways. Affected: ${p.elements || 'unknown'}`,
+    remediation: 'Make the listed elements fit narrow screens with max-width: 100% or flexible widths.',
+  },
+  'mobile-tap-targets': {
+    title: 'Tap targets too small',
+    message: (p) => `${p.count} of ${p.total} links and buttons are smaller than 44x44px and hard to tap on a phone. Examples: ${p.examples}`,
+    remediation: 'Enlarge buttons and links to at least 44 × 44 pixels or add more space between them.',
+  },
+  'mobile-font-size': {
+    title: 'Text too small on phones',
+    message: (p) => `${p.percentage}% of the text is smaller than 12px on phones (smallest font: ${p.size}px). The text is hard to read without zooming.`,
+    remediation: 'Use at least 16 pixels for body text on mobile devices.',
+  },
+  'legal-placeholders': {
+    title: 'Legal texts incomplete',
+    message: (p) => `Legal texts are incomplete (placeholder '${p.match}' found). The website still contains template placeholders and is not finished.`,
+    remediation: 'Replace the placeholders in the Impressum with the real details (name, address, contact, register).',
+  },
+  'impressum-missing': {
+    title: 'Legal notice (Impressum) missing',
+    message: 'No Impressum link found. A legal notice is mandatory in Germany (§5 TMG)!',
+    remediation: 'Create an Impressum (§ 5 DDG) and link it from every page (usually in the footer).',
+  },
+  'datenschutz-missing': {
+    title: 'Privacy policy missing',
+    message: 'No privacy policy link found. This violates the GDPR!',
+    remediation: 'Create a privacy policy (Art. 13 GDPR) and link it from every page.',
+  },
+  'google-fonts': {
+    title: 'Google Fonts loaded unlawfully',
+    message: 'Your site loads fonts directly from US servers. This violates the GDPR (CJEU ruling). Fonts should be hosted locally.',
+    remediation: 'Download the fonts and serve them from your own server (e.g. with google-webfonts-helper).',
+  },
+  'google-maps': {
+    title: 'Google Maps without consent',
+    message: 'Google Maps is embedded without consent management. Possible GDPR violation.',
+    remediation: 'Load the map only after consent (two-click solution or consent tool) or link a static image.',
+  },
+  'google-analytics': {
+    title: 'Google Analytics detected',
+    message: 'Google Analytics detected. Make sure a cookie banner is active.',
+    remediation: 'Load Google Analytics only after consent via the consent tool, or use a cookieless EU alternative.',
+  },
+  'third-party-outside-eu': {
+    title: 'Third parties outside the EU',
+    message: (p) => `The page contacts ${p.count} services that transfer data outside the EU before consent is given: ${p.vendors}. This transmits visitor IP addresses, among other data.`,
+    remediation: 'Load these services only after consent, consider EU alternatives and list them in the privacy policy.',
+  },
+  'consent-banner-missing': {
+    title: 'No cookie banner',
+    message: (p) => `The page uses tracking or third-party cookies but shows no cookie banner: ${p.sources}. This requires visitor consent (German TDDDG § 25, GDPR).`,
+    remediation: 'Add a consent tool that blocks tracking and third-party cookies until consent is given.',
+  },
+  'tracking-before-consent': {
+    title: 'Tracking before consent',
+    message: (p) => `${p.count} tracking services are loaded before consent is given in the cookie banner: ${p.vendors}. Tracking must not start until visitors consent.`,
+    remediation: 'Block the tracking scripts in the consent tool so they load only after "accept all".',
+  },
+  'consent-no-reject': {
+    title: 'No reject option in the cookie banner',
+    message: 'The cookie banner offers "Accept all" but no equally easy way to reject. Rejecting must be as easy as accepting.',
+    remediation: 'Add an equivalent "reject all" button to the first layer of the banner.',
+  },
+  'tracking-after-reject': {
+    title: 'Tracking despite rejection',
+    message: (p) => `After "Reject all", tracking services are still loaded or third-party cookies are set: ${p.sources}. The rejection is not respected.`,
+    remediation: 'Fix the consent tool configuration so no trackers or cookies load after "reject".',
+  },
+  'cookie-long-lived-tracking': {
+    title: 'Long-lived tracking cookies',
+    message: (p) => `${p.count} tracking cookies live longer than 13 months: ${p.cookies.map(c => `${c.name} (${c.vendor}, ${c.lifetimeDays} days)`).join(', ')}. Consent should be renewed regularly.`,
+    remediation: 'Limit the lifetime of tracking cookies to 13 months at most in the tool configuration.',
+  },
+  'deprecated-html': {
+    title: 'Outdated technology (HTML4)',
+    message: (p) => {
+      const details = [];
+      if (p.tags.font > 0) details.push(`<font> tags (${p.tags.font})`);
+      if (p.tags.center > 0) details.push(`<center> tags (${p.tags.center})`);
+      if (p.tags.marquee > 0) details.push(`<marquee> tags (${p.tags.marquee})`);
+      if (p.tags.frameset > 0) details.push(`<frameset> tags (${p.tags.frameset})`);
+      if (p.tags.tableLayout > 0) details.push(`table layout (${p.tags.tableLayout})`);
+      return `This page is technically more than 10 years behind. Found: ${details.join(', ')}. These techniques have not been recommended since 2010.`;
+    },
+    remediation: 'Replace outdated tags (<font>, <center>, <marquee>) with CSS - usually a relaunch is the better option.',
+  },
+  'score-capped': {
+    title: (p) => `Score capped at ${p.max}`,
+    message: (p) => `Because of the outdated HTML, the score was capped at ${p.max} points. A technical overhaul is strongly recommended.`,
+    remediation: 'Modernize the outdated markup - only then can the score improve.',
+  },
+  'javascript-errors': {
+    title: 'JavaScript errors detected',
+    message: (p) => `${p.count} JavaScript errors detected while loading. Parts of the page may be broken. Examples: ${p.samples || 'see browser console'}`,
+    remediation: 'Check the error messages in the browser console and fix or remove the scripts causing them.',
+  },
+  'tiny-fonts': {
+    title: 'Font size too small',
+    message: (p) => `Font size is too small (${p.size}px found). At least 14-16px is recommended for good readability on mobile devices.`,
+    remediation: 'Increase the font size of text to at least 14, preferably 16 pixels.',
+  },
+  'broken-resources': {
+    title: 'Broken resources',
+    message: (p) => `${p.count} resources could not be loaded (404 errors). Types: ${p.types}. Examples: ${p.examples}`,
+    remediation: 'Restore the missing files or remove the references to them.',
+  },
+  'broken-links-internal': {
+    title: 'Broken internal links',
+    message: (p) => `${p.count} links to pages of this site lead nowhere, e.g. ${linkList(p.links)}. Visitors end up on error pages and search engines waste crawl budget.`,
+    remediation: 'Point the links to the right page or add 301 redirects for removed pages.',
+  },
+  'broken-links-external': {
+    title: 'Broken external links',
+    message: (p) => `${p.count} links to other websites no longer work, e.g. ${linkList(p.links)}.`,
+    remediation: 'Update the links to the new address or remove them.',
+  },
+  'mixed-content': {
+    title: 'Insecure content (mixed content)',
+    message: (p) => `${p.count} resources are loaded over insecure HTTP although the page uses HTTPS. The browser padlock disappears. Types: ${p.types}`,
+    remediation: 'Load all resources via https:// and replace http:// addresses in the content.',
+  },
+  'cookie-insecure': {
+    title: 'Cookies without the Secure flag',
+    message: (p) => `${p.count} of the site's cookies are set without the Secure flag and can also be sent over unencrypted HTTP: ${p.names}`,
+    remediation: 'Set the cookies with the Secure attribute (server or CMS configuration).',
+  },
+  'hsts-missing': {
+    title: 'HSTS missing',
+    message: 'The Strict-Transport-Security header is missing. Browsers may still load the site unencrypted over HTTP.',
+    remediation: 'Send the header Strict-Transport-Security: max-age=31536000; includeSubDomains.',
+  },
+  'hsts-weak': {
+    title: 'HSTS incomplete',
+    message: (p) => {
+      const gaps = [];
+      if (p.shortMaxAge) gaps.push(`max-age only ${p.maxAgeDays} days (recommended: at least 1 year)`);
+      if (!p.includeSubDomains) gaps.push('includeSubDomains missing');
+      if (!p.preload) gaps.push('preload missing');
+      return `The HSTS header is weakly configured: ${gaps.join(', ')}.`;
+    },
+    remediation: 'Raise max-age to at least one year (31536000) and add includeSubDomains and preload.',
+  },
+  'csp-missing': {
+    title: 'Content-Security-Policy missing',
+    message: (p) => p.reportOnly
+      ? 'The Content-Security-Policy is only active in report-only mode and does not protect against injected scripts (XSS).'
+      : 'No Content-Security-Policy is set. The browser does not block injected scripts (XSS).',
+    remediation: 'Build a Content-Security-Policy, test it as Report-Only first, then enforce it.',
+  },
+  'clickjacking-protection-missing': {
+    title: 'No clickjacking protection',
+    message: 'Neither X-Frame-Options nor CSP frame-ancestors is set. Other sites can embed the website invisibly and intercept clicks.',
+    remediation: 'Send X-Frame-Options: SAMEORIGIN or the CSP directive frame-ancestors \'self\'.',
+  },
+  'content-type-options-missing': {
+    title: 'X-Content-Type-Options missing',
+    message: 'The "X-Content-Type-Options: nosniff" header is missing. Browsers may interpret files as executable scripts.',
+    remediation: 'Send the header X-Content-Type-Options: nosniff.',
+  },
+  'referrer-policy-missing': {
+    title: 'Referrer-Policy missing',
+    message: 'No Referrer-Policy is set. Page addresses may be sent to third parties when visitors follow external links.',
+    remediation: 'Send the header Referrer-Policy: strict-origin-when-cross-origin.',
+  },
+  'referrer-policy-unsafe': {
+    title: 'Unsafe Referrer-Policy',
+    message: 'The Referrer-Policy "unsafe-url" sends the full address of every page to third parties, even from HTTPS to HTTP.',
+    remediation: 'Set Referrer-Policy to strict-origin-when-cross-origin instead of unsafe-url.',
+  },
+  'permissions-policy-missing': {
+    title: 'Permissions-Policy missing',
+    message: 'No Permissions-Policy restricts browser features such as camera, microphone or location for embedded content.',
+    remediation: 'Send a Permissions-Policy header that disables unused features (camera, microphone, geolocation).',
+  },
+  'server-version-disclosure': {
+    title: 'Server software disclosed',
+    message: (p) => `The response headers reveal software and versions in use: ${p.headers}. Attackers can look up known vulnerabilities directly.`,
+    remediation: 'Turn off version numbers in Server and X-Powered-By headers (e.g. server_tokens off, expose_php = Off).',
+  },
+  'slow-server-response': {
+    title: 'Slow server response',
+    message: (p) => `The server takes ${p.ms} ms to the first byte. Under 800 ms is recommended - better hosting or caching usually helps.`,
+    remediation: 'Enable page caching, optimize database queries or move to a faster host.',
+  },
+  'slow-lcp': {
+    title: 'Main content loads slowly (LCP)',
+    message: (p) => `The largest visible content appears only after ${p.seconds} seconds (Largest Contentful Paint). Google recommends under 2.5 seconds - slow pages lose visitors and rankings.`,
+    remediation: 'Compress and preload the largest element (usually the hero image) and don\'t lazy-load it.',
+  },
+  'layout-shift': {
+    title: 'Content jumps while loading (CLS)',
+    message: (p) => `Elements move around while the page loads (Cumulative Layout Shift: ${p.cls}). Google recommends under 0.1. Visitors easily click the wrong thing.`,
+    remediation: 'Give images, videos and ad slots fixed dimensions (width/height) and don\'t insert content above existing content.',
+  },
+  'blocking-time': {
+    title: 'Page responds with delay (TBT)',
+    message: (p) => `JavaScript blocks the browser for ${p.ms} ms (${p.longTasks} long tasks). The page does not react to clicks during that time. Under 200 ms is recommended.`,
+    remediation: 'Reduce and split JavaScript, load it with defer and remove unneeded third-party scripts.',
+  },
+  'page-weight': {
+    title: 'Page too heavy',
+    message: (p) => `Loading the page transfers ${p.megabytes} MB. Under 3 MB is recommended - this takes long on mobile networks. Largest files: ${p.largest}`,
+    remediation: 'Compress images and serve WebP/AVIF, remove unused scripts and fonts.',
+  },
+  'too-many-requests': {
+    title: 'Too many requests',
+    message: (p) => `The page loads ${p.count} separate files. Many requests slow down page rendering, especially on mobile devices.`,
+    remediation: 'Bundle files, remove unused plugins and third-party scripts and lazy-load images.',
+  },
+  'redirect-chain-long': {
+    title: 'Long redirect chain',
+    message: (p) => `The page is only reached after ${p.count} redirects: ${p.chain}. Every redirect costs load time and can weaken ranking signals.`,
+    remediation: 'Point links and redirects straight to the final address.',
+  },
+  'redirect-temporary': {
+    title: 'Temporary redirect instead of 301',
+    message: (p) => `${p.count} redirects are marked as temporary: ${p.hops}. Permanent moves should use 301, otherwise the old address stays in the search index.`,
+    remediation: 'Make permanent redirects 301 (or 308) instead of 302/307.',
+  },
+  'www-inconsistent': {
+    title: 'www and non-www inconsistent',
+    message: (p) => `${p.variant} does not redirect to ${p.finalHost} (status ${p.status}, ends at ${p.endUrl}). The same content under two addresses counts as duplicate content.`,
+    remediation: 'Pick one variant (with or without www) and redirect the other to it with a 301.',
+  },
+  'www-variant-unreachable': {
+    title: 'Site not reachable under both spellings',
+    message: (p) => `${p.variant} is not reachable (${p.error}), only ${p.finalHost}. Visitors who type the other spelling end up on an error page.`,
+    remediation: 'Add a DNS record for the other variant and redirect it to the main address with a 301.',
+  },
+  'noindex-homepage': {
+    title: 'Homepage set to noindex',
+    message: (p) => `The page is excluded from search engines (${p.source}). It does not appear in Google search results.`,
+    remediation: 'Remove noindex from the meta tag or the X-Robots-Tag header (often a forgotten CMS setting).',
+  },
+  'robots-disallow-all': {
+    title: 'robots.txt blocks the entire website',
+    message: (p) => `${p.url} forbids search engines to crawl any page (Disallow: /). Often a leftover from the development phase.`,
+    remediation: 'Remove "Disallow: /" from robots.txt and only block areas that should stay out of search engines.',
+  },
+  'robots-homepage-blocked': {
+    title: 'Homepage blocked in robots.txt',
+    message: (p) => `${p.robotsUrl} forbids search engines to crawl ${p.url}.`,
+    remediation: 'Adjust the Disallow rule in robots.txt that blocks the homepage.',
+  },
+  'sitemap-missing': {
+    title: 'No XML sitemap',
+    message: (p) => p.broken
+      ? `The sitemap (${p.checked}) contains no page URLs or is broken. Search engines discover new pages more slowly.`
+      : `No XML sitemap was found (checked: ${p.checked}). A sitemap helps search engines find all pages.`,
+    remediation: 'Generate an XML sitemap (e.g. with an SEO plugin), reference it in robots.txt and submit it in Search Console.',
+  },
+  'title-missing': {
+    title: 'Page title missing',
+    message: 'The page title is missing entirely. Important for search engines!',
+    remediation: 'Give every page a descriptive <title> of 30-60 characters.',
+  },
+  'title-too-short': {
+    title: 'Page title too short',
+    message: (p) => `The page title is too short (${p.length} characters). Recommended: 50-60 characters.`,
+    remediation: 'Extend the title to 30-60 characters with service and location.',
+  },
+  'title-too-long': {
+    title: 'Page title too long',
+    message: (p) => `The page title is too long (${p.length} characters). Google truncates after ~60 characters.`,
+    remediation: 'Shorten the title to 60-70 characters at most, most important words first.',
+  },
+  'meta-description-missing': {
+    title: 'Meta description missing',
+    message: 'The meta description is missing. Important for search results!',
+    remediation: 'Give every page a meta description of 120-160 characters.',
+  },
+  'meta-description-too-short': {
+    title: 'Meta description too short',
+    message: (p) => `The meta description is too short (${p.length} characters). Recommended: 150-160 characters.`,
+    remediation: 'Extend the meta description to 120-160 characters.',
+  },
+  'h1-missing': {
+    title: 'H1 heading missing',
+    message: 'No H1 heading found. Important for SEO structure!',
+    remediation: 'Add exactly one H1 heading with the main topic of the page.',
+  },
+  'h1-multiple': {
+    title: 'Multiple H1 headings',
+    message: (p) => `Multiple H1 headings found (${p.count}). There should be only one H1 per page.`,
+    remediation: 'Use only one H1 per page and turn further headings into H2/H3.',
+  },
+  'lang-missing': {
+    title: 'Language attribute missing',
+    message: 'The HTML lang attribute is missing. It should be set for better accessibility.',
+    remediation: 'Declare the language on the <html> tag, e.g. <html lang="de">.',
+  },
+  'open-graph-missing': {
+    title: 'Open Graph tags missing',
+    message: 'Open Graph tags are missing. Important for social media sharing (Facebook, LinkedIn).',
+    remediation: 'Add og:title, og:description and og:image to the <head> (e.g. with an SEO plugin).',
+  },
+  'structured-data-invalid': {
+    title: 'Broken structured data (JSON-LD)',
+    message: (p) => `${p.count} JSON-LD blocks contain invalid JSON (${p.error}). Search engines ignore them entirely.`,
+    remediation: 'Check the JSON-LD with Google\'s Rich Results Test and fix the syntax errors.',
+  },
+  'structured-data-incomplete': {
+    title: 'Incomplete structured data',
+    message: (p) => `${p.count} schema.org items lack required properties: ${p.items}. Without them, no rich results appear in Google Search.`,
+    remediation: 'Add the missing required properties to the Schema.org markup.',
+  },
+  'local-business-schema-missing': {
+    title: 'LocalBusiness markup missing',
+    message: 'The page shows a phone number or address, but there is no LocalBusiness markup (schema.org). It lets Google show address, opening hours and contact details directly in local search.',
+    remediation: 'Add LocalBusiness markup (JSON-LD) with name, address, phone and opening hours.',
+  },
+  'contrast-insufficient': {
+    title: 'Insufficient colour contrast',
+    message: (p) => `${p.count} text elements are hard to read, e.g. ${p.elements.map(e => `"${e.text}" (${e.ratio}:1, needs ${e.required}:1)`).join(', ')}. Text needs a contrast of at least 4.5:1 to its background, large text 3:1.`,
+    remediation: 'Adjust text or background colour to reach at least 4.5:1 contrast (3:1 for large text).',
+  },
+  'form-labels-missing': {
+    title: 'Form fields without labels',
+    message: (p) => `${p.count} form fields have no label (${p.elements.map(e => e.placeholder ? `${e.type} "${e.placeholder}"` : e.type).join(', ')}). Screen readers can't announce what to enter - a placeholder is no substitute for a label.`,
+    remediation: 'Give every field a visible <label for="..."> or at least an aria-label.',
+  },
+  'button-name-missing': {
+    title: 'Buttons without a name',
+    message: (p) => `${p.count} buttons have no accessible name (e.g. icon-only buttons without aria-label). Screen readers only announce "button".`,
+    remediation: 'Label icon buttons with aria-label or visually hidden text.',
+  },
+  'link-name-missing': {
+    title: 'Links without link text',
+    message: (p) => `${p.count} links have no text and no alt text (e.g. ${p.elements.map(e => e.href).join(', ')}). Screen reader users can't tell where they lead.`,
+    remediation: 'Give the links text, or the linked images an alt text that describes the link target.',
+  },
+  'heading-order-skipped': {
+    title: 'Skipped heading levels',
+    message: (p) => `The heading structure skips levels ${p.count} times, e.g. ${p.elements.map(e => `h${e.from} → h${e.to} ("${e.text}")`).join(', ')}. Screen reader users navigate by this outline.`,
+    remediation: 'Nest headings without gaps (H1 → H2 → H3) and control their look with CSS.',
+  },
+  'landmark-main-missing': {
+    title: 'No main landmark',
+    message: 'The page has neither a <main> element nor a "skip to content" link. Keyboard and screen reader users have to pass the header and navigation on every page.',
+    remediation: 'Wrap the main content in a <main> element and add a "skip to content" link.',
+  },
+  'duplicate-ids': {
+    title: 'Duplicate IDs',
+    message: (p) => `${p.count} IDs that labels or ARIA attributes refer to are used more than once (${p.ids.join(', ')}). These references may point to the wrong element.`,
+    remediation: 'Use every ID only once per page.',
+  },
+  'focus-not-visible': {
+    title: 'Keyboard focus not visible',
+    message: (p) => `${p.count} of ${p.checked} elements reached with the Tab key show no visible focus${p.elements.some(e => e.text) ? ` (e.g. ${p.elements.filter(e => e.text).map(e => `"${e.text}"`).join(', ')})` : ''}. Keyboard users lose track of where they are.`,
+    remediation: 'Remove outline: none or define a clear :focus-visible style (outline, underline).',
+  },
+  'images-without-alt': {
+    title: 'Images without alt text',
+    message: (p) => `${p.missing} of ${p.total} images have no alt text (${p.percentage}%). Important for accessibility!`,
+    remediation: 'Give content images a descriptive alt text and purely decorative images alt="".',
+  },
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Message catalog - issue texts per language, keyed by issue code
+// ---------------------------------------------------------------------------
+
+const CATALOGS = {
+  de: require('./de'),
+  en: require('./en'),
+};
+
+const DEFAULT_LANG = 'de';
+
+const SUPPORTED_LANGS = Object.keys(CATALOGS);
+
+/**
+ * Add or override catalog entries (e.g. texts for custom rules)
+ *
+ * @param {string} lang - Language code
+ * @param {Object<string, {title, message, remediation}>} entries - Texts by issue code
+ */
+function registerMessages(lang, entries) {
+  if (!CATALOGS[lang]) {
+    throw new Error(`Unsupported language '${lang}'.`);
+  }
+  Object.assign(CATALOGS[lang], entries);
+}
+
+/**
+ * Resolve the title, message and remediation hint of an issue code.
+ * Falls back to German when a text is missing in the requested language.
+ * Entries are strings or functions of the params; remediation is optional.
+ *
+ * @param {string} code - Issue code
+ * @param {string} [lang] - Language code (default: de)
+ * @param {object} [params] - Values for the text templates
+ * @returns {{title: string, message: string, remediation: string|null}}
+ */
+function translate(code, lang = DEFAULT_LANG, params = {}) {
+  const entry = (CATALOGS[lang] && CATALOGS[lang][code]) || CATALOGS[DEFAULT_LANG][code];
+
+  if (!entry) {
+    console.warn(`[Messages] No text for issue code '${code}'`);
+    return { title: code, message: '', remediation: null };
+  }
+
+  const render = (text) => (typeof text === 'function' ? text(params) : text || '');
+
+  return {
+    title: render(entry.title),
+    message: render(entry.message),
+    remediation: entry.remediation ? render(entry.remediation) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_LANG,
+  SUPPORTED_LANGS,
+  registerMessages,
+  translate,
+};
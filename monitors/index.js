@@ -0,0 +1,272 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Monitors - cron schedules and change alerts of recurring scans
+// ---------------------------------------------------------------------------
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+// How far nextCronRun looks ahead - February 29th can be 8 years away (2096 → 2104)
+const CRON_SEARCH_YEARS = 8;
+
+const CRON_SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+/**
+ * Alert defaults - a monitor's `alerts` option overrides single keys,
+ * false (or null) switches an alert off
+ */
+const DEFAULT_ALERTS = {
+  scoreDrop: 10,        // Points the score may drop between two runs
+  criticalIssue: true,  // A critical issue that the previous run didn't have
+  certificateDays: 14,  // Certificate expires within this many days
+  impressumMissing: true,
+  scanFailed: true,     // Site unreachable or scan timed out
+};
+
+/**
+ * Parse one cron field (*, n, a-b, lists and /step) into the set of allowed values
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid schedule option: can't read ${name} '${part}'.`);
+    }
+
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = Number(match[2]);
+      // "5/15" means 5, 20, 35, 50 like in Vixie cron
+      to = match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? max : from;
+    }
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid schedule option: ${name} '${part}' is outside ${min}-${max}.`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of @hourly, @daily, @weekly, @monthly.
+ * Throws "Invalid schedule option: ..." on invalid input.
+ *
+ * @param {string} expression - Cron expression
+ * @returns {object} - Parsed schedule for cronMatches()
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Invalid schedule option. Expected a cron expression like "0 6 * * *".');
+  }
+
+  const text = CRON_SHORTCUTS[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Invalid schedule option. Expected 5 fields: minute hour day-of-month month day-of-week.');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron: if both day fields are restricted, either one matching is enough
+    dayOr: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+/**
+ * Whether a parsed schedule fires in the minute of `date` (server local time)
+ */
+function cronMatches(schedule, date) {
+  if (!schedule.minutes.has(date.getMinutes()) || !schedule.hours.has(date.getHours())) return false;
+  if (!schedule.months.has(date.getMonth() + 1)) return false;
+
+  return cronDayMatches(schedule, date);
+}
+
+/**
+ * Whether the day of `date` matches the day-of-month and day-of-week fields
+ */
+function cronDayMatches(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  return schedule.dayOr ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+}
+
+/**
+ * Next minute after `from` in which a parsed schedule fires, or null if
+ * there is none within CRON_SEARCH_YEARS (e.g. "0 0 30 2 *"). Skips whole
+ * days and hours that can't match, so a search costs a few thousand steps.
+ */
+function nextCronRun(schedule, from) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1) || !cronDayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a monitor's alerts option and merge it with the defaults
+ */
+function parseAlerts(alerts) {
+  if (alerts === undefined) return { ...DEFAULT_ALERTS };
+  if (!alerts || typeof alerts !== 'object' || Array.isArray(alerts)) {
+    throw new Error('Invalid alerts option. Expected an object.');
+  }
+
+  const merged = { ...DEFAULT_ALERTS };
+  for (const [key, value] of Object.entries(alerts)) {
+    if (!(key in DEFAULT_ALERTS)) {
+      throw new Error(`Invalid alerts option: unknown alert '${key}'. Use one of: ${Object.keys(DEFAULT_ALERTS).join(', ')}.`);
+    }
+
+    const isNumeric = typeof DEFAULT_ALERTS[key] === 'number';
+    const valid = value === false || value === null ||
+      (isNumeric ? typeof value === 'number' && value >= 0 : value === true);
+    if (!valid) {
+      throw new Error(`Invalid alerts option: ${key} must be ${isNumeric ? 'a number >= 0' : 'true'} or false.`);
+    }
+    merged[key] = value === null ? false : value;
+  }
+
+  return merged;
+}
+
+/**
+ * What a monitor remembers of a run to compare it with the next one
+ *
+ * @param {object|null} result - /scan result (null when the scan failed)
+ * @param {string|null} error - Error message of a failed scan
+ */
+function summarizeMonitorRun(result, error) {
+  if (!result) {
+    return { status: 'failed', error, score: null, criticalIssues: [], impressumMissing: null, certificateDaysRemaining: null };
+  }
+
+  const certificate = result.tls && result.tls.certificate;
+
+  return {
+    status: 'done',
+    error: null,
+    score: result.score,
+    criticalIssues: [...new Set(result.issues.filter(issue => issue.severity === 'critical').map(issue => issue.code))],
+    impressumMissing: result.issues.some(issue => issue.code === 'impressum-missing'),
+    certificateDaysRemaining: certificate ? certificate.daysRemaining : null,
+  };
+}
+
+/**
+ * Alerts for a run. Changes only fire once: score drops, new critical issues
+ * and a missing Impressum are compared with the last successful run (none on
+ * the first run); certificate and failure alerts fire when the state is
+ * reached, not again while it lasts.
+ *
+ * @param {object} alerts - Merged alert config (parseAlerts)
+ * @param {object|null} previous - summarizeMonitorRun of the previous run
+ * @param {object|null} baseline - summarizeMonitorRun of the last successful run
+ * @param {object} current - summarizeMonitorRun of this run
+ * @param {object|null} result - /scan result of this run, for issue details
+ * @returns {Array<object>} - Alerts { type, message, ... }
+ */
+function evaluateAlerts(alerts, previous, baseline, current, result) {
+  const fired = [];
+
+  if (current.status === 'failed') {
+    if (alerts.scanFailed && (!previous || previous.status !== 'failed')) {
+      fired.push({ type: 'scan-failed', message: `Scan failed: ${current.error}`, error: current.error });
+    }
+    return fired;
+  }
+
+  if (alerts.scoreDrop !== false && baseline && baseline.score - current.score > alerts.scoreDrop) {
+    fired.push({
+      type: 'score-drop',
+      message: `Score dropped from ${baseline.score} to ${current.score}.`,
+      from: baseline.score,
+      to: current.score,
+      threshold: alerts.scoreDrop,
+    });
+  }
+
+  if (alerts.criticalIssue && baseline) {
+    const newCodes = current.criticalIssues.filter(code => !baseline.criticalIssues.includes(code));
+    if (newCodes.length > 0) {
+      fired.push({
+        type: 'critical-issue',
+        message: `New critical issues: ${newCodes.join(', ')}.`,
+        issues: result.issues
+          .filter(issue => newCodes.includes(issue.code))
+          .map(issue => ({ code: issue.code, title: issue.title, url: issue.url })),
+      });
+    }
+  }
+
+  if (alerts.impressumMissing && baseline && current.impressumMissing && !baseline.impressumMissing) {
+    fired.push({ type: 'impressum-missing', message: 'The Impressum link disappeared.' });
+  }
+
+  const days = current.certificateDaysRemaining;
+  const wasExpiring = baseline && baseline.certificateDaysRemaining !== null &&
+    baseline.certificateDaysRemaining <= alerts.certificateDays;
+  if (alerts.certificateDays !== false && days !== null && days <= alerts.certificateDays && !wasExpiring) {
+    fired.push({
+      type: 'certificate-expiring',
+      message: days < 0 ? 'The TLS certificate has expired.' : `The TLS certificate expires in ${days} days.`,
+      daysRemaining: days,
+      validTo: result.tls.certificate.validTo,
+    });
+  }
+
+  return fired;
+}
+
+module.exports = {
+  DEFAULT_ALERTS,
+  parseCron,
+  cronMatches,
+  nextCronRun,
+  parseAlerts,
+  summarizeMonitorRun,
+  evaluateAlerts,
+};
@@ -0,0 +1,294 @@
+'use strict';
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// ---------------------------------------------------------------------------
+// robots.txt and sitemaps - parsing (RFC 9309, sitemaps.org) and fetching
+// ---------------------------------------------------------------------------
+
+const ROBOTS_FETCH_TIMEOUT_MS = 10_000; // Per robots.txt / sitemap request
+const SITEMAP_DISCOVERY_TIMEOUT_MS = 10_000; // All sitemaps of a site together
+const MAX_FETCH_TEXT_BYTES = 10 * 1024 * 1024; // robots.txt / sitemap body, also after gunzip
+const MAX_SITEMAP_FILES = 10;           // Sitemaps fetched per site (indexes included)
+const MAX_SITEMAP_URLS = 5000;          // Page URLs kept from sitemaps
+
+/**
+ * Parse robots.txt into user-agent groups (RFC 9309) and Sitemap directives.
+ * Consecutive User-agent lines share one group.
+ *
+ * @param {string} text - robots.txt content
+ * @returns {{groups: Array<{userAgents, rules, crawlDelay}>, sitemaps: string[]}}
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = rawLine.replace(/#.*$/, '').trim().match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything - nothing to record
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Product token of a user agent, lowercased: "sitesweepbot" for "SiteSweepBot/1.0",
+ * "googlebot" for "Mozilla/5.0 (compatible; Googlebot/2.1; ...)"
+ */
+function robotsProductToken(userAgent) {
+  const compatible = userAgent.match(/\(compatible;\s*([A-Za-z_-]+)/i);
+  return (compatible ? compatible[1] : userAgent.match(/^[A-Za-z_-]*/)[0]).toLowerCase();
+}
+
+/**
+ * Groups that apply to a user agent: the groups naming its product token
+ * (exact match, RFC 9309), otherwise the `*` groups
+ */
+function findRobotsGroups(robots, userAgent) {
+  const token = robotsProductToken(userAgent);
+  const specific = robots.groups.filter(group =>
+    group.userAgents.some(agent => agent !== '*' && agent === token)
+  );
+
+  return specific.length > 0
+    ? specific
+    : robots.groups.filter(group => group.userAgents.includes('*'));
+}
+
+/**
+ * Does a robots.txt path pattern (with * and $) match a path?
+ * Matches in linear passes with backtracking to the last `*` only, so
+ * patterns with many wildcards can't stall the server like a regex would.
+ */
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  // Without $ the pattern is a prefix: an implicit * at the end
+  const body = anchored ? pattern.slice(0, -1) : `${pattern}*`;
+
+  let p = 0;
+  let s = 0;
+  let star = -1;
+  let starMatch = 0;
+
+  while (s < path.length) {
+    if (p < body.length && body[p] === '*') {
+      star = p++;
+      starMatch = s;
+    } else if (p < body.length && body[p] === path[s]) {
+      p++;
+      s++;
+    } else if (star >= 0) {
+      // Let the last * take one more character and retry from there
+      p = star + 1;
+      s = ++starMatch;
+    } else {
+      return false;
+    }
+  }
+
+  while (p < body.length && body[p] === '*') p++;
+  return p === body.length;
+}
+
+/**
+ * Is a path allowed for a user agent? The longest matching rule wins,
+ * Allow wins ties (RFC 9309). No matching rule means allowed.
+ *
+ * @param {object} robots - Result of parseRobotsTxt
+ * @param {string} userAgent - User agent (or product token like "Googlebot")
+ * @param {string} path - Path including query string
+ */
+function isPathAllowed(robots, userAgent, path) {
+  const matching = findRobotsGroups(robots, userAgent)
+    .flatMap(group => group.rules)
+    .filter(rule => robotsPatternMatches(rule.path, path))
+    .sort((a, b) => b.path.length - a.path.length || (a.type === 'allow' ? -1 : 1));
+
+  return matching.length === 0 || matching[0].type === 'allow';
+}
+
+/**
+ * Crawl-delay in seconds for a user agent (null if not set)
+ */
+function getCrawlDelay(robots, userAgent) {
+  const delays = findRobotsGroups(robots, userAgent)
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+
+  return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * GET a text resource (robots.txt, sitemap) - gzip sitemaps are unpacked.
+ * Bodies over MAX_FETCH_TEXT_BYTES (read or unpacked) throw.
+ *
+ * @param {string} url - Resource URL
+ * @param {string} userAgent - User agent to send
+ * @param {number} [timeoutMs] - Request timeout (default: ROBOTS_FETCH_TIMEOUT_MS)
+ * @returns {Promise<{status, text}>}
+ */
+async function fetchText(url, userAgent, timeoutMs = ROBOTS_FETCH_TIMEOUT_MS) {
+  const response = await fetch(url, {
+    headers: { 'user-agent': userAgent },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (response.status !== 200) {
+    await response.body?.cancel();
+    return { status: response.status, text: '' };
+  }
+
+  const tooLarge = () => new Error(`Response larger than ${MAX_FETCH_TEXT_BYTES / 1024 / 1024} MB`);
+
+  // Leaving the loop early cancels the download
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > MAX_FETCH_TEXT_BYTES) throw tooLarge();
+    chunks.push(chunk);
+  }
+
+  let buffer = Buffer.concat(chunks);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = await gunzip(buffer, { maxOutputLength: MAX_FETCH_TEXT_BYTES });
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+    }
+  }
+
+  return { status: response.status, text: buffer.toString('utf8') };
+}
+
+/**
+ * Fetch and parse robots.txt of an origin. A missing robots.txt (4xx) allows everything.
+ *
+ * @param {string} origin - e.g. "https://example.com"
+ * @param {string} userAgent - User agent to send
+ * @returns {Promise<{url, status, found, parsed, error}>}
+ */
+async function fetchRobotsTxt(origin, userAgent) {
+  const url = `${origin}/robots.txt`;
+
+  try {
+    const { status, text } = await fetchText(url, userAgent);
+    const found = status === 200;
+    return { url, status, found, parsed: parseRobotsTxt(found ? text : ''), error: null };
+  } catch (error) {
+    return { url, status: null, found: false, parsed: parseRobotsTxt(''), error: error.message };
+  }
+}
+
+/**
+ * <loc> values of a sitemap or sitemap index (CDATA and entities decoded)
+ */
+function extractSitemapLocs(xml) {
+  return [...xml.matchAll(/<(?:\w+:)?loc>\s*(?:<!\[CDATA\[)?\s*([\s\S]*?)\s*(?:\]\]>)?\s*<\/(?:\w+:)?loc>/gi)]
+    .map(match => match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&'))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch sitemaps, following sitemap indexes (max MAX_SITEMAP_FILES files,
+ * MAX_SITEMAP_URLS page URLs, SITEMAP_DISCOVERY_TIMEOUT_MS for all files).
+ * Starts with the Sitemap: directives of robots.txt, or /sitemap.xml if there are none.
+ *
+ * @param {string} origin - e.g. "https://example.com"
+ * @param {string[]} robotsSitemaps - Sitemap URLs from robots.txt
+ * @param {string} userAgent - User agent to send
+ * @returns {Promise<{sitemaps: Array<{url, status, type, urlCount, error}>, urls: string[]}>}
+ */
+async function fetchSitemaps(origin, robotsSitemaps, userAgent) {
+  const queue = robotsSitemaps.length > 0 ? [...new Set(robotsSitemaps)] : [`${origin}/sitemap.xml`];
+  const visited = new Set();
+  const sitemaps = [];
+  const urls = new Set();
+  const deadline = Date.now() + SITEMAP_DISCOVERY_TIMEOUT_MS;
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES && urls.size < MAX_SITEMAP_URLS) {
+    const url = queue.shift();
+    if (visited.has(url)) continue;
+
+    const timeLeft = deadline - Date.now();
+    if (timeLeft <= 0) {
+      console.warn(`[Sitemaps] Time budget used up, ${queue.length + 1} sitemaps of ${origin} not fetched`);
+      break;
+    }
+    visited.add(url);
+
+    try {
+      const { status, text } = await fetchText(url, userAgent, Math.min(ROBOTS_FETCH_TIMEOUT_MS, timeLeft));
+      const type = /<sitemapindex[\s>]/i.test(text) ? 'sitemapindex' : /<urlset[\s>]/i.test(text) ? 'urlset' : null;
+      const locs = extractSitemapLocs(text);
+
+      if (type === 'sitemapindex') {
+        queue.push(...locs);
+      } else if (type === 'urlset') {
+        locs.slice(0, MAX_SITEMAP_URLS - urls.size).forEach(loc => urls.add(loc));
+      }
+
+      sitemaps.push({
+        url,
+        status,
+        type,
+        urlCount: locs.length,
+        error: status === 200 && !type ? 'Not a sitemap (no <urlset> or <sitemapindex>)' : null,
+      });
+    } catch (error) {
+      sitemaps.push({ url, status: null, type: null, urlCount: 0, error: error.message });
+    }
+  }
+
+  return { sitemaps, urls: Array.from(urls) };
+}
+
+module.exports = {
+  ROBOTS_FETCH_TIMEOUT_MS,
+  parseRobotsTxt,
+  isPathAllowed,
+  getCrawlDelay,
+  fetchText,
+  fetchRobotsTxt,
+  extractSitemapLocs,
+  fetchSitemaps,
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Total Blocking Time above 200ms (high above 600ms)
+ */
+module.exports = {
+  id: 'blocking-time',
+  category: 'performance',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    const tbt = performance.totalBlockingTime;
+    if (tbt <= 200) return null;
+
+    return {
+      severity: tbt > 600 ? 'high' : 'medium',
+      params: { ms: tbt, longTasks: performance.longTasks },
+      evidence: [`totalBlockingTime: ${tbt} ms`, `longTasks: ${performance.longTasks}`],
+    };
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Links to other websites that answer with an error or can't be reached
+ * (needs the linkCheck option)
+ */
+module.exports = {
+  id: 'broken-links-external',
+  category: 'tech',
+  scoreCategory: 'quality',
+  severity: 'low',
+  penalty: 5,
+  needs: ['links'],
+
+  evaluate({ links }) {
+    const broken = links.broken.filter(link => !link.internal);
+    if (broken.length === 0) return null;
+
+    return {
+      params: {
+        count: broken.length,
+        links: broken.slice(0, 3).map(({ url, status, error, sources }) => ({ url, status, error, page: sources[0].page })),
+      },
+      evidence: broken.map(link => `${link.url} (${link.message}) ← ${link.sources[0].page} "${link.sources[0].text}"`),
+    };
+  },
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * STRICT AUDITOR: images, stylesheets, scripts or fonts answering 404
+ */
+module.exports = {
+  id: 'broken-resources',
+  category: 'tech',
+  scoreCategory: 'quality',
+  severity: 'high',
+  penalty: 10,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    const { brokenResources } = network.qualityFindings;
+    if (brokenResources.length === 0) return null;
+
+    const brokenTypes = [...new Set(brokenResources.map(r => r.type))].join(', ');
+    const examples = brokenResources.slice(0, 2)
+      .map(r => r.url.split('/').pop())
+      .join(', ');
+
+    return {
+      params: { count: brokenResources.length, types: brokenTypes, examples },
+      evidence: brokenResources.map(r => `${r.url} (${r.status}, ${r.type})`),
+    };
+  },
+};
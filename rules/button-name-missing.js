@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Buttons without an accessible name (e.g. icon-only buttons without aria-label)
+ */
+module.exports = {
+  id: 'button-name-missing',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['accessibility'],
+  wcag: { criterion: '4.1.2', name: 'Name, Role, Value', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.unnamedButtons;
+    if (count === 0) return null;
+
+    return {
+      params: { count, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
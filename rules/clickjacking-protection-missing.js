@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Page can be framed by other sites: neither X-Frame-Options nor CSP frame-ancestors
+ */
+module.exports = {
+  id: 'clickjacking-protection-missing',
+  category: 'security',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    const frameOptions = (headers.headers['x-frame-options'] || '').trim().toLowerCase();
+    const csp = headers.headers['content-security-policy'] || '';
+
+    if (['deny', 'sameorigin'].includes(frameOptions) || /(^|;)\s*frame-ancestors\s/i.test(csp)) return null;
+
+    return {
+      evidence: frameOptions ? [`x-frame-options: ${headers.headers['x-frame-options']}`] : [],
+    };
+  },
+};
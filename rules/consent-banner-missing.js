@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Trackers or third-party cookies without any cookie banner
+ */
+module.exports = {
+  id: 'consent-banner-missing',
+  category: 'gdpr',
+  severity: 'high',
+  penalty: 15,
+  needs: ['consent'],
+
+  evaluate({ consent }) {
+    if (consent.bannerVisible) return null;
+
+    const thirdPartyCookies = consent.beforeConsent.cookies.filter(cookie => cookie.thirdParty);
+    if (consent.beforeConsent.trackers.length === 0 && thirdPartyCookies.length === 0) return null;
+
+    const sources = [
+      ...consent.beforeConsent.trackers,
+      ...new Set(thirdPartyCookies.map(cookie => cookie.domain)),
+    ];
+
+    return {
+      params: { sources: sources.join(', ') },
+      evidence: thirdPartyCookies.map(cookie => `cookie: ${cookie.name} (${cookie.domain})`),
+    };
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Cookie banner with "accept all" but no equally easy way to reject
+ */
+module.exports = {
+  id: 'consent-no-reject',
+  category: 'gdpr',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['consent'],
+
+  evaluate({ consent }) {
+    if (!consent.acceptButton || consent.rejectButton) return null;
+
+    return {};
+  },
+};
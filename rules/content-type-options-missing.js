@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * X-Content-Type-Options: nosniff missing (browsers may guess content types)
+ */
+module.exports = {
+  id: 'content-type-options-missing',
+  category: 'security',
+  severity: 'low',
+  penalty: 2,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    const value = headers.headers['x-content-type-options'];
+    if ((value || '').trim().toLowerCase() === 'nosniff') return null;
+
+    return {
+      evidence: value ? [`x-content-type-options: ${value}`] : [],
+    };
+  },
+};
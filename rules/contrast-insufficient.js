@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Text with a contrast ratio below 4.5:1 (3:1 for large text)
+ */
+module.exports = {
+  id: 'contrast-insufficient',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['accessibility'],
+  wcag: { criterion: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.contrast;
+    if (count === 0) return null;
+
+    return {
+      params: { count, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+      evidence: elements.map(element => `"${element.text}" ${element.foreground} on ${element.background} (${element.ratio}:1)`),
+    };
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * First-party cookies without the Secure flag on an HTTPS site
+ */
+module.exports = {
+  id: 'cookie-insecure',
+  category: 'security',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['navigation', 'storage'],
+
+  evaluate({ navigation, storage }) {
+    if (navigation.finalProtocol !== 'https:') return null;
+
+    const insecure = storage.cookies.filter(cookie => !cookie.thirdParty && !cookie.secure);
+    if (insecure.length === 0) return null;
+
+    return {
+      params: {
+        count: insecure.length,
+        names: insecure.slice(0, 5).map(cookie => cookie.name).join(', '),
+      },
+      evidence: insecure.map(cookie => `cookie: ${cookie.name} (${cookie.domain})`),
+    };
+  },
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const { TRACKING_PURPOSES } = require('../catalogs/third-parties');
+
+// 13 months - the usual maximum lifetime for consent-based tracking cookies
+const MAX_LIFETIME_DAYS = 395;
+
+/**
+ * Analytics or marketing cookies that live longer than 13 months
+ */
+module.exports = {
+  id: 'cookie-long-lived-tracking',
+  category: 'gdpr',
+  severity: 'low',
+  penalty: 5,
+  needs: ['storage'],
+
+  evaluate({ storage }) {
+    const longLived = storage.cookies.filter(cookie =>
+      TRACKING_PURPOSES.includes(cookie.purpose) && cookie.lifetimeDays > MAX_LIFETIME_DAYS
+    );
+    if (longLived.length === 0) return null;
+
+    return {
+      params: {
+        count: longLived.length,
+        cookies: longLived.slice(0, 5).map(({ name, vendor, lifetimeDays }) => ({ name, vendor, lifetimeDays })),
+      },
+      evidence: longLived.map(cookie => `cookie: ${cookie.name} (${cookie.domain}, ${cookie.lifetimeDays} days)`),
+    };
+  },
+};
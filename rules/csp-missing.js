@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * No enforced Content-Security-Policy (report-only doesn't protect)
+ */
+module.exports = {
+  id: 'csp-missing',
+  category: 'security',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    if (headers.headers['content-security-policy']) return null;
+
+    return {
+      params: { reportOnly: Boolean(headers.headers['content-security-policy-report-only']) },
+      evidence: headers.headers['content-security-policy-report-only']
+        ? [`content-security-policy-report-only: ${headers.headers['content-security-policy-report-only']}`]
+        : [],
+    };
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No privacy policy (Datenschutzerklärung) link
+ */
+module.exports = {
+  id: 'datenschutz-missing',
+  category: 'legal',
+  severity: 'high',
+  penalty: 15,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.hasDatenschutzLink) return null;
+
+    return {};
+  },
+};
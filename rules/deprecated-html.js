@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * STRICT AUDITOR: "Old School" HTML (deprecated tags, table layouts).
+ * A fundamentally outdated site can't score above 50.
+ */
+module.exports = {
+  id: 'deprecated-html',
+  category: 'tech',
+  scoreCategory: 'quality',
+  severity: 'critical',
+  penalty: 30,
+  scoreCap: {
+    max: 50,
+    code: 'score-capped',
+  },
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (!dom.hasDeprecatedHTML) return null;
+
+    return {
+      params: { tags: dom.deprecatedTags },
+      evidence: Object.entries(dom.deprecatedTags)
+        .filter(([, count]) => count > 0)
+        .map(([tag, count]) => (tag === 'tableLayout' ? `table layout × ${count}` : `<${tag}> × ${count}`)),
+    };
+  },
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * IDs used by more than one element while a label or ARIA attribute refers
+ * to them - the relationship then points to the wrong element (1.3.1).
+ * Unreferenced duplicates are left alone: 4.1.1 Parsing is obsolete in WCAG 2.2.
+ */
+module.exports = {
+  id: 'duplicate-ids',
+  category: 'accessibility',
+  severity: 'low',
+  penalty: 3,
+  needs: ['accessibility'],
+  wcag: { criterion: '1.3.1', name: 'Info and Relationships', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.duplicateIds;
+    if (count === 0) return null;
+
+    return {
+      params: { count, ids: elements.slice(0, 5).map(element => element.id) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
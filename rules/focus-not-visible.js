@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Elements that look the same with and without keyboard focus
+ */
+module.exports = {
+  id: 'focus-not-visible',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['accessibility'],
+  wcag: { criterion: '2.4.7', name: 'Focus Visible', level: 'AA' },
+
+  evaluate({ accessibility }) {
+    const { checked, count, elements } = accessibility.focus;
+    if (count === 0) return null;
+
+    return {
+      params: { count, checked, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Form fields without a label (a placeholder is no label)
+ */
+module.exports = {
+  id: 'form-labels-missing',
+  category: 'accessibility',
+  severity: 'high',
+  penalty: 10,
+  needs: ['accessibility'],
+  wcag: { criterion: '4.1.2', name: 'Name, Role, Value', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.unlabeledInputs;
+    if (count === 0) return null;
+
+    return {
+      params: { count, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Google Analytics / Tag Manager requests detected
+ */
+module.exports = {
+  id: 'google-analytics',
+  category: 'gdpr',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    if (!network.gdprFindings.googleAnalytics) return null;
+
+    return {
+      evidence: network.thirdParties
+        .filter(tp => ['Google Analytics', 'Google Tag Manager'].includes(tp.vendor))
+        .flatMap(tp => tp.sampleUrls),
+    };
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Google Fonts loaded directly from Google (US) servers
+ */
+module.exports = {
+  id: 'google-fonts',
+  category: 'gdpr',
+  severity: 'high',
+  penalty: 20,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    if (!network.gdprFindings.googleFonts) return null;
+
+    return {
+      evidence: network.thirdParties
+        .filter(tp => tp.vendor === 'Google Fonts')
+        .flatMap(tp => tp.sampleUrls),
+    };
+  },
+};
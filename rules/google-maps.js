@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Google Maps embedded without consent
+ */
+module.exports = {
+  id: 'google-maps',
+  category: 'gdpr',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    if (!network.gdprFindings.googleMaps) return null;
+
+    return {
+      evidence: network.thirdParties
+        .filter(tp => tp.vendor === 'Google Maps')
+        .flatMap(tp => tp.sampleUrls),
+    };
+  },
+};
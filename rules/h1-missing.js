@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No <h1> heading
+ */
+module.exports = {
+  id: 'h1-missing',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.h1Count > 0) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * More than one <h1> heading
+ */
+module.exports = {
+  id: 'h1-multiple',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.h1Count <= 1) return null;
+
+    return {
+      params: { count: dom.h1Count },
+    };
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Heading levels that skip a level (e.g. h2 followed by h4)
+ */
+module.exports = {
+  id: 'heading-order-skipped',
+  category: 'accessibility',
+  severity: 'low',
+  penalty: 3,
+  needs: ['accessibility'],
+  wcag: { criterion: '1.3.1', name: 'Info and Relationships', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.headingSkips;
+    if (count === 0) return null;
+
+    return {
+      params: { count, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
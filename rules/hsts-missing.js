@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * HTTPS site without Strict-Transport-Security
+ */
+module.exports = {
+  id: 'hsts-missing',
+  category: 'security',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['navigation', 'headers'],
+
+  evaluate({ navigation, headers }) {
+    if (navigation.finalProtocol !== 'https:' || headers.headers['strict-transport-security']) return null;
+
+    return {};
+  },
+};
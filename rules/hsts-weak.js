@@ -0,0 +1,38 @@
+'use strict';
+
+// One year - the minimum for the HSTS preload list
+const MIN_MAX_AGE = 31_536_000;
+
+/**
+ * HSTS with a short max-age or without includeSubDomains/preload
+ */
+module.exports = {
+  id: 'hsts-weak',
+  category: 'security',
+  severity: 'low',
+  penalty: 2,
+  needs: ['navigation', 'headers'],
+
+  evaluate({ navigation, headers }) {
+    const hsts = headers.headers['strict-transport-security'];
+    if (navigation.finalProtocol !== 'https:' || !hsts) return null;
+
+    const directives = hsts.toLowerCase().split(';').map(directive => directive.trim());
+    const maxAgeDirective = directives.find(directive => directive.startsWith('max-age='));
+    const maxAge = maxAgeDirective ? parseInt(maxAgeDirective.slice('max-age='.length).replace(/"/g, ''), 10) || 0 : 0;
+
+    const missing = ['includesubdomains', 'preload'].filter(directive => !directives.includes(directive));
+    if (maxAge >= MIN_MAX_AGE && missing.length === 0) return null;
+
+    return {
+      params: {
+        maxAge,
+        maxAgeDays: Math.floor(maxAge / 86_400),
+        shortMaxAge: maxAge < MIN_MAX_AGE,
+        includeSubDomains: !missing.includes('includesubdomains'),
+        preload: !missing.includes('preload'),
+      },
+      evidence: [`strict-transport-security: ${hsts}`],
+    };
+  },
+};
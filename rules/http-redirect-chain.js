@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * http:// needs more than one redirect to reach HTTPS
+ */
+module.exports = {
+  id: 'http-redirect-chain',
+  category: 'security',
+  severity: 'low',
+  penalty: 3,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { httpRedirect } = tls;
+    if (!httpRedirect.redirectsToHttps || httpRedirect.hops.length <= 1) return null;
+
+    return {
+      params: {
+        count: httpRedirect.hops.length,
+        chain: [httpRedirect.url, ...httpRedirect.hops.map(hop => hop.location)].join(' → '),
+      },
+      evidence: httpRedirect.hops.map(hop => `${hop.url} → ${hop.location} (${hop.status})`),
+    };
+  },
+};
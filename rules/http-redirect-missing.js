@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * http:// doesn't lead to HTTPS (no redirect, or redirect to another HTTP URL)
+ */
+module.exports = {
+  id: 'http-redirect-missing',
+  category: 'security',
+  severity: 'high',
+  penalty: 10,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { httpRedirect } = tls;
+    if (httpRedirect.redirectsToHttps) return null;
+
+    // Port 80 closed: nobody reaches an insecure version either
+    if (httpRedirect.hops.length === 0 && httpRedirect.error) return null;
+
+    return {
+      params: { url: httpRedirect.url, finalUrl: httpRedirect.finalUrl },
+      evidence: httpRedirect.hops.length > 0
+        ? httpRedirect.hops.map(hop => `${hop.url} → ${hop.location} (${hop.status})`)
+        : [`${httpRedirect.url} (${httpRedirect.status || httpRedirect.error})`],
+    };
+  },
+};
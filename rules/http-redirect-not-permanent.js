@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * http:// redirects to HTTPS with a temporary status (302/303/307) instead of 301/308
+ */
+module.exports = {
+  id: 'http-redirect-not-permanent',
+  category: 'security',
+  severity: 'low',
+  penalty: 3,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { httpRedirect } = tls;
+    if (!httpRedirect.redirectsToHttps) return null;
+
+    const temporary = httpRedirect.hops.filter(hop => ![301, 308].includes(hop.status));
+    if (temporary.length === 0) return null;
+
+    return {
+      params: { statuses: [...new Set(temporary.map(hop => hop.status))].join(', ') },
+      evidence: temporary.map(hop => `${hop.url} → ${hop.location} (${hop.status})`),
+    };
+  },
+};
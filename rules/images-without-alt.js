@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Images without alt text
+ */
+module.exports = {
+  id: 'images-without-alt',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+  wcag: { criterion: '1.1.1', name: 'Non-text Content', level: 'A' },
+
+  evaluate({ dom }) {
+    if (dom.totalImages === 0 || dom.imagesWithoutAlt === 0) return null;
+
+    const percentage = Math.round((dom.imagesWithoutAlt / dom.totalImages) * 100);
+
+    return {
+      params: { missing: dom.imagesWithoutAlt, total: dom.totalImages, percentage },
+    };
+  },
+};
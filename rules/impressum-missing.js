@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No Impressum link (required in Germany, §5 TMG)
+ */
+module.exports = {
+  id: 'impressum-missing',
+  category: 'legal',
+  severity: 'critical',
+  penalty: 30,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.hasImpressumLink) return null;
+
+    return {};
+  },
+};
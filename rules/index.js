@@ -0,0 +1,269 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { registerMessages } = require('../messages');
+
+// ---------------------------------------------------------------------------
+// Rule registry - every check of performScan is a rule module
+// ---------------------------------------------------------------------------
+
+/**
+ * Page data a rule can ask for via `needs`. performScan only collects what
+ * the enabled rules need and passes it to evaluate() under the same key.
+ * Rules whose data couldn't be collected (e.g. the mobile pass failed) are skipped.
+ *
+ * - navigation: { finalUrl, finalProtocol }
+ * - network:    { gdprFindings, thirdParties, qualityFindings, httpRequests }
+ * - dom:        result of the main page.evaluate (title, meta, tags, images, ...)
+ * - legal:      { found, match } from the legal placeholder check (visits the Impressum page)
+ * - mobile:     metrics of the mobile pass in an emulated phone (overflow, tap targets, fonts, viewport)
+ * - performance: navigation timing, Core Web Vitals (LCP, CLS, TBT) and network totals
+ * - consent:    cookie banner (platforms, accept/reject buttons), cookies and trackers before
+ *               consent, and what changed after "accept all" / "reject all" (opt-in passes)
+ * - storage:    cookies after load (flags, lifetime, vendor) and localStorage/sessionStorage keys
+ * - headers:    { status, headers } of the main document response (lowercase names, no set-cookie)
+ * - tls:        { certificate, httpRedirect } - certificate details and the http:// redirect
+ *               probe (HTTPS sites only)
+ * - redirects:  { chain, wwwRetry, hostVariant } - redirect hops of the navigation and the
+ *               probe of the other host spelling (www ↔ apex)
+ * - structuredData: schema.org items (JSON-LD, Microdata) with missing properties, JSON-LD
+ *               parse errors, LocalBusiness data and local signals (phone, postal address)
+ * - crawlability: { robots, sitemaps, sitemapUrlCount, noindex } - robots.txt evaluated for
+ *               Googlebot, sitemaps found and noindex via meta robots / X-Robots-Tag
+ * - links:      { checked, unchecked, broken } - link targets that failed (linkCheck option only)
+ * - accessibility: contrast, unlabeledInputs, unnamedButtons, unnamedLinks, headingSkips,
+ *               duplicateIds and focus as { count, elements } (each element with a selector),
+ *               plus landmarks - collected in the page and by tabbing through it
+ * - page:       the Playwright page itself, for rules that run their own page.evaluate
+ */
+const DATA_SOURCES = ['navigation', 'network', 'dom', 'legal', 'mobile', 'performance', 'consent', 'storage', 'headers', 'tls', 'redirects', 'structuredData', 'crawlability', 'links', 'accessibility', 'page'];
+
+// Most severe first
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Built-in rules, in report order
+ */
+const BUILT_IN_RULES = [
+  require('./no-https'),
+  require('./tls-certificate-invalid'),
+  require('./tls-certificate-expiring'),
+  require('./tls-certificate-names'),
+  require('./tls-protocol-outdated'),
+  require('./http-redirect-missing'),
+  require('./http-redirect-not-permanent'),
+  require('./http-redirect-chain'),
+  require('./viewport-missing'),
+  require('./mobile-viewport-ineffective'),
+  require('./mobile-horizontal-overflow'),
+  require('./mobile-tap-targets'),
+  require('./mobile-font-size'),
+  require('./legal-placeholders'),
+  require('./impressum-missing'),
+  require('./datenschutz-missing'),
+  require('./google-fonts'),
+  require('./google-maps'),
+  require('./google-analytics'),
+  require('./third-party-outside-eu'),
+  require('./consent-banner-missing'),
+  require('./tracking-before-consent'),
+  require('./consent-no-reject'),
+  require('./tracking-after-reject'),
+  require('./cookie-long-lived-tracking'),
+  require('./deprecated-html'),
+  require('./javascript-errors'),
+  require('./tiny-fonts'),
+  require('./broken-resources'),
+  require('./broken-links-internal'),
+  require('./broken-links-external'),
+  require('./mixed-content'),
+  require('./cookie-insecure'),
+  require('./hsts-missing'),
+  require('./hsts-weak'),
+  require('./csp-missing'),
+  require('./clickjacking-protection-missing'),
+  require('./content-type-options-missing'),
+  require('./referrer-policy-missing'),
+  require('./permissions-policy-missing'),
+  require('./server-version-disclosure'),
+  require('./slow-server-response'),
+  require('./slow-lcp'),
+  require('./layout-shift'),
+  require('./blocking-time'),
+  require('./page-weight'),
+  require('./too-many-requests'),
+  require('./redirect-chain-long'),
+  require('./redirect-temporary'),
+  require('./www-inconsistent'),
+  require('./noindex-homepage'),
+  require('./robots-disallow-all'),
+  require('./robots-homepage-blocked'),
+  require('./sitemap-missing'),
+  require('./title-missing'),
+  require('./title-too-short'),
+  require('./title-too-long'),
+  require('./meta-description-missing'),
+  require('./meta-description-too-short'),
+  require('./h1-missing'),
+  require('./h1-multiple'),
+  require('./lang-missing'),
+  require('./open-graph-missing'),
+  require('./structured-data-invalid'),
+  require('./structured-data-incomplete'),
+  require('./local-business-schema-missing'),
+  require('./images-without-alt'),
+  require('./contrast-insufficient'),
+  require('./form-labels-missing'),
+  require('./button-name-missing'),
+  require('./link-name-missing'),
+  require('./heading-order-skipped'),
+  require('./landmark-main-missing'),
+  require('./duplicate-ids'),
+  require('./focus-not-visible'),
+];
+
+const registry = new Map();
+
+/**
+ * Register a rule.
+ *
+ * A rule module exports:
+ * - id:               stable identifier (kebab-case)
+ * - category:         issue category shown in results
+ * - scoreCategory:    score category the penalty is booked against (default: category)
+ * - severity:         'critical' | 'high' | 'medium' | 'low'
+ * - penalty:          default penalty points
+ * - needs:            data sources from DATA_SOURCES
+ * - evaluate(data):   returns null (pass) or a finding { code?, params?, severity?, url?, elements?, evidence? }
+ *                     - may be async. The issue code defaults to the rule id; title, message and
+ *                     remediation come from the message catalog, rendered with params. severity
+ *                     overrides the default (e.g. 'high' above a second threshold). url is the
+ *                     affected page (default: the scanned URL), elements are CSS selectors of the
+ *                     affected elements, evidence short strings like request URLs or header values.
+ * - scoreCap:         optional { max, code } - caps the score when the rule fires
+ * - wcag:             optional { criterion, name, level } - WCAG success criterion the rule checks,
+ *                     copied to the issue
+ * - enabledByDefault: false for opt-in rules (default: true)
+ * - messages:         optional { de: { title, message, remediation? }, en: {...} } - catalog texts
+ *                     for the rule id (for rules outside the built-in catalog)
+ *
+ * @param {object} rule - Rule module
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Rule must have an id.');
+  }
+  if (registry.has(rule.id)) {
+    throw new Error(`Rule '${rule.id}' is already registered.`);
+  }
+  if (typeof rule.evaluate !== 'function') {
+    throw new Error(`Rule '${rule.id}' must have an evaluate function.`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule '${rule.id}' has an invalid severity '${rule.severity}'.`);
+  }
+  if (typeof rule.penalty !== 'number' || rule.penalty < 0) {
+    throw new Error(`Rule '${rule.id}' must have a penalty >= 0.`);
+  }
+
+  const unknownNeeds = (rule.needs || []).filter(need => !DATA_SOURCES.includes(need));
+  if (unknownNeeds.length > 0) {
+    throw new Error(`Rule '${rule.id}' needs unknown data: ${unknownNeeds.join(', ')}.`);
+  }
+
+  if (rule.messages) {
+    for (const [lang, entry] of Object.entries(rule.messages)) {
+      registerMessages(lang, { [rule.id]: entry });
+    }
+  }
+
+  registry.set(rule.id, {
+    scoreCategory: rule.category,
+    enabledByDefault: true,
+    needs: [],
+    ...rule,
+  });
+}
+
+/**
+ * Remove a registered rule (its catalog texts stay)
+ *
+ * @param {string} id - Rule id
+ * @returns {boolean} - Whether the rule was registered
+ */
+function unregisterRule(id) {
+  return registry.delete(id);
+}
+
+/**
+ * Register every .js file in a directory as a rule (client-specific checks)
+ *
+ * @param {string} dir - Directory with rule modules
+ * @returns {number} - Number of rules registered
+ */
+function loadRulesFromDir(dir) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+  files.forEach(file => registerRule(require(path.resolve(dir, file))));
+  return files.length;
+}
+
+/**
+ * All registered rules, in report order
+ */
+function getRules() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Resolve the rules to run for one request.
+ * Throws on unknown rule ids or invalid penalties.
+ *
+ * @param {object} [config] - Per-request rule config
+ * @param {string[]} [config.enable] - Opt-in rules to enable
+ * @param {string[]} [config.disable] - Rules to skip
+ * @param {Object<string, number>} [config.penalties] - Penalty overrides by rule id
+ * @returns {Array<object>} - Rules with their effective penalty
+ */
+function resolveRules(config) {
+  const enable = (config && config.enable) || [];
+  const disable = (config && config.disable) || [];
+  const penalties = (config && config.penalties) || {};
+
+  if (!Array.isArray(enable) || !Array.isArray(disable) || typeof penalties !== 'object') {
+    throw new Error('Invalid rules option. Expected { enable: [], disable: [], penalties: {} }.');
+  }
+
+  for (const id of [...enable, ...disable, ...Object.keys(penalties)]) {
+    if (!registry.has(id)) {
+      throw new Error(`Invalid rules option: unknown rule '${id}'.`);
+    }
+  }
+
+  for (const [id, penalty] of Object.entries(penalties)) {
+    if (typeof penalty !== 'number' || penalty < 0) {
+      throw new Error(`Invalid rules option: penalty for '${id}' must be a number >= 0.`);
+    }
+  }
+
+  return getRules()
+    .filter(rule => !disable.includes(rule.id))
+    .filter(rule => rule.enabledByDefault || enable.includes(rule.id))
+    .map(rule => ({
+      ...rule,
+      penalty: penalties[rule.id] !== undefined ? penalties[rule.id] : rule.penalty,
+    }));
+}
+
+BUILT_IN_RULES.forEach(registerRule);
+
+module.exports = {
+  DATA_SOURCES,
+  SEVERITIES,
+  registerRule,
+  unregisterRule,
+  loadRulesFromDir,
+  getRules,
+  resolveRules,
+};
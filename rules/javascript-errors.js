@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * STRICT AUDITOR: console errors and uncaught exceptions while loading
+ */
+module.exports = {
+  id: 'javascript-errors',
+  category: 'tech',
+  scoreCategory: 'quality',
+  severity: 'high',
+  penalty: 15,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    const { consoleErrors, pageErrors } = network.qualityFindings;
+    if (consoleErrors.length === 0 && pageErrors.length === 0) return null;
+
+    const totalErrors = consoleErrors.length + pageErrors.length;
+    const errorSamples = [
+      ...pageErrors.slice(0, 2),
+      ...consoleErrors.slice(0, 2),
+    ].map(err => err.substring(0, 100)).join('; ');
+
+    return {
+      params: { count: totalErrors, samples: errorSamples },
+      evidence: [...pageErrors, ...consoleErrors].slice(0, 10),
+    };
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Neither a main landmark nor a skip link - keyboard and screen reader users
+ * have to pass the whole header and navigation on every page
+ */
+module.exports = {
+  id: 'landmark-main-missing',
+  category: 'accessibility',
+  severity: 'low',
+  penalty: 3,
+  needs: ['accessibility'],
+  wcag: { criterion: '2.4.1', name: 'Bypass Blocks', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { landmarks } = accessibility;
+    if (landmarks.main || landmarks.skipLink) return null;
+
+    return {
+      params: { navigation: landmarks.navigation },
+    };
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No lang attribute on <html>
+ */
+module.exports = {
+  id: 'lang-missing',
+  category: 'seo',
+  severity: 'low',
+  penalty: 2,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.htmlLang) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Cumulative Layout Shift above 0.1 (high above 0.25)
+ */
+module.exports = {
+  id: 'layout-shift',
+  category: 'performance',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    const cls = performance.cumulativeLayoutShift;
+    if (cls <= 0.1) return null;
+
+    return {
+      severity: cls > 0.25 ? 'high' : 'medium',
+      params: { cls },
+      evidence: [`cumulativeLayoutShift: ${cls}`],
+    };
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Legal texts still contain template placeholders (homepage or Impressum page)
+ */
+module.exports = {
+  id: 'legal-placeholders',
+  category: 'legal',
+  severity: 'critical',
+  penalty: 40,
+  needs: ['legal'],
+
+  evaluate({ legal }) {
+    if (!legal.found) return null;
+
+    return {
+      params: { match: legal.match },
+      url: legal.url,
+      evidence: [legal.match],
+    };
+  },
+};
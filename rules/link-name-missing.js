@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Links without an accessible name (e.g. icon or image links without text or alt)
+ */
+module.exports = {
+  id: 'link-name-missing',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['accessibility'],
+  wcag: { criterion: '2.4.4', name: 'Link Purpose (In Context)', level: 'A' },
+
+  evaluate({ accessibility }) {
+    const { count, elements } = accessibility.unnamedLinks;
+    if (count === 0) return null;
+
+    return {
+      params: { count, elements: elements.slice(0, 3) },
+      elements: elements.map(element => element.selector),
+    };
+  },
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Page shows a phone number or postal address but has no LocalBusiness markup
+ */
+module.exports = {
+  id: 'local-business-schema-missing',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['structuredData'],
+
+  evaluate({ structuredData }) {
+    const { localBusiness, localSignals } = structuredData;
+    if (localBusiness || (!localSignals.phone && !localSignals.postalAddress)) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No meta description
+ */
+module.exports = {
+  id: 'meta-description-missing',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.metaDescription) return null;
+
+    return {};
+  },
+};
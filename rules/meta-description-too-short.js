@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Meta description shorter than 50 characters
+ */
+module.exports = {
+  id: 'meta-description-too-short',
+  category: 'seo',
+  severity: 'low',
+  penalty: 3,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (!dom.metaDescription || dom.metaDescription.length >= 50) return null;
+
+    return {
+      params: { length: dom.metaDescription.length },
+      evidence: [dom.metaDescription],
+    };
+  },
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * STRICT AUDITOR: resources loaded over HTTP on an HTTPS page
+ */
+module.exports = {
+  id: 'mixed-content',
+  category: 'security',
+  severity: 'high',
+  penalty: 20,
+  needs: ['navigation', 'network'],
+
+  evaluate({ navigation, network }) {
+    const { httpRequests } = network;
+    if (navigation.finalProtocol !== 'https:' || httpRequests.length === 0) return null;
+
+    const mixedTypes = [...new Set(httpRequests.map(r => r.type))].join(', ');
+
+    return {
+      params: { count: httpRequests.length, types: mixedTypes },
+      evidence: httpRequests.map(r => r.url),
+    };
+  },
+};
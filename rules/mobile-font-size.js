@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * More than 40% of the text is below 12px at mobile width
+ */
+module.exports = {
+  id: 'mobile-font-size',
+  category: 'mobile',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['mobile'],
+
+  evaluate({ mobile }) {
+    if (mobile.smallTextRatio <= 0.4) return null;
+
+    return {
+      params: {
+        percentage: Math.round(mobile.smallTextRatio * 100),
+        size: Math.round(mobile.minFontSize),
+      },
+    };
+  },
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Content is wider than the phone screen (horizontal scrolling)
+ */
+module.exports = {
+  id: 'mobile-horizontal-overflow',
+  category: 'mobile',
+  severity: 'high',
+  penalty: 15,
+  needs: ['mobile'],
+
+  evaluate({ mobile }) {
+    if (!mobile.hasHorizontalOverflow) return null;
+
+    return {
+      params: {
+        documentWidth: mobile.documentWidth,
+        viewportWidth: mobile.viewportWidth,
+        elements: mobile.overflowingElements.join(', '),
+      },
+      evidence: mobile.overflowingElements,
+    };
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Buttons and links too small to tap (below 44x44px)
+ */
+module.exports = {
+  id: 'mobile-tap-targets',
+  category: 'mobile',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['mobile'],
+
+  evaluate({ mobile }) {
+    // A few small icons are normal - flag at 5+ targets or a quarter of all targets
+    const tooMany = mobile.smallTapTargets >= 5 || mobile.smallTapTargets > mobile.tapTargets * 0.25;
+    if (mobile.smallTapTargets === 0 || !tooMany) return null;
+
+    return {
+      params: {
+        count: mobile.smallTapTargets,
+        total: mobile.tapTargets,
+        examples: mobile.smallTapTargetExamples.join(', '),
+      },
+      evidence: mobile.smallTapTargetExamples,
+    };
+  },
+};
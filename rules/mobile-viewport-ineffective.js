@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Viewport meta tag exists, but the phone still renders a desktop-width layout
+ * (e.g. width=1024 or a broken content value)
+ */
+module.exports = {
+  id: 'mobile-viewport-ineffective',
+  category: 'mobile',
+  severity: 'high',
+  penalty: 15,
+  needs: ['dom', 'mobile'],
+
+  evaluate({ dom, mobile }) {
+    // A missing tag is reported by viewport-missing
+    if (!dom.hasViewportMeta || mobile.viewportEffective) return null;
+
+    return {
+      params: { content: mobile.viewportContent, deviceWidth: mobile.deviceWidth },
+      evidence: [`<meta name="viewport" content="${mobile.viewportContent}">`],
+    };
+  },
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Site is not served over HTTPS (checked on the final URL after redirects)
+ */
+module.exports = {
+  id: 'no-https',
+  category: 'security',
+  severity: 'high',
+  penalty: 40,
+  needs: ['navigation'],
+
+  evaluate({ navigation }) {
+    if (navigation.finalProtocol === 'https:') return null;
+
+    return {
+      evidence: [navigation.finalUrl],
+    };
+  },
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Homepage excluded from search results via meta robots or X-Robots-Tag
+ */
+module.exports = {
+  id: 'noindex-homepage',
+  category: 'seo',
+  severity: 'critical',
+  penalty: 25,
+  needs: ['crawlability'],
+
+  evaluate({ crawlability }) {
+    const { noindex } = crawlability;
+    if (!noindex.meta && !noindex.header) return null;
+
+    const source = noindex.meta ? `<meta name="robots" content="${noindex.metaRobots}">` : `X-Robots-Tag: ${noindex.robotsHeader}`;
+
+    return {
+      params: { source },
+      evidence: [source],
+    };
+  },
+};
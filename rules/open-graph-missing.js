@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Neither og:title nor og:description
+ */
+module.exports = {
+  id: 'open-graph-missing',
+  category: 'seo',
+  severity: 'low',
+  penalty: 3,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.ogTitle || dom.ogDescription) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const MB = 1024 * 1024;
+
+/**
+ * Total transfer size above 3 MB (high above 6 MB)
+ */
+module.exports = {
+  id: 'page-weight',
+  category: 'performance',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    const { transferSize, largestResources } = performance;
+    if (transferSize <= 3 * MB) return null;
+
+    return {
+      severity: transferSize > 6 * MB ? 'high' : 'medium',
+      params: {
+        megabytes: (transferSize / MB).toFixed(1),
+        largest: largestResources
+          .slice(0, 3)
+          .map(r => `${r.url.split('/').pop().split('?')[0] || r.url} (${Math.round(r.size / 1024)} KB)`)
+          .join(', '),
+      },
+      evidence: largestResources.map(r => `${r.url} (${r.size} bytes)`),
+    };
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No Permissions-Policy restricting browser features (camera, geolocation, ...)
+ */
+module.exports = {
+  id: 'permissions-policy-missing',
+  category: 'security',
+  severity: 'low',
+  penalty: 1,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    if (headers.headers['permissions-policy']) return null;
+
+    return {};
+  },
+};
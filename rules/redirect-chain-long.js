@@ -0,0 +1,27 @@
+'use strict';
+
+const MAX_HOPS = 2;
+
+/**
+ * More than two redirects before the page loads
+ */
+module.exports = {
+  id: 'redirect-chain-long',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['redirects'],
+
+  evaluate({ redirects }) {
+    const { chain } = redirects;
+    if (chain.length <= MAX_HOPS) return null;
+
+    return {
+      params: {
+        count: chain.length,
+        chain: [...chain.map(hop => `${hop.url} (${hop.status})`), chain[chain.length - 1].location].join(' → '),
+      },
+      evidence: chain.map(hop => `${hop.url} → ${hop.location} (${hop.status})`),
+    };
+  },
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Temporary redirects (302/303/307) on the way to the page - search engines
+ * keep the old URL indexed
+ */
+module.exports = {
+  id: 'redirect-temporary',
+  category: 'seo',
+  severity: 'low',
+  penalty: 3,
+  needs: ['redirects'],
+
+  evaluate({ redirects }) {
+    const temporary = redirects.chain.filter(hop => [302, 303, 307].includes(hop.status));
+    if (temporary.length === 0) return null;
+
+    return {
+      params: {
+        count: temporary.length,
+        hops: temporary.map(hop => `${hop.url} → ${hop.location} (${hop.status})`).join(', '),
+      },
+      evidence: temporary.map(hop => `${hop.url} → ${hop.location} (${hop.status})`),
+    };
+  },
+};
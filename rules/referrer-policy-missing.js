@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Referrer-Policy missing or leaking full URLs (unsafe-url)
+ */
+module.exports = {
+  id: 'referrer-policy-missing',
+  category: 'security',
+  severity: 'low',
+  penalty: 2,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    const policy = (headers.headers['referrer-policy'] || '').trim().toLowerCase();
+
+    // The last valid value wins - unsafe-url sends full URLs to every site
+    const effective = policy.split(',').map(value => value.trim()).filter(Boolean).pop();
+    if (effective === 'unsafe-url') {
+      return {
+        code: 'referrer-policy-unsafe',
+        evidence: [`referrer-policy: ${headers.headers['referrer-policy']}`],
+      };
+    }
+    if (effective) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * robots.txt blocks the whole site for search engines (Disallow: /)
+ */
+module.exports = {
+  id: 'robots-disallow-all',
+  category: 'seo',
+  severity: 'critical',
+  penalty: 25,
+  needs: ['crawlability'],
+
+  evaluate({ crawlability }) {
+    if (!crawlability.robots.disallowsAll) return null;
+
+    return {
+      params: { url: crawlability.robots.url },
+      evidence: [crawlability.robots.url],
+    };
+  },
+};
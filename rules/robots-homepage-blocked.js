@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * robots.txt blocks the scanned page (but not the whole site - see robots-disallow-all)
+ */
+module.exports = {
+  id: 'robots-homepage-blocked',
+  category: 'seo',
+  severity: 'high',
+  penalty: 15,
+  needs: ['navigation', 'crawlability'],
+
+  evaluate({ navigation, crawlability }) {
+    const { robots } = crawlability;
+    if (robots.homepageAllowed || robots.disallowsAll) return null;
+
+    return {
+      params: { url: navigation.finalUrl, robotsUrl: robots.url },
+      evidence: [robots.url],
+    };
+  },
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Headers that reveal server software and versions
+const DISCLOSING_HEADERS = ['server', 'x-powered-by', 'x-aspnet-version', 'x-aspnetmvc-version', 'x-generator'];
+
+/**
+ * Server software versions exposed in response headers (e.g. Server: Apache/2.2.15)
+ */
+module.exports = {
+  id: 'server-version-disclosure',
+  category: 'security',
+  severity: 'low',
+  penalty: 3,
+  needs: ['headers'],
+
+  evaluate({ headers }) {
+    const disclosed = DISCLOSING_HEADERS
+      .filter(name => headers.headers[name])
+      // A bare product name (Server: nginx) reveals little - only report versions
+      .filter(name => name !== 'server' || /\d/.test(headers.headers[name]))
+      .map(name => `${name}: ${headers.headers[name]}`);
+
+    if (disclosed.length === 0) return null;
+
+    return {
+      params: { headers: disclosed.join(', ') },
+      evidence: disclosed,
+    };
+  },
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * No usable sitemap (neither via robots.txt nor at /sitemap.xml)
+ */
+module.exports = {
+  id: 'sitemap-missing',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['crawlability'],
+
+  evaluate({ crawlability }) {
+    if (crawlability.sitemapUrlCount > 0) return null;
+
+    const broken = crawlability.sitemaps.filter(sitemap => sitemap.status === 200);
+
+    return {
+      params: {
+        checked: crawlability.sitemaps.map(sitemap => sitemap.url).join(', '),
+        broken: broken.length > 0,
+      },
+      evidence: crawlability.sitemaps.map(sitemap => `${sitemap.url} (${sitemap.error || sitemap.status || 'no response'})`),
+    };
+  },
+};
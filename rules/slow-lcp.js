@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Largest Contentful Paint above 2.5s (high above 4s)
+ */
+module.exports = {
+  id: 'slow-lcp',
+  category: 'performance',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    const lcp = performance.largestContentfulPaint;
+    if (lcp === null || lcp <= 2500) return null;
+
+    return {
+      severity: lcp > 4000 ? 'high' : 'medium',
+      params: { seconds: (lcp / 1000).toFixed(1) },
+      evidence: [`largestContentfulPaint: ${lcp} ms`],
+    };
+  },
+};
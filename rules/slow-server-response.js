@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Time to first byte above 800ms (high above 1800ms)
+ */
+module.exports = {
+  id: 'slow-server-response',
+  category: 'performance',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    const { ttfb } = performance;
+    if (ttfb === null || ttfb <= 800) return null;
+
+    return {
+      severity: ttfb > 1800 ? 'high' : 'medium',
+      params: { ms: ttfb },
+      evidence: [`ttfb: ${ttfb} ms`],
+    };
+  },
+};
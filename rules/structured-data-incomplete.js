@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * LocalBusiness, Organization, Product or BreadcrumbList items without their
+ * required properties (see catalogs/schema-types.js)
+ */
+module.exports = {
+  id: 'structured-data-incomplete',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['structuredData'],
+
+  evaluate({ structuredData }) {
+    const incomplete = structuredData.items.filter(item => item.missing.length > 0);
+    if (incomplete.length === 0) return null;
+
+    return {
+      params: {
+        count: incomplete.length,
+        items: incomplete.slice(0, 5).map(item => `${item.types[0] || item.checkedAs} (${item.missing.join(', ')})`).join('; '),
+      },
+      evidence: incomplete.map(item => `${item.source} ${item.types[0] || item.checkedAs}: missing ${item.missing.join(', ')}`),
+    };
+  },
+};
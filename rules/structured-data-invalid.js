@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * JSON-LD blocks that aren't valid JSON (search engines ignore them entirely)
+ */
+module.exports = {
+  id: 'structured-data-invalid',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['structuredData'],
+
+  evaluate({ structuredData }) {
+    const { jsonLdErrors } = structuredData;
+    if (jsonLdErrors.length === 0) return null;
+
+    return {
+      params: { count: jsonLdErrors.length, error: jsonLdErrors[0].error },
+      evidence: jsonLdErrors.map(error => `${error.error}: ${error.snippet}`),
+    };
+  },
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Vendors with their own rule (google-fonts, google-maps, google-analytics)
+const COVERED_VENDORS = ['Google Fonts', 'Google Maps', 'Google Analytics', 'Google Tag Manager'];
+
+/**
+ * Services outside the EU contacted before consent (see catalogs/third-parties.js)
+ */
+module.exports = {
+  id: 'third-party-outside-eu',
+  category: 'gdpr',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['network'],
+
+  evaluate({ network }) {
+    const outsideEU = network.thirdParties.filter(tp => tp.outsideEU && !COVERED_VENDORS.includes(tp.vendor));
+    const vendors = [...new Set(outsideEU.map(tp => tp.vendor))];
+    if (vendors.length === 0) return null;
+
+    return {
+      params: { count: vendors.length, vendors: vendors.join(', ') },
+      evidence: outsideEU.flatMap(tp => tp.sampleUrls),
+    };
+  },
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * STRICT AUDITOR: text below 14px (readability)
+ */
+module.exports = {
+  id: 'tiny-fonts',
+  category: 'accessibility',
+  severity: 'medium',
+  penalty: 10,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (!dom.hasTinyFonts) return null;
+
+    return {
+      params: { size: Math.round(dom.minFontSize) },
+    };
+  },
+};
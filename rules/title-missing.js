@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No <title>
+ */
+module.exports = {
+  id: 'title-missing',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.title) return null;
+
+    return {};
+  },
+};
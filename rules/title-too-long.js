@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * <title> longer than 70 characters (truncated in search results)
+ */
+module.exports = {
+  id: 'title-too-long',
+  category: 'seo',
+  severity: 'low',
+  penalty: 3,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.title.length <= 70) return null;
+
+    return {
+      params: { length: dom.title.length },
+      evidence: [`<title>${dom.title}</title>`],
+    };
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * <title> shorter than 10 characters
+ */
+module.exports = {
+  id: 'title-too-short',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (!dom.title || dom.title.length >= 10) return null;
+
+    return {
+      params: { length: dom.title.length },
+      evidence: [`<title>${dom.title}</title>`],
+    };
+  },
+};
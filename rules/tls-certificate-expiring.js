@@ -0,0 +1,24 @@
+'use strict';
+
+const WARNING_DAYS = 14;
+
+/**
+ * Trusted certificate that expires within 14 days (failed auto-renewal)
+ */
+module.exports = {
+  id: 'tls-certificate-expiring',
+  category: 'security',
+  severity: 'high',
+  penalty: 10,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { certificate } = tls;
+    if (!certificate.trusted || certificate.daysRemaining > WARNING_DAYS) return null;
+
+    return {
+      params: { days: certificate.daysRemaining, validTo: certificate.validTo, issuer: certificate.issuer },
+      evidence: [`validTo: ${certificate.validTo}`, `issuer: ${certificate.issuer}`],
+    };
+  },
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Certificate not trusted by browsers (expired, self-signed, wrong host, incomplete chain)
+ */
+module.exports = {
+  id: 'tls-certificate-invalid',
+  category: 'security',
+  severity: 'critical',
+  penalty: 25,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { certificate } = tls;
+    if (certificate.trusted) return null;
+
+    if (certificate.error === 'CERT_HAS_EXPIRED') {
+      return {
+        code: 'tls-certificate-expired',
+        params: { validTo: certificate.validTo, days: -certificate.daysRemaining, issuer: certificate.issuer },
+        evidence: [`validTo: ${certificate.validTo}`, `issuer: ${certificate.issuer}`],
+      };
+    }
+
+    return {
+      params: { error: certificate.error, issuer: certificate.issuer },
+      evidence: [`error: ${certificate.error}`, `issuer: ${certificate.issuer}`, `subject: ${certificate.subject}`],
+    };
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Certificate doesn't cover both the apex domain and www (where both resolve)
+ */
+module.exports = {
+  id: 'tls-certificate-names',
+  category: 'security',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { uncoveredHosts, subjectAltNames } = tls.certificate;
+    if (uncoveredHosts.length === 0) return null;
+
+    return {
+      params: { hosts: uncoveredHosts.join(', ') },
+      evidence: [`subjectAltNames: ${subjectAltNames.join(', ')}`],
+    };
+  },
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Server negotiates TLS 1.0/1.1 (deprecated, blocked by current browsers)
+ */
+module.exports = {
+  id: 'tls-protocol-outdated',
+  category: 'security',
+  severity: 'high',
+  penalty: 15,
+  needs: ['tls'],
+
+  evaluate({ tls }) {
+    const { protocol } = tls.certificate;
+    if (!['TLSv1', 'TLSv1.1', 'SSLv3'].includes(protocol)) return null;
+
+    return {
+      params: { protocol },
+      evidence: [`protocol: ${protocol}`],
+    };
+  },
+};
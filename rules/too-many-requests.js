@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * More than 100 requests to load the page
+ */
+module.exports = {
+  id: 'too-many-requests',
+  category: 'performance',
+  severity: 'low',
+  penalty: 3,
+  needs: ['performance'],
+
+  evaluate({ performance }) {
+    if (performance.requestCount <= 100) return null;
+
+    return {
+      params: { count: performance.requestCount },
+      evidence: [`requestCount: ${performance.requestCount}`],
+    };
+  },
+};
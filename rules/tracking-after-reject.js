@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Trackers or new third-party cookies after "reject all" (needs the consentInteraction option)
+ */
+module.exports = {
+  id: 'tracking-after-reject',
+  category: 'gdpr',
+  severity: 'critical',
+  penalty: 20,
+  needs: ['consent'],
+
+  evaluate({ consent }) {
+    const pass = consent.afterReject;
+    if (!pass || !pass.clicked) return null;
+
+    const sources = [
+      ...pass.newTrackers,
+      ...new Set(pass.newCookies.filter(cookie => cookie.thirdParty).map(cookie => cookie.domain)),
+    ];
+    if (sources.length === 0) return null;
+
+    return {
+      params: { sources: sources.join(', ') },
+      evidence: pass.newCookies.map(cookie => `cookie: ${cookie.name} (${cookie.domain})`),
+    };
+  },
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Analytics or marketing services contacted while the cookie banner is still open
+ */
+module.exports = {
+  id: 'tracking-before-consent',
+  category: 'gdpr',
+  severity: 'high',
+  penalty: 15,
+  needs: ['consent'],
+
+  evaluate({ consent }) {
+    // Without a banner, consent-banner-missing reports the trackers
+    if (!consent.bannerVisible || consent.beforeConsent.trackers.length === 0) return null;
+
+    return {
+      params: {
+        count: consent.beforeConsent.trackers.length,
+        vendors: consent.beforeConsent.trackers.join(', '),
+      },
+    };
+  },
+};
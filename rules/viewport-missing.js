@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * No responsive viewport meta tag
+ */
+module.exports = {
+  id: 'viewport-missing',
+  category: 'mobile',
+  severity: 'high',
+  penalty: 20,
+  needs: ['dom'],
+
+  evaluate({ dom }) {
+    if (dom.hasViewportMeta) return null;
+
+    return {};
+  },
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * www and non-www don't agree: the other spelling serves its own copy,
+ * redirects elsewhere or doesn't load at all
+ */
+module.exports = {
+  id: 'www-inconsistent',
+  category: 'seo',
+  severity: 'medium',
+  penalty: 5,
+  needs: ['navigation', 'redirects'],
+
+  evaluate({ navigation, redirects }) {
+    const { hostVariant } = redirects;
+    if (!hostVariant || hostVariant.redirectsToFinalHost) return null;
+
+    const finalHost = new URL(navigation.finalUrl).hostname;
+
+    if (!hostVariant.reachable) {
+      return {
+        code: 'www-variant-unreachable',
+        severity: 'low',
+        params: { variant: hostVariant.host, finalHost, error: hostVariant.error },
+        evidence: [`${hostVariant.url}: ${hostVariant.error}`],
+      };
+    }
+
+    return {
+      params: { variant: hostVariant.host, finalHost, status: hostVariant.status, endUrl: hostVariant.finalUrl },
+      evidence: [`${hostVariant.url} → ${hostVariant.finalUrl} (${hostVariant.status})`],
+    };
+  },
+};
@@ -1,8 +1,25 @@
 'use strict';
 
+const crypto = require('crypto');
+const path = require('path');
+const dns = require('dns').promises;
+const tls = require('tls');
 const express = require('express');
 const cors = require('cors');
-const { chromium } = require('playwright');
+const { chromium, devices } = require('playwright');
+const { getRules, resolveRules, loadRulesFromDir } = require('./rules');
+const { translate, SUPPORTED_LANGS, DEFAULT_LANG } = require('./messages');
+const { classifyThirdParty, TRACKING_PURPOSES } = require('./catalogs/third-parties');
+const { classifyCookie } = require('./catalogs/cookies');
+const { LOCAL_BUSINESS_TYPES, normalizeSchemaType, validateSchemaItem } = require('./catalogs/schema-types');
+const { CONSENT_PLATFORMS, ACCEPT_TEXT, REJECT_TEXT } = require('./catalogs/consent-platforms');
+const { isPathAllowed, getCrawlDelay, fetchRobotsTxt, fetchSitemaps, ROBOTS_FETCH_TIMEOUT_MS } = require('./robots');
+const { createFileStore, createMonitorFileStore, diffRuns } = require('./store');
+const { parseCron, cronMatches, nextCronRun, parseAlerts, summarizeMonitorRun, evaluateAlerts } = require('./monitors');
+const { errorStatus, createJobQueue } = require('./jobs');
+const { createWebhookSender } = require('./webhooks');
+const { createBatchRunner } = require('./batch');
+const { emitJobEvent, streamJobEvents, wantsEventStream } = require('./jobs/events');
 
 // ---------------------------------------------------------------------------
 // Basic setup
@@ -15,6 +32,87 @@ const PORT = process.env.PORT || 8080;
 const SCAN_TIMEOUT_MS = 30_000;   // 30 seconds for /scan
 const HARVEST_TIMEOUT_MS = 45_000; // 45 seconds for /harvest (multi-page)
 
+// Time budget within a scan
+const PAGE_LOAD_TIMEOUT_MS = 20_000;    // Navigation of the desktop pass
+const NETWORK_IDLE_TIMEOUT_MS = 5000;   // Wait for network idle after load
+const SCAN_PROBE_TIMEOUT_MS = 15_000;   // Each background probe (TLS, robots.txt/sitemaps, host variant)
+const SCAN_FINISH_RESERVE_MS = 5000;    // Kept free for rules and the screenshot
+
+// Harvest page budget - defaults and server-side limits of the per-request options
+const HARVEST_DEFAULT_PAGES = 5;       // Subpages besides the homepage
+const HARVEST_DEFAULT_DEPTH = 1;       // 1 = only links found on the homepage
+const HARVEST_DEFAULT_CONCURRENCY = 3; // Tabs per harvest
+const HARVEST_MAX_PAGES = parseInt(process.env.HARVEST_MAX_PAGES, 10) || 200;
+const HARVEST_MAX_DEPTH = parseInt(process.env.HARVEST_MAX_DEPTH, 10) || 5;
+const HARVEST_MAX_CONCURRENCY = parseInt(process.env.HARVEST_MAX_CONCURRENCY, 10) || 5;
+const HARVEST_EXTRA_MS_PER_PAGE = 3000; // Added to HARVEST_TIMEOUT_MS for every page above the default
+const URL_PATTERN_MAX_LENGTH = 200;     // include/exclude patterns
+
+// Job queue
+const SCAN_CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 2; // Max parallel scans/harvests (= Chromium instances)
+const JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+
+// Scan history ('file' keeps every /scan result in SCAN_STORE_DIR, 'none' disables it)
+const SCAN_STORE = process.env.SCAN_STORE || 'file';
+const SCAN_STORE_DIR = process.env.SCAN_STORE_DIR || path.join(__dirname, 'data', 'scans');
+const SCAN_STORE_MAX_RUNS_PER_URL = parseInt(process.env.SCAN_STORE_MAX_RUNS_PER_URL, 10) || 100;
+const SCAN_STORE_MAX_AGE_DAYS = parseInt(process.env.SCAN_STORE_MAX_AGE_DAYS, 10) || 365;
+const SCAN_HISTORY_DEFAULT_LIMIT = 50; // Runs listed by GET /scans
+
+// Batch scans (POST /scan/batch) - a batch keeps at most BATCH_CONCURRENCY jobs in the queue
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || SCAN_CONCURRENCY;
+const BATCH_TOP_ISSUES = 10; // Most common issues in the batch summary
+
+// Monitors (recurring scans with change alerts, see monitors/index.js)
+const MONITORS_FILE = process.env.MONITORS_FILE || path.join(__dirname, 'data', 'monitors.json');
+
+// Webhooks (job callbacks and monitor alerts), signed with HMAC-SHA256 - webhook options are
+// rejected while WEBHOOK_SECRET is unset
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'; // Allow internal targets (local development)
+
+// Browser pool
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || SCAN_CONCURRENCY; // Warm Chromium processes
+const BROWSER_MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 50; // Recycle a browser after N contexts
+
+// Emulated device for the mobile scan pass (Playwright device descriptor name)
+const MOBILE_DEVICE = process.env.MOBILE_DEVICE || 'Pixel 5';
+const MOBILE_PASS_TIMEOUT_MS = 10_000;
+
+// TLS certificate check and redirect probes (each handshake/request)
+const TLS_CHECK_TIMEOUT_MS = 10_000;
+const REDIRECT_PROBE_TIMEOUT_MS = 10_000;
+
+// Polite harvest mode (opt-in per harvest): robots.txt, crawl-delay and a per-host rate limit
+const BOT_USER_AGENT = process.env.BOT_USER_AGENT || 'SiteSweepBot/1.0';
+const POLITE_REQUESTS_PER_SECOND = parseFloat(process.env.POLITE_REQUESTS_PER_SECOND) || 1; // Page loads per host
+
+// Link checker (opt-in per scan / harvest)
+const LINK_CHECK_TIMEOUT_MS = 10_000;  // Per request
+const LINK_CHECK_BUDGET_MS = 30_000;   // No new checks are started after this
+const LINK_CHECK_EXTRA_MS = 45_000;    // Extra job time (budget + last running requests)
+const LINK_CHECK_CONCURRENCY = 5;
+const MAX_CHECKED_LINKS = 200;         // Unique link targets checked per scan / harvest
+const MAX_LINK_REDIRECTS = 10;
+
+// Consent banner passes ("accept all" / "reject all" in fresh contexts, opt-in per scan)
+const CONSENT_PASS_TIMEOUT_MS = 10_000;
+const CONSENT_SETTLE_MS = 2000;             // Wait after the click for tags to fire
+const CONSENT_INTERACTION_EXTRA_MS = 50_000; // Extra scan time when both passes run
+
+// Accessibility audit
+const A11Y_MAX_ELEMENTS = 20; // Affected elements listed per check
+const A11Y_FOCUS_STEPS = 30;  // Tab presses for the focus visibility check
+
+if (!['file', 'none'].includes(SCAN_STORE)) {
+  throw new Error(`Unknown SCAN_STORE '${SCAN_STORE}'. Use 'file' or 'none'.`);
+}
+
+if (!devices[MOBILE_DEVICE]) {
+  throw new Error(`Unknown MOBILE_DEVICE '${MOBILE_DEVICE}'. Use a Playwright device name like 'Pixel 5'.`);
+}
+
 // Desktop Chrome user agent
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -101,10 +199,58 @@ function normalizeUrlString(rawUrl) {
 }
 
 /**
- * Build a standardized issue object with title and message.
+ * Build a standardized issue object with a stable code, title and message.
+ * `details` adds the page URL, affected elements (CSS selectors), evidence,
+ * a remediation hint and optional fields like `wcag`. The fingerprint identifies
+ * the same problem across rescans: it covers code, URL and elements, not evidence.
+ */
+function buildIssue(code, category, severity, title, message, details = {}) {
+  const { url = null, elements = [], evidence = [], remediation = null, ...extra } = details;
+  const fingerprint = crypto.createHash('sha1')
+    .update([code, url, ...[...elements].sort()].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { code, category, severity, title, message, url, elements, evidence, remediation, fingerprint, ...extra };
+}
+
+/**
+ * Score categories (every penalty is booked against one of these)
  */
-function buildIssue(category, severity, title, message) {
-  return { category, severity, title, message };
+const SCORE_CATEGORIES = ['security', 'mobile', 'legal', 'gdpr', 'seo', 'accessibility', 'quality', 'performance'];
+
+/**
+ * How the score categories roll up into the scoreBreakdown groups
+ */
+const SCORE_GROUPS = {
+  technical: ['security', 'quality', 'performance'],
+  seo: ['seo'],
+  legal: ['legal', 'gdpr'],
+  ux: ['mobile', 'accessibility'],
+};
+
+/**
+ * Build per-category and per-group sub-scores from penalty totals.
+ * Each sub-score starts at 100 and loses the penalties booked against it.
+ *
+ * @param {Object<string, number>} penalties - Penalty points per category
+ * @returns {{scoreBreakdown: Object<string, number>, categoryScores: Object<string, number>}}
+ */
+function buildScoreBreakdown(penalties) {
+  const subScore = (categories) =>
+    Math.max(0, 100 - categories.reduce((sum, category) => sum + (penalties[category] || 0), 0));
+
+  const scoreBreakdown = {};
+  for (const [group, categories] of Object.entries(SCORE_GROUPS)) {
+    scoreBreakdown[group] = subScore(categories);
+  }
+
+  const categoryScores = {};
+  for (const category of SCORE_CATEGORIES) {
+    categoryScores[category] = subScore([category]);
+  }
+
+  return { scoreBreakdown, categoryScores };
 }
 
 /**
@@ -172,9 +318,160 @@ function isInternalUrl(baseUrl, testUrl) {
   }
 }
 
+/**
+ * Registrable domain of a hostname ("www.shop.example.co.uk" → "example.co.uk").
+ * Heuristic without a public suffix list: two labels, three for
+ * second-level suffixes like co.uk or com.au.
+ */
+function getSiteDomain(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return hostname.toLowerCase();
+
+  const secondLevel = labels[labels.length - 2];
+  const isSecondLevelSuffix =
+    labels[labels.length - 1].length === 2 && ['co', 'com', 'org', 'net', 'ac', 'gv', 'or', 'gov', 'edu'].includes(secondLevel);
+
+  return labels.slice(isSecondLevelSuffix ? -3 : -2).join('.');
+}
+
+/**
+ * Turn per-host request counts into the third-party inventory:
+ * every host outside the site's own domain, known vendors first.
+ *
+ * @param {Map<string, {hostname, entry, requests}>} hostRequests - Requests per host (and vendor)
+ * @param {string} siteUrl - Final URL of the scanned site
+ * @returns {Array<{host, vendor, purpose, outsideEU, requests}>}
+ */
+function buildThirdPartyInventory(hostRequests, siteUrl) {
+  const siteDomain = getSiteDomain(new URL(siteUrl).hostname);
+
+  return Array.from(hostRequests.values())
+    .filter(record => getSiteDomain(record.hostname) !== siteDomain)
+    .map(record => ({
+      host: record.hostname,
+      vendor: record.entry ? record.entry.vendor : null,
+      purpose: record.entry ? record.entry.purpose : 'unknown',
+      outsideEU: record.entry ? record.entry.outsideEU : null,
+      requests: record.requests,
+      sampleUrls: record.sampleUrls,
+    }))
+    .sort((a, b) => Number(b.vendor !== null) - Number(a.vendor !== null) || b.requests - a.requests);
+}
+
+/**
+ * Request a URL and follow its redirects by hand (max 5 hops), recording
+ * every hop. Stops at the first non-redirect response or error.
+ *
+ * @param {string} startUrl - URL to request
+ * @returns {Promise<{url, hops, finalUrl, status, error}>} - `status` of the last response
+ */
+async function followRedirects(startUrl) {
+  const hops = [];
+  let url = startUrl;
+  let status = null;
+  let error = null;
+
+  try {
+    for (let i = 0; i < 5; i++) {
+      const response = await fetch(url, {
+        redirect: 'manual',
+        headers: { 'user-agent': USER_AGENT },
+        signal: AbortSignal.timeout(REDIRECT_PROBE_TIMEOUT_MS),
+      });
+      await response.body?.cancel();
+      status = response.status;
+
+      const location = response.headers.get('location');
+      if (status < 300 || status >= 400 || !location) break;
+
+      const nextUrl = new URL(location, url).href;
+      hops.push({ url, status, location: nextUrl });
+      url = nextUrl;
+    }
+  } catch (probeError) {
+    status = null;
+    error = probeError.cause ? probeError.cause.message : probeError.message;
+  }
+
+  return { url: startUrl, hops, finalUrl: url, status, error };
+}
+
+/**
+ * Redirect hops of a Playwright navigation, oldest first
+ *
+ * @param {object|null} response - Final response of page.goto
+ * @returns {Promise<Array<{url, status, location}>>}
+ */
+async function buildRedirectChain(response) {
+  const hops = [];
+  let request = response ? response.request().redirectedFrom() : null;
+
+  while (request) {
+    const redirect = await request.response();
+    const location = redirect ? await redirect.headerValue('location') : null;
+
+    hops.unshift({
+      url: request.url(),
+      status: redirect ? redirect.status() : null,
+      location: location ? new URL(location, request.url()).href : null,
+    });
+    request = request.redirectedFrom();
+  }
+
+  return hops;
+}
+
+/**
+ * The other spelling of a site's host: www.example.com ↔ example.com.
+ * Null for other subdomains, IP addresses and single-label hosts.
+ */
+function getHostVariant(hostname) {
+  if (!hostname.includes('.') || /^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return null;
+
+  const apex = getSiteDomain(hostname);
+  if (hostname === apex) return `www.${apex}`;
+  if (hostname === `www.${apex}`) return apex;
+  return null;
+}
+
+/**
+ * Check the other host spelling (www ↔ apex) of the final URL: it should
+ * redirect to the final host, not serve a copy or fail.
+ *
+ * @param {string} finalUrl - Final URL of the navigation
+ * @returns {Promise<object|null>} - Redirect probe of the variant, or null if there is none
+ */
+async function probeHostVariant(finalUrl) {
+  const { hostname } = new URL(finalUrl);
+  const variant = getHostVariant(hostname);
+  if (!variant) return null;
+
+  const variantUrl = new URL('/', finalUrl);
+  variantUrl.hostname = variant;
+
+  const probe = await followRedirects(variantUrl.href);
+  const endHost = (() => {
+    try {
+      return new URL(probe.finalUrl).hostname;
+    } catch {
+      return null;
+    }
+  })();
+
+  return {
+    ...probe,
+    host: variant,
+    reachable: probe.status !== null,
+    redirectsToFinalHost: probe.hops.length > 0 && endHost === hostname,
+  };
+}
+
 /**
  * Smart navigation with automatic www retry
  * Tries to load URL, and if it fails, retries with www prefix
+ *
+ * @returns {Promise<{finalUrl, redirectChain, wwwRetry}>} - Final URL, redirect hops
+ *          (see buildRedirectChain) and whether the www retry was needed
  */
 async function navigateWithRetry(page, url, timeout = 15000) {
   const urlObj = new URL(url);
@@ -184,13 +481,17 @@ async function navigateWithRetry(page, url, timeout = 15000) {
   
   try {
     // Attempt 1: Try the URL as provided
-    await page.goto(url, {
+    const response = await page.goto(url, {
       waitUntil: 'domcontentloaded',
       timeout: timeout,
     });
     
     console.log(`[SmartNav] ✅ Successfully loaded: ${url}`);
-    return page.url(); // Return final URL (might be different due to redirects)
+    return {
+      finalUrl: page.url(), // Final URL (might be different due to redirects)
+      redirectChain: await buildRedirectChain(response),
+      wwwRetry: false,
+    };
     
   } catch (error) {
     const errorMsg = error.message || '';
@@ -210,13 +511,17 @@ async function navigateWithRetry(page, url, timeout = 15000) {
       
       try {
         // Attempt 2: Try with www prefix
-        await page.goto(wwwUrl, {
+        const response = await page.goto(wwwUrl, {
           waitUntil: 'domcontentloaded',
           timeout: timeout,
         });
         
         console.log(`[SmartNav] ✅ Successfully loaded with www: ${wwwUrl}`);
-        return page.url(); // Return final URL
+        return {
+          finalUrl: page.url(),
+          redirectChain: await buildRedirectChain(response),
+          wwwRetry: true,
+        };
         
       } catch (wwwError) {
         console.log(`[SmartNav] ❌ Both attempts failed`);
@@ -231,202 +536,1864 @@ async function navigateWithRetry(page, url, timeout = 15000) {
 }
 
 // ---------------------------------------------------------------------------
-// Core scan logic (existing /scan endpoint)
+// Browser pool - warm Chromium processes shared by all scans
 // ---------------------------------------------------------------------------
 
+const browserPool = {
+  entries: [], // { id, ready, browser, uses, activeContexts, retiring }
+  nextId: 1,
+  closing: false,
+  stats: {
+    launched: 0,
+    recycled: 0,
+    crashed: 0,
+    contextsCreated: 0,
+  },
+};
+
 /**
- * Check for incomplete legal texts (template placeholders)
- * Checks homepage first, then optionally navigates to Impressum page
- * @param {Page} page - Playwright page object
- * @returns {Promise<{found: boolean, match?: string}>} - Result with match string if found
+ * Launch a new pooled browser and register it immediately,
+ * so concurrent acquires don't launch more than BROWSER_POOL_SIZE.
  */
-async function checkIncompleteLegal(page) {
-  try {
-    // Step A: Check homepage
-    const homepageText = await page.evaluate(() => {
-      return document.body?.innerText || '';
-    });
-
-    // Check against all patterns
-    for (const pattern of INCOMPLETE_LEGAL_PATTERNS) {
-      const match = homepageText.match(pattern);
-      if (match) {
-        // Extract a snippet of the matched text (first 50 chars)
-        const snippet = match[0].substring(0, 50).trim();
-        return { found: true, match: snippet };
-      }
-    }
-
-    // Step B: If no match on homepage, try Impressum page
-    try {
-      // Find Impressum link
-      const impressumLink = await page.evaluate(() => {
-        const links = Array.from(document.querySelectorAll('a[href*="impressum"], a[href*="Impressum"]'));
-        if (links.length === 0) return null;
-        
-        const link = links[0];
-        const href = link.getAttribute('href');
-        if (!href) return null;
-        
-        // Resolve to absolute URL
-        try {
-          return new URL(href, window.location.href).href;
-        } catch {
-          return href;
+function launchPooledBrowser() {
+  const entry = {
+    id: browserPool.nextId++,
+    ready: null,
+    browser: null,
+    uses: 0,
+    activeContexts: 0,
+    retiring: false,
+  };
+
+  entry.ready = chromium
+    .launch({
+      headless: true,
+      args: HEADLESS_ARGS,
+    })
+    .then((browser) => {
+      entry.browser = browser;
+      browserPool.stats.launched++;
+      console.log(`[BrowserPool] Browser #${entry.id} launched`);
+
+      browser.on('disconnected', () => {
+        removePoolEntry(entry);
+        if (!entry.retiring && !browserPool.closing) {
+          browserPool.stats.crashed++;
+          console.warn(`[BrowserPool] Browser #${entry.id} disconnected unexpectedly`);
+          warmUpBrowserPool();
         }
       });
 
-      if (impressumLink) {
-        console.log(`[LegalCheck] Checking Impressum page: ${impressumLink}`);
-        
-        // Navigate to Impressum (with timeout)
-        await page.goto(impressumLink, {
-          waitUntil: 'domcontentloaded',
-          timeout: 5000,
-        });
-        
-        // Wait a bit for content to load
-        await page.waitForTimeout(1000);
-        
-        // Check Impressum page text
-        const impressumText = await page.evaluate(() => {
-          return document.body?.innerText || '';
-        });
+      return browser;
+    })
+    .catch((error) => {
+      removePoolEntry(entry);
+      throw error;
+    });
 
-        // Check against all patterns
-        for (const pattern of INCOMPLETE_LEGAL_PATTERNS) {
-          const match = impressumText.match(pattern);
-          if (match) {
-            // Extract a snippet of the matched text (first 50 chars)
-            const snippet = match[0].substring(0, 50).trim();
-            return { found: true, match: snippet };
-          }
-        }
-      }
-    } catch (impressumError) {
-      // If Impressum navigation fails, just continue (don't crash)
-      console.warn(`[LegalCheck] Failed to check Impressum: ${impressumError.message}`);
-    }
+  browserPool.entries.push(entry);
+  return entry;
+}
 
-    return { found: false };
-  } catch (error) {
-    // If anything fails, return false (don't crash the scan)
-    console.warn(`[LegalCheck] Error during legal check: ${error.message}`);
-    return { found: false };
-  }
+function removePoolEntry(entry) {
+  browserPool.entries = browserPool.entries.filter((e) => e !== entry);
 }
 
 /**
- * Perform the elite scan for a single URL.
+ * Close a browser once its last context is released
  */
-async function performScan(inputUrl) {
-  let browser;
+function retireBrowser(entry) {
+  entry.retiring = true;
+  if (entry.activeContexts > 0) return;
+
+  removePoolEntry(entry);
+  browserPool.stats.recycled++;
+  console.log(`[BrowserPool] Recycling browser #${entry.id} after ${entry.uses} uses`);
+
+  entry.ready
+    .then((browser) => browser.close())
+    .catch((closeError) => console.error('[BrowserPool] Browser close error:', closeError))
+    .finally(() => warmUpBrowserPool());
+}
 
-  try {
-    const targetUrl = normalizeUrl(inputUrl);
-    console.log(`[EliteScanner] Starting scan for ${targetUrl.href}`);
-    
-    browser = await chromium.launch({ 
-      headless: true, 
-      args: HEADLESS_ARGS,
-    });
-    
-    const context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: USER_AGENT,
+/**
+ * Fill the pool up to BROWSER_POOL_SIZE warm browsers
+ */
+function warmUpBrowserPool() {
+  if (browserPool.closing) return;
+
+  while (browserPool.entries.filter((e) => !e.retiring).length < BROWSER_POOL_SIZE) {
+    const entry = launchPooledBrowser();
+    entry.ready.catch((error) => {
+      console.warn(`[BrowserPool] Warm-up launch failed: ${error.message}`);
     });
+  }
+}
 
-    // GDPR tracking
-    const gdprFindings = {
-      googleFonts: false,
-      googleMaps: false,
-      googleAnalytics: false,
-    };
+/**
+ * Pick the least busy browser, launching a new one if the pool isn't full
+ */
+function pickPoolEntry() {
+  const available = browserPool.entries.filter((e) => !e.retiring);
+  const idle = available.find((e) => e.activeContexts === 0);
 
-    // STRICT AUDITOR: Quality tracking
-    const qualityFindings = {
-      brokenResources: [],
-      consoleErrors: [],
-      pageErrors: [],
-    };
+  if (idle) return idle;
+  if (available.length < BROWSER_POOL_SIZE) return launchPooledBrowser();
 
-    // Track HTTP requests for mixed content detection
-    const httpRequests = [];
+  return available.reduce((least, e) => (e.activeContexts < least.activeContexts ? e : least));
+}
 
-    await context.route('**/*', async (route) => {
-      try {
-        const reqUrl = route.request().url();
+/**
+ * Acquire an isolated BrowserContext from the pool.
+ * Always call release() when done - it closes the context and recycles the
+ * browser after BROWSER_MAX_USES contexts.
+ *
+ * @param {object} contextOptions - Options for browser.newContext()
+ * @param {AbortSignal} [signal] - Releases the context when aborted (job timeout),
+ *   so the pages of a timed-out job fail fast instead of running on
+ * @returns {Promise<{context: BrowserContext, release: Function}>}
+ */
+async function acquireContext(contextOptions, signal) {
+  if (browserPool.closing) {
+    throw new Error('Browser pool is shutting down.');
+  }
+  if (signal && signal.aborted) {
+    throw new Error('Job was aborted.');
+  }
 
-        if (/fonts\.googleapis\.com/i.test(reqUrl) || /fonts\.gstatic\.com/i.test(reqUrl)) {
-          gdprFindings.googleFonts = true;
-        }
+  const entry = pickPoolEntry();
+  entry.uses++;
+  entry.activeContexts++;
+  if (entry.uses >= BROWSER_MAX_USES) {
+    entry.retiring = true; // Serve no further contexts; closed on last release
+  }
 
-        if (/maps\.googleapis\.com/i.test(reqUrl) || /maps\.gstatic\.com/i.test(reqUrl)) {
-          gdprFindings.googleMaps = true;
-        }
+  let context;
+  try {
+    const browser = await entry.ready;
+    context = await browser.newContext(contextOptions);
+    browserPool.stats.contextsCreated++;
+  } catch (error) {
+    entry.activeContexts--;
+    if (entry.browser && !entry.browser.isConnected()) {
+      removePoolEntry(entry);
+    }
+    throw error;
+  }
 
-        if (/google-analytics\.com|googletagmanager\.com/i.test(reqUrl)) {
-          gdprFindings.googleAnalytics = true;
-        }
+  // Later calls wait for the first one, so an aborted scan settles only once its context is closed
+  let releasing = null;
+  const release = () => {
+    if (releasing) return releasing;
+    if (signal) signal.removeEventListener('abort', release);
 
-        await route.continue();
-      } catch (routeError) {
-        console.warn('[EliteScanner] Route interception error:', routeError.message);
-        try {
-          await route.continue();
-        } catch {
-          // Never crash due to routing issues
-        }
+    releasing = (async () => {
+      try {
+        await context.close();
+      } catch {
+        // Context is gone already if the browser crashed
       }
-    });
-    
-    const page = await context.newPage();
-    page.setDefaultTimeout(SCAN_TIMEOUT_MS);
 
-    // STRICT AUDITOR: Listen for console errors
-    page.on('console', (msg) => {
-      if (msg.type() === 'error') {
-        qualityFindings.consoleErrors.push(msg.text());
+      entry.activeContexts--;
+      if (entry.retiring) {
+        retireBrowser(entry);
       }
+    })();
+    return releasing;
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      await release();
+      throw new Error('Job was aborted.');
+    }
+    signal.addEventListener('abort', release);
+  }
+
+  return { context, release };
+}
+
+/**
+ * Pool statistics for /health
+ */
+function getBrowserPoolStats() {
+  return {
+    size: BROWSER_POOL_SIZE,
+    maxUses: BROWSER_MAX_USES,
+    browsers: browserPool.entries.map((e) => ({
+      id: e.id,
+      ready: Boolean(e.browser),
+      uses: e.uses,
+      activeContexts: e.activeContexts,
+      retiring: e.retiring,
+    })),
+    ...browserPool.stats,
+  };
+}
+
+/**
+ * Close all pooled browsers (on shutdown)
+ */
+async function closeBrowserPool() {
+  browserPool.closing = true;
+  const entries = browserPool.entries.splice(0);
+
+  await Promise.all(
+    entries.map((entry) =>
+      entry.ready.then((browser) => browser.close()).catch(() => {})
+    )
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Transport security - TLS certificate and HTTP → HTTPS redirect
+// ---------------------------------------------------------------------------
+
+/**
+ * Does a certificate name (possibly a wildcard) cover a hostname?
+ */
+function certificateCovers(certName, hostname) {
+  const name = certName.toLowerCase();
+  if (!name.startsWith('*.')) return name === hostname;
+
+  // *.example.com covers www.example.com, but neither example.com nor a.b.example.com
+  const suffix = name.slice(1);
+  return hostname.endsWith(suffix) && !hostname.slice(0, -suffix.length).includes('.');
+}
+
+/**
+ * Connect to a host and read its certificate, the negotiated protocol and
+ * whether the certificate is trusted. Untrusted certificates are reported,
+ * not rejected.
+ *
+ * @param {string} hostname - Host of the final URL
+ * @param {number} port - HTTPS port of the final URL
+ * @returns {Promise<object>} - Certificate details
+ */
+function inspectCertificate(hostname, port) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: hostname,
+      rejectUnauthorized: false,
+      minVersion: 'TLSv1', // Allow outdated servers so their protocol can be reported
     });
 
-    // STRICT AUDITOR: Listen for page errors (uncaught exceptions)
-    page.on('pageerror', (error) => {
-      qualityFindings.pageErrors.push(error.message);
+    socket.setTimeout(TLS_CHECK_TIMEOUT_MS, () => {
+      socket.destroy(new Error(`TLS handshake with ${hostname} timed out`));
     });
 
-    // STRICT AUDITOR: Listen for failed requests and HTTP on HTTPS
-    page.on('response', async (response) => {
-      try {
-        const status = response.status();
-        const url = response.url();
-        const resourceType = response.request().resourceType();
+    socket.once('error', reject);
 
-        // Track HTTP requests for mixed content
-        if (url.startsWith('http://') && ['image', 'stylesheet', 'script', 'font'].includes(resourceType)) {
-          httpRequests.push({ url, type: resourceType });
-        }
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      const protocol = socket.getProtocol();
+      const { authorized, authorizationError } = socket;
+      socket.end();
 
-        // Detect 404s on important resources
-        if (status === 404 && ['image', 'stylesheet', 'script', 'font'].includes(resourceType)) {
-          qualityFindings.brokenResources.push({ url, status, type: resourceType });
-        }
-      } catch {
-        // Ignore errors in response handler
+      if (!cert || !cert.valid_to) {
+        reject(new Error(`No certificate received from ${hostname}`));
+        return;
       }
+
+      const validTo = new Date(cert.valid_to);
+      const subjectAltNames = (cert.subjectaltname || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.startsWith('DNS:'))
+        .map(entry => entry.slice(4));
+
+      resolve({
+        issuer: (cert.issuer && (cert.issuer.O || cert.issuer.CN)) || null,
+        subject: (cert.subject && cert.subject.CN) || null,
+        validFrom: new Date(cert.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysRemaining: Math.floor((validTo.getTime() - Date.now()) / 86_400_000),
+        subjectAltNames,
+        protocol,
+        trusted: authorized,
+        error: authorized ? null : String(authorizationError),
+      });
     });
-    
-    // Smart navigation with automatic www retry
-    // IMPORTANT: finalUrl is used for ALL checks (SSL, redirects, etc.)
-    // This ensures consistent results regardless of input URL vs redirected URL
-    let finalUrl;
+  });
+}
+
+/**
+ * Request http://<host>/ and follow its redirects to see how plain HTTP
+ * visitors end up on HTTPS.
+ *
+ * @param {string} hostname - Host of the final URL
+ * @returns {Promise<{url, hops, finalUrl, status, redirectsToHttps, error}>}
+ */
+async function probeHttpRedirect(hostname) {
+  const probe = await followRedirects(`http://${hostname}/`);
+
+  return {
+    ...probe,
+    redirectsToHttps: probe.finalUrl.startsWith('https://'),
+  };
+}
+
+/**
+ * TLS certificate (issuer, expiry, SAN coverage of apex and www for sites
+ * served on one of them, protocol) and HTTP → HTTPS redirect of a site served over HTTPS
+ *
+ * @param {string} finalUrl - Final URL of the desktop pass (https)
+ * @returns {Promise<{certificate, httpRedirect}>}
+ */
+async function inspectTransportSecurity(finalUrl) {
+  const { hostname, port } = new URL(finalUrl);
+  // Apex and www only matter when the site is served on one of them -
+  // shop.example.com doesn't need a certificate for example.com
+  const isApexOrWww = getHostVariant(hostname) !== null;
+  const apex = isApexOrWww ? getSiteDomain(hostname) : null;
+  const www = isApexOrWww ? `www.${apex}` : null;
+  const resolves = (host) => host ? dns.lookup(host).then(() => true, () => false) : false;
+
+  const [certificate, httpRedirect, wwwResolves, apexResolves] = await Promise.all([
+    inspectCertificate(hostname, Number(port) || 443),
+    probeHttpRedirect(hostname),
+    resolves(www),
+    resolves(apex),
+  ]);
+
+  // Only hosts that resolve need to be covered - a site without www doesn't need a www name
+  const covers = (host) => certificate.subjectAltNames.some(name => certificateCovers(name, host));
+
+  return {
+    certificate: {
+      ...certificate,
+      coversApex: isApexOrWww ? covers(apex) : null,
+      coversWww: isApexOrWww ? covers(www) : null,
+      uncoveredHosts: [
+        ...(apexResolves && !covers(apex) ? [apex] : []),
+        ...(wwwResolves && !covers(www) ? [www] : []),
+      ],
+    },
+    httpRedirect,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// robots.txt and sitemaps (parsing and fetching in robots/index.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * robots.txt and sitemaps of a site, evaluated for Googlebot
+ *
+ * @param {string} finalUrl - Final URL of the navigation
+ * @returns {Promise<{robots, sitemaps, sitemapUrls}>} - `robots.parsed` holds the parsed groups
+ */
+async function inspectCrawlability(finalUrl) {
+  const { origin, pathname, search } = new URL(finalUrl);
+  const robotsTxt = await fetchRobotsTxt(origin, USER_AGENT);
+  const { sitemaps, urls } = await fetchSitemaps(origin, robotsTxt.parsed.sitemaps, USER_AGENT);
+
+  const allowed = (path) => isPathAllowed(robotsTxt.parsed, 'Googlebot', path);
+
+  return {
+    robots: {
+      ...robotsTxt,
+      sitemaps: robotsTxt.parsed.sitemaps,
+      disallowsAll: !allowed('/') && !allowed('/sitesweep-probe'),
+      homepageAllowed: allowed(`${pathname}${search}`),
+      crawlDelay: getCrawlDelay(robotsTxt.parsed, 'Googlebot'),
+    },
+    sitemaps,
+    sitemapUrls: urls,
+  };
+}
+
+/**
+ * Why robots.txt keeps the polite crawler away from a URL (null if allowed).
+ * Like Googlebot, an unreachable robots.txt (5xx, network error) blocks the whole site.
+ *
+ * @param {object} robotsTxt - Result of fetchRobotsTxt for the URL's origin
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - 'robots-disallowed', 'robots-unreachable' or null
+ */
+function robotsBlockReason(robotsTxt, url) {
+  if (robotsTxt.error || robotsTxt.status >= 500) {
+    return 'robots-unreachable';
+  }
+
+  const { pathname, search } = new URL(url);
+  return isPathAllowed(robotsTxt.parsed, BOT_USER_AGENT, `${pathname}${search}`) ? null : 'robots-disallowed';
+}
+
+// Next free request slot per host (epoch ms), shared by all harvests
+const hostSlots = new Map();
+
+/**
+ * Reserve the next request slot for a host. Slots are intervalMs apart,
+ * so parallel tabs and parallel harvests of the same host queue up.
+ *
+ * @param {string} host - Host (with port)
+ * @param {number} intervalMs - Minimum time between two requests to the host
+ * @param {number} deadline - Latest acceptable slot (epoch ms)
+ * @returns {number|null} - Milliseconds to wait, or null if the slot would be after the deadline
+ */
+function reserveHostSlot(host, intervalMs, deadline) {
+  const now = Date.now();
+
+  for (const [slotHost, slot] of hostSlots) {
+    if (slot < now) hostSlots.delete(slotHost);
+  }
+
+  const slot = Math.max(now, hostSlots.get(host) || 0);
+  if (slot > deadline) {
+    return null;
+  }
+
+  hostSlots.set(host, slot + intervalMs);
+  return slot - now;
+}
+
+// ---------------------------------------------------------------------------
+// Link checker - verifies the targets of all anchors (opt-in for /scan and /harvest)
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs in the page: http(s) anchors with their visible text (fragment removed)
+ */
+function extractAnchors() {
+  return Array.from(document.querySelectorAll('a[href]'))
+    .map(anchor => {
+      let url;
+      try {
+        url = new URL(anchor.getAttribute('href'), document.baseURI);
+      } catch {
+        return null;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+      url.hash = '';
+      const text = (anchor.innerText || anchor.getAttribute('aria-label') || anchor.title || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 100);
+
+      return { url: url.href, text };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Anchors of a page, tagged with the page they were found on
+ *
+ * @returns {Promise<Array<{url, text, page}>>}
+ */
+async function collectAnchors(page) {
+  const pageUrl = page.url();
+  const anchors = await page.evaluate(extractAnchors);
+  return anchors.map(anchor => ({ ...anchor, page: pageUrl }));
+}
+
+/**
+ * Request a link target with HEAD, following redirects by hand to spot loops.
+ * Error answers are repeated with GET - many servers reject or mishandle HEAD.
+ *
+ * @param {string} url - Link target
+ * @param {string} [userAgent] - User agent to send (default: desktop Chrome)
+ * @returns {Promise<{status, finalUrl, error, message}>} - error is null, 'http', 'timeout',
+ *          'dns', 'redirect-loop', 'too-many-redirects' or 'connection'
+ */
+async function checkLink(url, userAgent = USER_AGENT) {
+  const visited = new Set([url]);
+  let current = url;
+
+  try {
+    for (let hop = 0; hop <= MAX_LINK_REDIRECTS; hop++) {
+      const request = (method) => fetch(current, {
+        method,
+        redirect: 'manual',
+        headers: { 'user-agent': userAgent },
+        signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS),
+      });
+
+      let response = await request('HEAD');
+      if (response.status >= 400) {
+        response = await request('GET');
+      }
+      await response.body?.cancel();
+
+      const { status } = response;
+      const location = response.headers.get('location');
+
+      if (status >= 300 && status < 400 && location) {
+        current = new URL(location, current).href;
+        if (visited.has(current)) {
+          return { status, finalUrl: current, error: 'redirect-loop', message: `Redirect loop at ${current}` };
+        }
+        visited.add(current);
+        continue;
+      }
+
+      return {
+        status,
+        finalUrl: current,
+        error: status >= 400 ? 'http' : null,
+        message: status >= 400 ? `HTTP ${status}` : null,
+      };
+    }
+
+    return { status: null, finalUrl: current, error: 'too-many-redirects', message: `More than ${MAX_LINK_REDIRECTS} redirects` };
+  } catch (error) {
+    const code = error.cause && error.cause.code;
+    const kind = error.name === 'TimeoutError'
+      ? 'timeout'
+      : code === 'ENOTFOUND' || code === 'EAI_AGAIN'
+      ? 'dns'
+      : 'connection';
+
+    return { status: null, finalUrl: current, error: kind, message: error.cause ? error.cause.message : error.message };
+  }
+}
+
+/**
+ * Check the unique targets of a set of anchors, LINK_CHECK_CONCURRENCY at a time.
+ * At most MAX_CHECKED_LINKS targets are checked (internal ones first); targets whose
+ * turn comes after LINK_CHECK_BUDGET_MS are counted as unchecked.
+ *
+ * @param {Array<{url, text, page}>} anchors - Result of collectAnchors (one or more pages)
+ * @param {string} siteUrl - Final URL of the site (decides internal vs. external)
+ * @param {object} [options]
+ * @param {string} [options.userAgent] - User agent to send
+ * @param {function(string): Promise<boolean>} [options.beforeRequest] - Called before each check,
+ *        returning false skips the link (polite harvests use it for the per-host rate limit)
+ * @returns {Promise<{checked, unchecked, broken: Array<{url, internal, status, error, message, sources}>}>}
+ */
+async function checkLinks(anchors, siteUrl, options = {}) {
+  const deadline = Date.now() + LINK_CHECK_BUDGET_MS;
+  const targets = new Map();
+
+  for (const anchor of anchors) {
+    if (!targets.has(anchor.url)) {
+      targets.set(anchor.url, { url: anchor.url, internal: isInternalUrl(siteUrl, anchor.url), sources: [] });
+    }
+    const sources = targets.get(anchor.url).sources;
+    if (!sources.some(source => source.page === anchor.page && source.text === anchor.text)) {
+      sources.push({ page: anchor.page, text: anchor.text });
+    }
+  }
+
+  const all = Array.from(targets.values());
+  const queue = [...all.filter(target => target.internal), ...all.filter(target => !target.internal)]
+    .slice(0, MAX_CHECKED_LINKS);
+  const broken = [];
+  let checked = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && Date.now() < deadline) {
+      const target = queue.shift();
+      if (options.beforeRequest && !(await options.beforeRequest(target.url))) continue;
+
+      const result = await checkLink(target.url, options.userAgent);
+      checked++;
+
+      if (result.error) {
+        broken.push({
+          url: target.url,
+          internal: target.internal,
+          status: result.status,
+          error: result.error,
+          message: result.message,
+          sources: target.sources,
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: LINK_CHECK_CONCURRENCY }, worker));
+  console.log(`[LinkCheck] ${checked} of ${targets.size} links checked, ${broken.length} broken`);
+
+  return { checked, unchecked: targets.size - checked, broken };
+}
+
+// ---------------------------------------------------------------------------
+// Structured data - JSON-LD and Microdata (see catalogs/schema-types.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs in the page: raw JSON-LD blocks (parsed, or the parse error), top-level
+ * Microdata items and visible signs of a local business (phone, postal address).
+ */
+function extractStructuredData() {
+  const jsonLd = [];
+  const jsonLdErrors = [];
+
+  Array.from(document.querySelectorAll('script[type="application/ld+json"]')).forEach((script, index) => {
+    const text = script.textContent.trim();
+    if (!text) return;
+
+    try {
+      jsonLd.push(JSON.parse(text));
+    } catch (error) {
+      jsonLdErrors.push({ index, error: error.message, snippet: text.substring(0, 100) });
+    }
+  });
+
+  const readValue = (el) => {
+    if (el.hasAttribute('itemscope')) return readItem(el);
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (['A', 'LINK', 'AREA'].includes(el.tagName)) return el.href;
+    if (['IMG', 'AUDIO', 'VIDEO', 'SOURCE', 'IFRAME', 'EMBED'].includes(el.tagName)) return el.src;
+    if (el.tagName === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if (['DATA', 'METER'].includes(el.tagName)) return el.getAttribute('value');
+    return (el.textContent || '').trim().replace(/\s+/g, ' ');
+  };
+
+  // Properties of an item are itemprop elements whose nearest enclosing itemscope is the item
+  const readItem = (root) => {
+    const item = {};
+    const itemType = (root.getAttribute('itemtype') || '').trim();
+    if (itemType) item['@type'] = itemType.split(/\s+/);
+
+    root.querySelectorAll('[itemprop]').forEach(el => {
+      if (!el.parentElement || el.parentElement.closest('[itemscope]') !== root) return;
+
+      const value = readValue(el);
+      el.getAttribute('itemprop').trim().split(/\s+/).forEach(name => {
+        item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+      });
+    });
+
+    return item;
+  };
+
+  const microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')).map(readItem);
+
+  const text = document.body ? document.body.innerText : '';
+  const localSignals = {
+    phone: Boolean(document.querySelector('a[href^="tel:"]')) || /(\+49|0049|\b0\d{2,5})[\s/-]?\d[\d\s/-]{4,}\d/.test(text),
+    postalAddress: /\b\d{5}\s+[A-ZÄÖÜ][a-zäöüß]+/.test(text), // German postcode + city
+  };
+
+  return { jsonLd, jsonLdErrors, microdata, localSignals };
+}
+
+/**
+ * Objects with a @type from a parsed JSON-LD block (top-level arrays and @graph)
+ */
+function flattenJsonLd(value) {
+  if (Array.isArray(value)) return value.flatMap(flattenJsonLd);
+  if (!value || typeof value !== 'object') return [];
+
+  const graph = value['@graph'] ? flattenJsonLd(value['@graph']) : [];
+  return value['@type'] ? [value, ...graph] : graph;
+}
+
+/**
+ * First text value of a JSON-LD / Microdata property (values may be arrays or objects)
+ */
+function schemaText(value) {
+  const first = [].concat(value === undefined ? [] : value)[0];
+  if (first === undefined || first === null) return null;
+  if (typeof first === 'object') return schemaText(first.name || first['@id'] || first.url);
+  return String(first).trim() || null;
+}
+
+/**
+ * Opening hours as strings ("Mo-Fr 09:00-18:00", "Monday,Tuesday 09:00-17:00")
+ * from openingHours or openingHoursSpecification
+ */
+function normalizeOpeningHours(item) {
+  const specifications = [].concat(item.openingHoursSpecification || []).filter(spec => spec && typeof spec === 'object');
+
+  if (specifications.length > 0) {
+    return specifications.map(spec => {
+      const days = [].concat(spec.dayOfWeek || []).map(normalizeSchemaType).join(',');
+      return `${days} ${spec.opens || ''}-${spec.closes || ''}`.trim();
+    });
+  }
+
+  return [].concat(item.openingHours || []).flatMap(hours =>
+    typeof hours === 'string' ? hours.split(/\s*,\s*(?=[A-Z][a-z])/) : []
+  );
+}
+
+/**
+ * Contact data of the first LocalBusiness item (address, phone, opening hours, geo)
+ *
+ * @param {Array<object>} items - Parsed JSON-LD objects and Microdata items
+ * @returns {object|null}
+ */
+function extractLocalBusiness(items) {
+  const business = items.find(item =>
+    [].concat(item['@type'] || []).map(normalizeSchemaType).some(type => LOCAL_BUSINESS_TYPES.includes(type))
+  );
+  if (!business) return null;
+
+  const address = [].concat(business.address || [])[0];
+  const geo = [].concat(business.geo || [])[0];
+  const toNumber = (value) => (isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+  return {
+    type: [].concat(business['@type']).map(normalizeSchemaType)[0],
+    name: schemaText(business.name),
+    url: schemaText(business.url),
+    telephone: schemaText(business.telephone),
+    email: schemaText(business.email),
+    address: address && typeof address === 'object'
+      ? {
+          streetAddress: schemaText(address.streetAddress),
+          postalCode: schemaText(address.postalCode),
+          addressLocality: schemaText(address.addressLocality),
+          addressRegion: schemaText(address.addressRegion),
+          addressCountry: schemaText(address.addressCountry),
+        }
+      : schemaText(address),
+    geo: geo && typeof geo === 'object'
+      ? { latitude: toNumber(geo.latitude), longitude: toNumber(geo.longitude) }
+      : null,
+    openingHours: normalizeOpeningHours(business),
+    priceRange: schemaText(business.priceRange),
+  };
+}
+
+/**
+ * LocalBusiness data of a loaded page for /harvest - extraction errors
+ * don't fail the crawl
+ */
+async function collectLocalBusiness(page) {
+  try {
+    return (await collectStructuredData(page)).localBusiness;
+  } catch (error) {
+    console.warn(`[DeepCrawler] Structured data extraction failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Extract and check the structured data of a loaded page
+ *
+ * @param {object} page - Playwright page
+ * @returns {Promise<{types, items, jsonLdErrors, localBusiness, localSignals}>}
+ */
+async function collectStructuredData(page) {
+  const raw = await page.evaluate(extractStructuredData);
+
+  const sources = [
+    ...raw.jsonLd.flatMap(flattenJsonLd).map(item => ({ source: 'json-ld', item })),
+    ...raw.microdata.map(item => ({ source: 'microdata', item })),
+  ];
+
+  const items = sources.map(({ source, item }) => {
+    const validation = validateSchemaItem(item);
+    return {
+      source,
+      types: [].concat(item['@type'] || []).map(normalizeSchemaType),
+      checkedAs: validation ? validation.checkedAs : null,
+      missing: validation ? validation.missing : [],
+      missingRecommended: validation ? validation.missingRecommended : [],
+    };
+  });
+
+  return {
+    types: [...new Set(items.flatMap(item => item.types))],
+    items,
+    jsonLdErrors: raw.jsonLdErrors,
+    localBusiness: extractLocalBusiness(sources.map(({ item }) => item)),
+    localSignals: raw.localSignals,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Accessibility audit - WCAG checks in the page (criteria are mapped in the rules)
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs in the page: contrast, labels, accessible names, heading order,
+ * landmarks and duplicate IDs. Every check lists at most `maxElements`
+ * affected elements with a CSS selector. Also remembers the unfocused look
+ * of all focusable elements (and their parents) for inspectFocusedElement.
+ */
+function auditAccessibility(maxElements) {
+  const cssPath = (el) => {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.body && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      node = node.parentElement;
+    }
+    if (parts.length === 0 || !parts[0].startsWith('#')) parts.unshift('body');
+    return parts.join(' > ');
+  };
+
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    return el.getClientRects().length > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+
+  const shortText = (text) => (text || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+
+  const check = (items) => ({ count: items.length, elements: items.slice(0, maxElements) });
+
+  // --- Colour contrast (1.4.3) ---
+  const parseColor = (value) => {
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return { r, g, b, a };
+  };
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1,
+  });
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  // Background behind an element - null over images or gradients (can't be measured)
+  const backgroundOf = (el) => {
+    const layers = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (!color) return null;
+      if (color.a > 0) layers.push(color);
+      if (color.a >= 1) break;
+    }
+    return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+  };
+  const toRgb = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+
+  const contrast = [];
+  const textElements = Array.from(document.body.querySelectorAll('*'))
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName))
+    .filter(el => Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim()))
+    .slice(0, 1000);
+
+  for (const el of textElements) {
+    if (!isVisible(el) || el.closest('[disabled], [aria-disabled="true"]')) continue;
+
+    const style = getComputedStyle(el);
+    const foreground = parseColor(style.color);
+    const background = backgroundOf(el);
+    if (!foreground || !background) continue;
+
+    const text = blend(foreground, background);
+    const [lighter, darker] = [luminance(text), luminance(background)].sort((a, b) => b - a);
+    const ratio = (lighter + 0.05) / (darker + 0.05);
+
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = large ? 3 : 4.5;
+
+    if (ratio < required) {
+      contrast.push({
+        selector: cssPath(el),
+        ratio: Math.round(ratio * 100) / 100,
+        required,
+        foreground: toRgb(text),
+        background: toRgb(background),
+        text: shortText(el.textContent),
+      });
+    }
+  }
+
+  // --- Accessible names (4.1.2, 2.4.4) ---
+  const labelledByText = (el) => (el.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => id && document.getElementById(id))
+    .filter(Boolean)
+    .map(node => node.textContent)
+    .join(' ')
+    .trim();
+
+  const contentName = (el) => {
+    const images = Array.from(el.querySelectorAll('img[alt], [role="img"][aria-label], svg title'))
+      .map(node => node.getAttribute('alt') || node.getAttribute('aria-label') || node.textContent)
+      .join(' ');
+    return `${el.innerText || ''} ${images}`.trim();
+  };
+
+  const accessibleName = (el) =>
+    labelledByText(el) ||
+    (el.getAttribute('aria-label') || '').trim() ||
+    contentName(el) ||
+    (el.getAttribute('title') || '').trim();
+
+  const unlabeledInputs = Array.from(document.querySelectorAll('input, select, textarea'))
+    .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes((el.getAttribute('type') || '').toLowerCase()))
+    .filter(isVisible)
+    .filter(el => {
+      const labels = Array.from(el.labels || []).map(label => label.textContent.trim()).join('');
+      return !labels && !labelledByText(el) && !(el.getAttribute('aria-label') || '').trim() && !(el.getAttribute('title') || '').trim();
+    })
+    .map(el => ({
+      selector: cssPath(el),
+      type: el.tagName === 'INPUT' ? (el.getAttribute('type') || 'text').toLowerCase() : el.tagName.toLowerCase(),
+      placeholder: el.getAttribute('placeholder') || null,
+    }));
+
+  const unnamedButtons = Array.from(document.querySelectorAll(
+    'button, [role="button"], input[type="submit" i], input[type="button" i], input[type="reset" i], input[type="image" i]'
+  ))
+    .filter(isVisible)
+    .filter(el => {
+      if (el.tagName === 'INPUT') {
+        const type = el.getAttribute('type').toLowerCase();
+        const value = type === 'image' ? el.getAttribute('alt') : el.getAttribute('value');
+        // Submit and reset buttons have a default label
+        return !(value || '').trim() && !(el.getAttribute('aria-label') || '').trim() && !labelledByText(el) &&
+          (type === 'button' || type === 'image');
+      }
+      return !accessibleName(el);
+    })
+    .map(el => ({ selector: cssPath(el), html: el.outerHTML.slice(0, 120) }));
+
+  const unnamedLinks = Array.from(document.querySelectorAll('a[href]'))
+    .filter(isVisible)
+    .filter(el => !accessibleName(el))
+    .map(el => ({ selector: cssPath(el), href: el.getAttribute('href') }));
+
+  // --- Heading order (1.3.1) ---
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]'))
+    .filter(isVisible)
+    .map(el => ({
+      el,
+      level: el.hasAttribute('aria-level') ? parseInt(el.getAttribute('aria-level'), 10) : parseInt(el.tagName[1], 10),
+    }));
+  const headingSkips = [];
+  headings.forEach((heading, index) => {
+    const previous = headings[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      headingSkips.push({
+        selector: cssPath(heading.el),
+        from: previous.level,
+        to: heading.level,
+        text: shortText(heading.el.textContent),
+      });
+    }
+  });
+
+  // --- Landmarks and skip link (2.4.1) ---
+  const skipLink = Array.from(document.querySelectorAll('a[href^="#"]')).slice(0, 5).some(link => {
+    const id = decodeURIComponent(link.getAttribute('href').slice(1));
+    return id && document.getElementById(id) && /skip|spring|zum inhalt|hauptinhalt|main content/i.test(accessibleName(link));
+  });
+  const landmarks = {
+    main: Boolean(document.querySelector('main, [role="main"]')),
+    navigation: Boolean(document.querySelector('nav, [role="navigation"]')),
+    banner: Boolean(document.querySelector('header, [role="banner"]')),
+    contentinfo: Boolean(document.querySelector('footer, [role="contentinfo"]')),
+    skipLink,
+  };
+
+  // --- Duplicate IDs (1.3.1) - only those that labels or ARIA attributes refer to,
+  // since only then a relationship points to the wrong element ---
+  const referencedIds = new Set();
+  document.querySelectorAll('label[for]').forEach(label => referencedIds.add(label.htmlFor));
+  document.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls], [aria-owns], [aria-activedescendant], [aria-details], [aria-errormessage]')
+    .forEach(el => {
+      for (const name of ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-details', 'aria-errormessage']) {
+        (el.getAttribute(name) || '').split(/\s+/).filter(Boolean).forEach(id => referencedIds.add(id));
+      }
+    });
+
+  const idCounts = new Map();
+  document.querySelectorAll('[id]').forEach(el => {
+    if (el.id && referencedIds.has(el.id)) idCounts.set(el.id, (idCounts.get(el.id) || 0) + 1);
+  });
+  const duplicateIds = Array.from(idCounts)
+    .filter(([, count]) => count > 1)
+    .map(([id, count]) => ({ selector: `[id="${CSS.escape(id)}"]`, id, count }));
+
+  // --- Focus snapshot (2.4.7, checked while tabbing) ---
+  const styleKey = (el) => {
+    const style = getComputedStyle(el);
+    return [
+      style.outlineStyle, style.outlineWidth, style.outlineColor, style.boxShadow,
+      style.borderColor, style.borderWidth, style.backgroundColor, style.color, style.textDecorationLine,
+    ].join('|');
+  };
+  window.__sitesweepStyleKey = styleKey;
+  window.__sitesweepFocusStyles = new Map();
+  document.querySelectorAll('a[href], button, input, select, textarea, summary, [tabindex], [contenteditable="true"]')
+    .forEach(el => {
+      window.__sitesweepFocusStyles.set(el, {
+        selector: cssPath(el),
+        self: styleKey(el),
+        parent: el.parentElement ? styleKey(el.parentElement) : null,
+      });
+    });
+
+  return {
+    contrast: check(contrast),
+    unlabeledInputs: check(unlabeledInputs),
+    unnamedButtons: check(unnamedButtons),
+    unnamedLinks: check(unnamedLinks),
+    headingSkips: check(headingSkips),
+    landmarks,
+    duplicateIds: check(duplicateIds),
+  };
+}
+
+/**
+ * Runs in the page: the element that has keyboard focus and whether its
+ * look (or its parent's) differs from the snapshot of auditAccessibility.
+ * null if nothing in this document is focused (end of the tab order, iframe)
+ * or the element appeared after the snapshot.
+ */
+function inspectFocusedElement() {
+  const el = document.activeElement;
+  const before = el && window.__sitesweepFocusStyles.get(el);
+  if (!before) return null;
+
+  const styleKey = window.__sitesweepStyleKey;
+  const visible = styleKey(el) !== before.self ||
+    Boolean(el.parentElement && styleKey(el.parentElement) !== before.parent);
+
+  return {
+    selector: before.selector,
+    visible,
+    text: (el.innerText || el.getAttribute('aria-label') || '').trim().slice(0, 60),
+  };
+}
+
+/**
+ * Accessibility data of the loaded page. Focus visibility (2.4.7) is checked by
+ * tabbing through the first A11Y_FOCUS_STEPS elements with the real keyboard.
+ *
+ * @param {object} page - Playwright page
+ * @param {number} [deadline] - Epoch ms after which no further Tab is pressed
+ * @returns {Promise<object>} - Result of auditAccessibility plus `focus`
+ */
+async function collectAccessibility(page, deadline = Infinity) {
+  const audit = await page.evaluate(auditAccessibility, A11Y_MAX_ELEMENTS);
+
+  const seen = new Set();
+  const notVisible = [];
+
+  for (let step = 0; step < A11Y_FOCUS_STEPS && Date.now() < deadline; step++) {
+    await page.keyboard.press('Tab');
+    const focused = await page.evaluate(inspectFocusedElement);
+    if (!focused) continue;
+    if (seen.has(focused.selector)) break; // Tab order wrapped around
+    seen.add(focused.selector);
+
+    if (!focused.visible) notVisible.push({ selector: focused.selector, text: focused.text });
+  }
+
+  // Leave the focus as it was for rules that read the page
+  await page.evaluate(() => {
+    if (document.activeElement) document.activeElement.blur();
+  });
+
+  return {
+    ...audit,
+    focus: {
+      checked: seen.size,
+      count: notVisible.length,
+      elements: notVisible.slice(0, A11Y_MAX_ELEMENTS),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Core scan logic (existing /scan endpoint)
+// ---------------------------------------------------------------------------
+
+/**
+ * Time budget of a scan - grows with the consent interaction and the link check
+ */
+function scanTimeoutMs(options = {}) {
+  return SCAN_TIMEOUT_MS +
+    (options.consentInteraction ? CONSENT_INTERACTION_EXTRA_MS : 0) +
+    (options.linkCheck ? LINK_CHECK_EXTRA_MS : 0);
+}
+
+/**
+ * Check for incomplete legal texts (template placeholders)
+ * Checks homepage first, then optionally navigates to Impressum page
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<{found: boolean, match?: string}>} - Result with match string if found
+ */
+async function checkIncompleteLegal(page) {
+  try {
+    // Step A: Check homepage
+    const homepageText = await page.evaluate(() => {
+      return document.body?.innerText || '';
+    });
+
+    // Check against all patterns
+    for (const pattern of INCOMPLETE_LEGAL_PATTERNS) {
+      const match = homepageText.match(pattern);
+      if (match) {
+        // Extract a snippet of the matched text (first 50 chars)
+        const snippet = match[0].substring(0, 50).trim();
+        return { found: true, match: snippet, url: page.url() };
+      }
+    }
+
+    // Step B: If no match on homepage, try Impressum page
+    try {
+      // Find Impressum link
+      const impressumLink = await page.evaluate(() => {
+        const links = Array.from(document.querySelectorAll('a[href*="impressum"], a[href*="Impressum"]'));
+        if (links.length === 0) return null;
+        
+        const link = links[0];
+        const href = link.getAttribute('href');
+        if (!href) return null;
+        
+        // Resolve to absolute URL
+        try {
+          return new URL(href, window.location.href).href;
+        } catch {
+          return href;
+        }
+      });
+
+      if (impressumLink) {
+        console.log(`[LegalCheck] Checking Impressum page: ${impressumLink}`);
+        
+        // Navigate to Impressum (with timeout)
+        await page.goto(impressumLink, {
+          waitUntil: 'domcontentloaded',
+          timeout: 5000,
+        });
+        
+        // Wait a bit for content to load
+        await page.waitForTimeout(1000);
+        
+        // Check Impressum page text
+        const impressumText = await page.evaluate(() => {
+          return document.body?.innerText || '';
+        });
+
+        // Check against all patterns
+        for (const pattern of INCOMPLETE_LEGAL_PATTERNS) {
+          const match = impressumText.match(pattern);
+          if (match) {
+            // Extract a snippet of the matched text (first 50 chars)
+            const snippet = match[0].substring(0, 50).trim();
+            return { found: true, match: snippet, url: impressumLink };
+          }
+        }
+      }
+    } catch (impressumError) {
+      // If Impressum navigation fails, just continue (don't crash)
+      console.warn(`[LegalCheck] Failed to check Impressum: ${impressumError.message}`);
+    }
+
+    return { found: false };
+  } catch (error) {
+    // If anything fails, return false (don't crash the scan)
+    console.warn(`[LegalCheck] Error during legal check: ${error.message}`);
+    return { found: false };
+  }
+}
+
+/**
+ * Init script: record LCP, CLS and long tasks from the very first paint.
+ * Runs in the browser before any page script.
+ */
+function installPerformanceObservers() {
+  const perf = { lcp: null, cls: 0, longTasks: [] };
+  window.__sitesweepPerf = perf;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    perf.lcp = entry.startTime;
+  });
+  observe('layout-shift', (entry) => {
+    if (!entry.hadRecentInput) perf.cls += entry.value;
+  });
+  observe('longtask', (entry) => {
+    perf.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+/**
+ * Track request count and transfer sizes of a page's network events
+ */
+function trackNetworkStats(page) {
+  const stats = {
+    recording: true,
+    requestCount: 0,
+    resources: [],
+    pending: [],
+  };
+
+  page.on('request', () => {
+    if (stats.recording) stats.requestCount++;
+  });
+
+  page.on('requestfinished', (request) => {
+    if (!stats.recording) return;
+
+    stats.pending.push(
+      request.sizes()
+        .then((sizes) => {
+          stats.resources.push({
+            url: request.url(),
+            type: request.resourceType(),
+            size: sizes.responseBodySize + sizes.responseHeadersSize,
+          });
+        })
+        .catch(() => {
+          // Request is gone (page closed) - ignore
+        })
+    );
+  });
+
+  return stats;
+}
+
+/**
+ * Collect Core Web Vitals, navigation timing and network totals.
+ * Stops network recording, so later navigations (Impressum check) don't count.
+ *
+ * @param {Page} page - Playwright page (with installPerformanceObservers)
+ * @param {object} networkStats - Result of trackNetworkStats
+ * @returns {Promise<object>} - Performance section of the scan result
+ */
+async function collectPerformance(page, networkStats) {
+  networkStats.recording = false;
+  await Promise.allSettled(networkStats.pending);
+
+  const timing = await page.evaluate(() => {
+    const nav = performance.getEntriesByType('navigation')[0];
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+    const perf = window.__sitesweepPerf || { lcp: null, cls: 0, longTasks: [] };
+    const round = (value) => (typeof value === 'number' && value > 0 ? Math.round(value) : null);
+
+    // Total Blocking Time: main-thread time beyond 50ms per long task after FCP
+    const fcpTime = fcp ? fcp.startTime : 0;
+    const totalBlockingTime = perf.longTasks
+      .filter((task) => task.start >= fcpTime)
+      .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+    return {
+      ttfb: nav ? round(nav.responseStart) : null,
+      firstContentfulPaint: fcp ? round(fcp.startTime) : null,
+      domContentLoaded: nav ? round(nav.domContentLoadedEventEnd) : null,
+      load: nav ? round(nav.loadEventEnd) : null,
+      largestContentfulPaint: round(perf.lcp),
+      cumulativeLayoutShift: Math.round(perf.cls * 1000) / 1000,
+      totalBlockingTime: Math.round(totalBlockingTime),
+      longTasks: perf.longTasks.length,
+    };
+  });
+
+  const resources = networkStats.resources;
+
+  return {
+    ...timing,
+    requestCount: networkStats.requestCount,
+    transferSize: resources.reduce((sum, r) => sum + Math.max(0, r.size), 0),
+    largestResources: [...resources]
+      .sort((a, b) => b.size - a.size)
+      .slice(0, 5),
+  };
+}
+
+/**
+ * Capture a viewport screenshot as JPEG data URL (null on failure)
+ */
+async function captureScreenshot(page, label) {
+  try {
+    const screenshotBuffer = await page.screenshot({
+      fullPage: false,
+      type: 'jpeg',
+      quality: 60,
+      timeout: 10000,
+    });
+    const base64String = screenshotBuffer.toString('base64');
+    console.log(`[EliteScanner] ${label} screenshot captured successfully`);
+    // CRITICAL: Return as data URL for frontend display
+    return `data:image/jpeg;base64,${base64String}`;
+  } catch (screenshotError) {
+    console.warn(`[EliteScanner] ${label} screenshot failed:`, screenshotError.message);
+    return null;
+  }
+}
+
+/**
+ * Mobile scan pass: load the page in an emulated phone (MOBILE_DEVICE) and
+ * measure what actually happens at mobile width - the viewport meta tag alone
+ * doesn't prove a site works on phones.
+ *
+ * @param {string} url - Final URL of the desktop pass
+ * @param {AbortSignal} [signal] - Aborts the pass (see acquireContext)
+ * @returns {Promise<object>} - Mobile metrics and screenshot data URL
+ */
+async function performMobilePass(url, signal) {
+  const { defaultBrowserType, ...deviceOptions } = devices[MOBILE_DEVICE];
+  const { context, release } = await acquireContext({ ...deviceOptions, ignoreHTTPSErrors: true }, signal);
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(MOBILE_PASS_TIMEOUT_MS);
+
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: MOBILE_PASS_TIMEOUT_MS });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+    const metrics = await page.evaluate(() => {
+      // Layout viewport width (innerWidth grows when the phone zooms out to fit wide content)
+      const viewportWidth = document.documentElement.clientWidth;
+      const deviceWidth = window.screen.width;
+      const documentWidth = Math.max(
+        document.documentElement.scrollWidth,
+        document.body ? document.body.scrollWidth : 0
+      );
+
+      const isVisible = (el) => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const describe = (el) => {
+        const id = el.id ? `#${el.id}` : '';
+        const className = typeof el.className === 'string' && el.className.trim()
+          ? `.${el.className.trim().split(/\s+/)[0]}`
+          : '';
+        return `${el.tagName.toLowerCase()}${id}${className}`;
+      };
+
+      // ======================================================================
+      // Viewport: does the layout viewport match the device width?
+      // (Without a working viewport meta, mobile browsers render at ~980px and zoom out)
+      // ======================================================================
+
+      const viewportContent = document.querySelector('meta[name="viewport"]')?.getAttribute('content') || '';
+      const viewportEffective = viewportWidth <= deviceWidth + 1;
+
+      // ======================================================================
+      // Horizontal overflow: content wider than the screen
+      // ======================================================================
+
+      const overflowingElements = [];
+      if (documentWidth > viewportWidth + 1) {
+        for (const el of Array.from(document.body ? document.body.querySelectorAll('*') : [])) {
+          const rect = el.getBoundingClientRect();
+          if (rect.right > viewportWidth + 1 && rect.width > 0 && isVisible(el)) {
+            overflowingElements.push(describe(el));
+            if (overflowingElements.length >= 5) break;
+          }
+        }
+      }
+
+      // ======================================================================
+      // Tap targets: interactive elements smaller than 44x44px
+      // (inline links inside running text are exempt)
+      // ======================================================================
+
+      const MIN_TAP_SIZE = 44;
+      const interactive = Array.from(document.querySelectorAll(
+        'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]'
+      )).filter(isVisible);
+
+      const smallTapTargets = interactive.filter(el => {
+        const style = window.getComputedStyle(el);
+        if (el.tagName === 'A' && style.display === 'inline' && el.closest('p, li, td')) return false;
+
+        const rect = el.getBoundingClientRect();
+        return rect.width < MIN_TAP_SIZE || rect.height < MIN_TAP_SIZE;
+      });
+
+      // ======================================================================
+      // Font sizes: share of visible text rendered below 12px
+      // ======================================================================
+
+      let totalChars = 0;
+      let smallChars = 0;
+      let minFontSize = null;
+
+      const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+      let textNode;
+      while ((textNode = walker.nextNode())) {
+        const text = textNode.textContent.trim();
+        const parent = textNode.parentElement;
+        if (!text || !parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+        if (!isVisible(parent)) continue;
+
+        const fontSize = parseFloat(window.getComputedStyle(parent).fontSize);
+        if (isNaN(fontSize)) continue;
+
+        totalChars += text.length;
+        if (fontSize < 12) smallChars += text.length;
+        minFontSize = minFontSize === null ? fontSize : Math.min(minFontSize, fontSize);
+      }
+
+      return {
+        viewportWidth,
+        deviceWidth,
+        documentWidth,
+        viewportContent,
+        viewportEffective,
+        hasHorizontalOverflow: documentWidth > viewportWidth + 1,
+        overflowingElements,
+        tapTargets: interactive.length,
+        smallTapTargets: smallTapTargets.length,
+        smallTapTargetExamples: smallTapTargets.slice(0, 3).map(el =>
+          (el.innerText || el.getAttribute('aria-label') || describe(el)).trim().substring(0, 40)
+        ),
+        minFontSize,
+        smallTextRatio: totalChars > 0 ? smallChars / totalChars : 0,
+      };
+    });
+
+    const screenshot = await captureScreenshot(page, 'Mobile');
+
+    return {
+      device: MOBILE_DEVICE,
+      ...metrics,
+      screenshot,
+    };
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Cookies of a browser context with flags, lifetime, first/third party and
+ * vendor (see catalogs/cookies.js)
+ *
+ * @param {object} context - Playwright browser context
+ * @param {string} siteUrl - Final URL of the scanned site
+ * @returns {Promise<Array<object>>}
+ */
+async function listCookies(context, siteUrl) {
+  const siteDomain = getSiteDomain(new URL(siteUrl).hostname);
+  const cookies = await context.cookies();
+  const now = Date.now();
+
+  return cookies.map(cookie => {
+    const domain = cookie.domain.replace(/^\./, '');
+    const entry = classifyCookie(cookie.name);
+    const isSession = !(cookie.expires > 0);
+
+    return {
+      name: cookie.name,
+      domain,
+      path: cookie.path,
+      expires: isSession ? null : new Date(cookie.expires * 1000).toISOString(),
+      lifetimeDays: isSession ? null : Math.round((cookie.expires * 1000 - now) / 86_400_000),
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      thirdParty: getSiteDomain(domain) !== siteDomain,
+      vendor: entry ? entry.vendor : null,
+      purpose: entry ? entry.purpose : 'unknown',
+    };
+  });
+}
+
+/**
+ * Cookie and web storage inventory of a loaded page (keys only - values may
+ * hold personal data)
+ *
+ * @param {object} page - Playwright page
+ * @param {string} siteUrl - Final URL of the scanned site
+ * @returns {Promise<{cookies, localStorage, sessionStorage}>}
+ */
+async function collectStorage(page, siteUrl) {
+  const storageKeys = await page.evaluate(() => {
+    const keysOf = (storage) => {
+      try {
+        return Object.keys(storage).sort();
+      } catch {
+        return []; // Storage access denied (e.g. sandboxed documents)
+      }
+    };
+
+    return { localStorage: keysOf(window.localStorage), sessionStorage: keysOf(window.sessionStorage) };
+  });
+
+  return {
+    cookies: await listCookies(page.context(), siteUrl),
+    ...storageKeys,
+  };
+}
+
+/**
+ * Vendors with a tracking purpose among third-party hosts and cookies
+ */
+function trackingVendors(items) {
+  return [...new Set(
+    items
+      .filter(item => item.vendor && TRACKING_PURPOSES.includes(item.purpose))
+      .map(item => item.vendor)
+  )];
+}
+
+/**
+ * Find a visible "accept all" / "reject all" button of the consent banner:
+ * platform selectors first, then buttons with a typical label.
+ *
+ * @param {object} page - Playwright page
+ * @param {string[]} platformNames - Detected consent platforms
+ * @param {'accept'|'reject'} action - Button to look for
+ * @returns {Promise<object|null>} - Playwright locator or null
+ */
+async function findConsentButton(page, platformNames, action) {
+  const selectors = CONSENT_PLATFORMS
+    .filter(platform => platformNames.includes(platform.name))
+    .flatMap(platform => platform[action]);
+
+  const candidates = [
+    ...selectors.map(selector => page.locator(selector)),
+    page
+      .locator('button, a, [role="button"]')
+      .filter({ hasText: action === 'accept' ? ACCEPT_TEXT : REJECT_TEXT }),
+  ];
+
+  for (const candidate of candidates) {
+    const button = candidate.first();
+    if (await button.isVisible().catch(() => false)) return button;
+  }
+
+  return null;
+}
+
+/**
+ * Detect the consent banner on a loaded page: known platforms (globals, banner
+ * elements, script hosts), a generic cookie banner and its first-layer buttons.
+ *
+ * @param {object} page - Playwright page (loaded, no interaction yet)
+ * @param {Array<object>} thirdParties - Third-party inventory of the page
+ * @returns {Promise<{platforms, bannerVisible, acceptButton, rejectButton}>}
+ */
+async function detectConsentBanner(page, thirdParties) {
+  const onPage = await page.evaluate((platforms) => {
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    const detected = platforms
+      .filter(platform =>
+        platform.globals.some(name => typeof window[name] !== 'undefined') ||
+        platform.selectors.some(selector => document.querySelector(selector))
+      )
+      .map(platform => platform.name);
+
+    // Banners of unknown platforms: fixed overlays or dialogs talking about cookies
+    const genericBanner = Array.from(document.querySelectorAll('body *')).some(el => {
+      const style = window.getComputedStyle(el);
+      const isOverlay =
+        ['fixed', 'sticky'].includes(style.position) ||
+        el.getAttribute('role') === 'dialog' ||
+        el.getAttribute('aria-modal') === 'true';
+
+      return isOverlay && isVisible(el) && /cookie|einwilligung|consent/i.test(el.innerText || '');
+    });
+
+    return { detected, genericBanner };
+  }, CONSENT_PLATFORMS.map(({ name, globals, selectors }) => ({ name, globals, selectors })));
+
+  const hosts = thirdParties.map(tp => tp.host);
+  const platforms = CONSENT_PLATFORMS
+    .filter(platform =>
+      onPage.detected.includes(platform.name) ||
+      platform.domains.some(domain => hosts.some(host => host === domain || host.endsWith(`.${domain}`)))
+    )
+    .map(platform => platform.name);
+
+  const acceptButton = await findConsentButton(page, platforms, 'accept');
+  const rejectButton = await findConsentButton(page, platforms, 'reject');
+
+  return {
+    platforms,
+    bannerVisible: onPage.genericBanner || acceptButton !== null,
+    acceptButton: acceptButton !== null,
+    rejectButton: rejectButton !== null,
+  };
+}
+
+/**
+ * Consent pass: load the page in a fresh context, click "accept all" or
+ * "reject all" and record what only happens after the click.
+ *
+ * @param {string} url - Final URL of the desktop pass
+ * @param {'accept'|'reject'} action - Button to click
+ * @param {string[]} platformNames - Consent platforms detected in the desktop pass
+ * @param {AbortSignal} [signal] - Aborts the pass (see acquireContext)
+ * @returns {Promise<{clicked, newCookies, newTrackers, newHosts}>}
+ */
+async function performConsentPass(url, action, platformNames, signal) {
+  const { context, release } = await acquireContext({
+    viewport: { width: 1920, height: 1080 },
+    userAgent: USER_AGENT,
+    ignoreHTTPSErrors: true,
+  }, signal);
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(CONSENT_PASS_TIMEOUT_MS);
+
+    const hostRequests = { before: new Map(), after: new Map() };
+    let clicked = false;
+
+    page.on('request', (request) => {
+      try {
+        const { hostname, pathname } = new URL(request.url());
+        if (!hostname) return;
+
+        const requests = clicked ? hostRequests.after : hostRequests.before;
+        const record = requests.get(hostname) || { hostname, entry: classifyThirdParty(hostname, pathname), requests: 0 };
+        record.requests++;
+        requests.set(hostname, record);
+      } catch {
+        // Ignore unparsable request URLs
+      }
+    });
+
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: CONSENT_PASS_TIMEOUT_MS });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+    const button = await findConsentButton(page, platformNames, action);
+    if (!button) {
+      return { clicked: false, newCookies: [], newTrackers: [], newHosts: [] };
+    }
+
+    const cookiesBefore = await listCookies(context, url);
+
+    clicked = true;
+    await button.click({ timeout: 5000 });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    await page.waitForTimeout(CONSENT_SETTLE_MS);
+
+    const cookieKey = (cookie) => `${cookie.domain} ${cookie.name}`;
+    const knownCookies = new Set(cookiesBefore.map(cookieKey));
+    const cookiesAfter = await listCookies(context, url);
+
+    const newCookies = cookiesAfter.filter(cookie => !knownCookies.has(cookieKey(cookie)));
+
+    const hostsBefore = buildThirdPartyInventory(hostRequests.before, url);
+    const hostsAfter = buildThirdPartyInventory(hostRequests.after, url);
+    const trackersBefore = trackingVendors([...hostsBefore, ...cookiesBefore]);
+
+    return {
+      clicked: true,
+      newCookies,
+      newTrackers: trackingVendors([...hostsAfter, ...newCookies]).filter(vendor => !trackersBefore.includes(vendor)),
+      newHosts: hostsAfter
+        .filter(tp => !hostsBefore.some(before => before.host === tp.host))
+        .map(tp => tp.host),
+    };
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Consent data of a scan: banner detection plus cookies and trackers seen
+ * before any interaction. With `interact`, "accept all" and "reject all" are
+ * clicked in fresh contexts - failures there don't fail the scan.
+ *
+ * @param {object} page - Playwright page of the desktop pass (no interaction yet)
+ * @param {Array<object>} thirdParties - Third-party inventory of the desktop pass
+ * @param {string} finalUrl - Final URL of the desktop pass
+ * @param {boolean} interact - Run the accept/reject passes
+ * @param {AbortSignal} [signal] - Aborts the passes (see acquireContext)
+ */
+async function collectConsent(page, thirdParties, finalUrl, interact, signal) {
+  const banner = await detectConsentBanner(page, thirdParties);
+  const cookies = await listCookies(page.context(), finalUrl);
+
+  const consent = {
+    ...banner,
+    beforeConsent: {
+      cookies,
+      trackers: trackingVendors([...thirdParties, ...cookies]),
+    },
+    afterAccept: null,
+    afterReject: null,
+  };
+
+  if (interact && banner.bannerVisible) {
+    for (const action of ['accept', 'reject']) {
+      try {
+        consent[action === 'accept' ? 'afterAccept' : 'afterReject'] =
+          await performConsentPass(finalUrl, action, banner.platforms, signal);
+      } catch (passError) {
+        console.warn(`[EliteScanner] Consent pass '${action}' failed: ${passError.message}`);
+      }
+    }
+  }
+
+  return consent;
+}
+
+/**
+ * Perform the elite scan for a single URL.
+ *
+ * @param {string} inputUrl - Raw URL input
+ * @param {object} [options] - Scan options
+ * @param {object} [options.rules] - Per-request rule config (see resolveRules)
+ * @param {string} [options.lang] - Language of issue texts (default: de)
+ * @param {boolean} [options.consentInteraction] - Click "accept all" / "reject all" in extra passes
+ * @param {boolean} [options.linkCheck] - Check the targets of all links on the page
+ * @param {AbortSignal} [options.signal] - Closes the scan's browser contexts when aborted
+ * @param {function(string, object): void} [options.onProgress] - Progress events (see emitJobEvent)
+ */
+async function performScan(inputUrl, options = {}) {
+  let release;
+
+  try {
+    const targetUrl = normalizeUrl(inputUrl);
+    const rules = resolveRules(options.rules);
+    const lang = options.lang || DEFAULT_LANG;
+    const needs = new Set(rules.flatMap(rule => rule.needs));
+    // Passes after the page load only get what is left of the job's time budget
+    const deadline = Date.now() + scanTimeoutMs(options) - SCAN_FINISH_RESERVE_MS;
+    const timeLeft = () => Math.max(0, deadline - Date.now());
+    console.log(`[EliteScanner] Starting scan for ${targetUrl.href}`);
+    // Progress events for streaming callers (see emitJobEvent)
+    const progress = options.onProgress || (() => {});
+    progress('phase', { phase: 'loading', url: targetUrl.href });
+    
+    // Certificate errors don't stop the scan - the tls rules report them
+    const pooled = await acquireContext({
+      viewport: { width: 1920, height: 1080 },
+      userAgent: USER_AGENT,
+      ignoreHTTPSErrors: true,
+    }, options.signal);
+    const context = pooled.context;
+    release = pooled.release;
+
+    // GDPR tracking: requests per third-party host (see catalogs/third-parties.js)
+    const hostRequests = new Map();
+
+    // STRICT AUDITOR: Quality tracking
+    const qualityFindings = {
+      brokenResources: [],
+      consoleErrors: [],
+      pageErrors: [],
+    };
+
+    // Track HTTP requests for mixed content detection
+    const httpRequests = [];
+
+    // Latest main-frame document response (the final one after redirects)
+    let documentResponse = null;
+
+    await context.route('**/*', async (route) => {
+      try {
+        const { hostname, pathname } = new URL(route.request().url());
+
+        if (hostname) {
+          const entry = classifyThirdParty(hostname, pathname);
+          const key = `${hostname} ${entry ? entry.vendor : ''}`;
+          const record = hostRequests.get(key) || { hostname, entry, requests: 0, sampleUrls: [] };
+          record.requests++;
+          if (record.sampleUrls.length < 3) record.sampleUrls.push(route.request().url());
+          hostRequests.set(key, record);
+        }
+
+        await route.continue();
+      } catch (routeError) {
+        console.warn('[EliteScanner] Route interception error:', routeError.message);
+        try {
+          await route.continue();
+        } catch {
+          // Never crash due to routing issues
+        }
+      }
+    });
+    
+    if (needs.has('performance')) {
+      await context.addInitScript(installPerformanceObservers);
+    }
+
+    const page = await context.newPage();
+    page.setDefaultTimeout(PAGE_LOAD_TIMEOUT_MS);
+
+    const networkStats = needs.has('performance') ? trackNetworkStats(page) : null;
+
+    // STRICT AUDITOR: Listen for console errors
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') {
+        qualityFindings.consoleErrors.push(msg.text());
+      }
+    });
+
+    // STRICT AUDITOR: Listen for page errors (uncaught exceptions)
+    page.on('pageerror', (error) => {
+      qualityFindings.pageErrors.push(error.message);
+    });
+
+    // STRICT AUDITOR: Listen for failed requests and HTTP on HTTPS
+    page.on('response', async (response) => {
+      try {
+        const status = response.status();
+        const url = response.url();
+        const resourceType = response.request().resourceType();
+
+        if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) {
+          documentResponse = response;
+        }
+
+        // Track HTTP requests for mixed content
+        if (url.startsWith('http://') && ['image', 'stylesheet', 'script', 'font'].includes(resourceType)) {
+          httpRequests.push({ url, type: resourceType });
+        }
+
+        // Detect 404s on important resources
+        if (status === 404 && ['image', 'stylesheet', 'script', 'font'].includes(resourceType)) {
+          qualityFindings.brokenResources.push({ url, status, type: resourceType });
+        }
+      } catch {
+        // Ignore errors in response handler
+      }
+    });
+    
+    // Smart navigation with automatic www retry
+    // IMPORTANT: finalUrl is used for ALL checks (SSL, redirects, etc.)
+    // This ensures consistent results regardless of input URL vs redirected URL
+    let finalUrl;
+    let redirectChain;
+    let wwwRetry;
     try {
-      finalUrl = await navigateWithRetry(page, targetUrl.href, SCAN_TIMEOUT_MS);
-      await page.waitForLoadState('networkidle', { timeout: SCAN_TIMEOUT_MS }).catch(() => {});
+      ({ finalUrl, redirectChain, wwwRetry } = await navigateWithRetry(page, targetUrl.href, PAGE_LOAD_TIMEOUT_MS));
+      await page.waitForLoadState('networkidle', { timeout: NETWORK_IDLE_TIMEOUT_MS }).catch(() => {});
     } catch {
       throw new Error('Target site unreachable or timed out.');
     }
+    progress('phase', { phase: 'loaded', finalUrl });
     
+    // Response headers of the main document - read now, the legal check navigates away
+    let headersData = null;
+    if (needs.has('headers') && documentResponse) {
+      try {
+        const { 'set-cookie': setCookie, ...headers } = await documentResponse.allHeaders();
+        headersData = { status: documentResponse.status(), headers };
+      } catch (headersError) {
+        console.warn(`[EliteScanner] Reading response headers failed: ${headersError.message}`);
+      }
+    }
+
     // Extract protocol from FINAL URL (after redirects)
     const finalProtocol = (() => {
       try {
@@ -435,6 +2402,32 @@ async function performScan(inputUrl) {
         return 'http:';
       }
     })();
+
+    // TLS certificate and HTTP redirect - runs in the background while the page is analysed.
+    // Background probes have their own deadline; a probe that is still running at the end
+    // of the scan is dropped and its rules are skipped.
+    const tlsPromise = needs.has('tls') && finalProtocol === 'https:'
+      ? withTimeout(inspectTransportSecurity(finalUrl), SCAN_PROBE_TIMEOUT_MS, 'TLS check timed out.').catch((tlsError) => {
+          console.warn(`[EliteScanner] TLS check failed: ${tlsError.message}`);
+          return null;
+        })
+      : Promise.resolve(null);
+
+    // robots.txt and sitemaps - also in the background
+    const crawlabilityPromise = needs.has('crawlability')
+      ? withTimeout(inspectCrawlability(finalUrl), SCAN_PROBE_TIMEOUT_MS, 'robots.txt/sitemap check timed out.').catch((crawlError) => {
+          console.warn(`[EliteScanner] robots.txt/sitemap check failed: ${crawlError.message}`);
+          return null;
+        })
+      : Promise.resolve(null);
+
+    // The other host spelling (www ↔ apex) - also in the background
+    const hostVariantPromise = needs.has('redirects')
+      ? withTimeout(probeHostVariant(finalUrl), SCAN_PROBE_TIMEOUT_MS, 'Host variant check timed out.').catch((variantError) => {
+          console.warn(`[EliteScanner] Host variant check failed: ${variantError.message}`);
+          return null;
+        })
+      : Promise.resolve(null);
     
     const pageData = await page.evaluate(() => {
       const html = document.documentElement?.innerHTML || '';
@@ -564,378 +2557,256 @@ async function performScan(inputUrl) {
       };
     });
 
-    // Check for incomplete legal texts (template placeholders)
-    const legalCheck = await checkIncompleteLegal(page);
-    
-    // If we navigated to Impressum, navigate back to original page
-    if (page.url() !== finalUrl) {
+    // Third parties contacted while loading the page. The scan never interacts with
+    // cookie banners, so all of these were contacted before consent.
+    const thirdParties = buildThirdPartyInventory(hostRequests, finalUrl);
+
+    const gdprFindings = {
+      googleFonts: thirdParties.some(tp => tp.vendor === 'Google Fonts'),
+      googleMaps: thirdParties.some(tp => tp.vendor === 'Google Maps'),
+      googleAnalytics: thirdParties.some(tp => ['Google Analytics', 'Google Tag Manager'].includes(tp.vendor)),
+    };
+
+    // Performance metrics - collected before the legal check navigates away
+    let performanceData = null;
+    if (needs.has('performance')) {
       try {
-        await page.goto(finalUrl, { waitUntil: 'domcontentloaded', timeout: 5000 });
-      } catch {
-        // If navigation back fails, continue anyway
+        performanceData = await collectPerformance(page, networkStats);
+      } catch (perfError) {
+        console.warn(`[EliteScanner] Performance metrics failed: ${perfError.message}`);
       }
     }
 
-    let score = 100;
-    const issues = [];
-    
-    const applyPenalty = (amount) => {
-      score = Math.max(0, score - amount);
-    };
-    
-    if (finalProtocol !== 'https:') {
-      issues.push(
-        buildIssue(
-          'security', 
-          'high', 
-          'Keine SSL-Verschlüsselung',
-          'Webseite ist nicht verschlüsselt (kein HTTPS). Dies ist unsicher und schadet dem Vertrauen.'
-        )
-      );
-      applyPenalty(40);
-    }
-    
-    if (!pageData.hasViewportMeta) {
-      issues.push(
-        buildIssue(
-          'mobile', 
-          'high',
-          'Nicht mobile-optimiert',
-          'Kein responsiver Viewport-Meta-Tag gefunden. Webseite ist nicht für Mobilgeräte optimiert.'
-        )
-      );
-      applyPenalty(20);
-    }
-    
-    // --- LEGAL COMPLIANCE (Critical for German/EU) ---
-    
-    // Check for incomplete legal texts (template placeholders)
-    if (legalCheck.found) {
-      issues.push(
-        buildIssue(
-          'legal',
-          'critical',
-          'Rechtstexte unvollständig',
-          `Rechtstexte unvollständig (Platzhalter '${legalCheck.match}' gefunden). Die Website verwendet noch Template-Placeholder und ist nicht fertiggestellt.`
-        )
-      );
-      applyPenalty(40);
-    }
-    
-    if (!pageData.hasImpressumLink) {
-      issues.push(
-        buildIssue(
-          'legal', 
-          'critical',
-          'Impressum fehlt',
-          'Kein Impressum-Link gefunden. Dies ist in Deutschland gesetzlich vorgeschrieben (§5 TMG)!'
-        )
-      );
-      applyPenalty(30);
+    // Consent banner and pre-consent state - before the legal check navigates away
+    let consentData = null;
+    if (needs.has('consent')) {
+      try {
+        consentData = await collectConsent(page, thirdParties, finalUrl, Boolean(options.consentInteraction), options.signal);
+      } catch (consentError) {
+        console.warn(`[EliteScanner] Consent detection failed: ${consentError.message}`);
+      }
     }
 
-    if (!pageData.hasDatenschutzLink) {
-      issues.push(
-        buildIssue(
-          'legal', 
-          'high',
-          'Datenschutzerklärung fehlt',
-          'Kein Datenschutz-Link gefunden. DSGVO-Verstoß!'
-        )
-      );
-      applyPenalty(15);
+    // Cookies and web storage after load
+    let storageData = null;
+    if (needs.has('storage')) {
+      try {
+        storageData = await collectStorage(page, finalUrl);
+      } catch (storageError) {
+        console.warn(`[EliteScanner] Storage inventory failed: ${storageError.message}`);
+      }
     }
 
-    // --- GDPR VIOLATIONS ---
-    
-    if (gdprFindings.googleFonts) {
-      issues.push(
-        buildIssue(
-          'gdpr',
-          'high',
-          'Google Fonts werden illegal geladen',
-          'Ihre Seite lädt Schriften direkt von US-Servern. Das verstößt gegen die DSGVO (EuGH-Urteil). Schriftarten sollten lokal gehostet werden.'
-        )
-      );
-      applyPenalty(20);
+    // Link targets are checked in the background while the remaining passes run
+    let linksPromise = null;
+    if (needs.has('links') && options.linkCheck) {
+      try {
+        linksPromise = checkLinks(await collectAnchors(page), finalUrl).catch(linkError => {
+          console.warn(`[EliteScanner] Link check failed: ${linkError.message}`);
+          return null;
+        });
+      } catch (anchorError) {
+        console.warn(`[EliteScanner] Link collection failed: ${anchorError.message}`);
+      }
     }
 
-    if (gdprFindings.googleMaps) {
-      issues.push(
-        buildIssue(
-          'gdpr', 
-          'medium',
-          'Google Maps ohne Consent',
-          'Google Maps wird ohne Consent-Management eingebunden. Möglicher DSGVO-Verstoß.'
-        )
-      );
-      applyPenalty(10);
+    // noindex via meta robots or X-Robots-Tag header of the main document
+    let noindex = null;
+    if (needs.has('crawlability')) {
+      try {
+        const metaRobots = await page.evaluate(() =>
+          Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+            .map(meta => meta.getAttribute('content') || '')
+            .join(', ')
+        );
+        const robotsHeader = documentResponse ? (await documentResponse.headerValue('x-robots-tag')) || '' : '';
+
+        noindex = {
+          meta: /\bnoindex\b|\bnone\b/i.test(metaRobots),
+          header: /\bnoindex\b|\bnone\b/i.test(robotsHeader),
+          metaRobots,
+          robotsHeader,
+        };
+      } catch (noindexError) {
+        console.warn(`[EliteScanner] noindex check failed: ${noindexError.message}`);
+      }
     }
 
-    if (gdprFindings.googleAnalytics) {
-      issues.push(
-        buildIssue(
-          'gdpr',
-          'medium',
-          'Google Analytics erkannt',
-          'Google Analytics erkannt. Stellen Sie sicher, dass ein Cookie-Banner aktiv ist.'
-        )
-      );
-      applyPenalty(5);
+    // Schema.org markup (JSON-LD, Microdata)
+    let structuredData = null;
+    if (needs.has('structuredData')) {
+      try {
+        structuredData = await collectStructuredData(page);
+      } catch (structuredDataError) {
+        console.warn(`[EliteScanner] Structured data extraction failed: ${structuredDataError.message}`);
+      }
     }
 
-    // ========================================================================
-    // STRICT AUDITOR CHECKS - Findet alte/kaputte Websites
-    // ========================================================================
-
-    let hasOldSchoolHTML = false;
-
-    // --- 1. DEPRECATED HTML TAGS (Old School Website) ---
-    
-    if (pageData.hasDeprecatedHTML) {
-      hasOldSchoolHTML = true;
-      
-      const deprecatedDetails = [];
-      if (pageData.deprecatedTags.font > 0) deprecatedDetails.push(`<font> Tags (${pageData.deprecatedTags.font})`);
-      if (pageData.deprecatedTags.center > 0) deprecatedDetails.push(`<center> Tags (${pageData.deprecatedTags.center})`);
-      if (pageData.deprecatedTags.marquee > 0) deprecatedDetails.push(`<marquee> Tags (${pageData.deprecatedTags.marquee})`);
-      if (pageData.deprecatedTags.frameset > 0) deprecatedDetails.push(`<frameset> Tags (${pageData.deprecatedTags.frameset})`);
-      if (pageData.deprecatedTags.tableLayout > 0) deprecatedDetails.push(`Tabellen-Layout (${pageData.deprecatedTags.tableLayout})`);
+    // Check for incomplete legal texts (template placeholders) - only if a rule needs it,
+    // since it navigates to the Impressum page
+    let legalCheck = null;
+    if (needs.has('legal')) {
+      progress('phase', { phase: 'legal' });
+      legalCheck = await checkIncompleteLegal(page);
       
-      issues.push(
-        buildIssue(
-          'tech',
-          'critical',
-          'Veraltete Technik (HTML4)',
-          `Diese Seite ist technisch auf dem Stand von vor 10+ Jahren. Gefunden: ${deprecatedDetails.join(', ')}. Diese Technik wird seit 2010 nicht mehr empfohlen.`
-        )
-      );
-      applyPenalty(30);
+      // If we navigated to Impressum, navigate back to original page
+      if (page.url() !== finalUrl) {
+        try {
+          await page.goto(finalUrl, { waitUntil: 'domcontentloaded', timeout: 5000 });
+        } catch {
+          // If navigation back fails, continue anyway
+        }
+      }
     }
 
-    // --- 2. JAVASCRIPT ERRORS ---
-    
-    if (qualityFindings.consoleErrors.length > 0 || qualityFindings.pageErrors.length > 0) {
-      const totalErrors = qualityFindings.consoleErrors.length + qualityFindings.pageErrors.length;
-      const errorSamples = [
-        ...qualityFindings.pageErrors.slice(0, 2),
-        ...qualityFindings.consoleErrors.slice(0, 2)
-      ].map(err => err.substring(0, 100)).join('; ');
-      
-      issues.push(
-        buildIssue(
-          'tech',
-          'high',
-          'JavaScript-Fehler erkannt',
-          `${totalErrors} JavaScript-Fehler während des Ladens erkannt. Funktionen der Seite könnten defekt sein. Beispiele: ${errorSamples || 'Siehe Browser-Konsole'}`
-        )
-      );
-      applyPenalty(15);
-    }
+    // Screenshot capture with proper format - before the accessibility audit moves the focus
+    const screenshotDataUrl = await captureScreenshot(page, 'Desktop');
 
-    // --- 3. TINY FONTS (Readability) ---
-    
-    if (pageData.hasTinyFonts) {
-      issues.push(
-        buildIssue(
-          'accessibility',
-          'medium',
-          'Schriftgröße zu klein',
-          `Schriftgröße ist zu klein (${Math.round(pageData.minFontSize)}px gefunden). Empfohlen sind mindestens 14-16px für gute Lesbarkeit auf Mobilgeräten.`
-        )
-      );
-      applyPenalty(10);
+    // Accessibility audit - presses Tab on the page, so it is the last pass on it
+    let accessibilityData = null;
+    if (needs.has('accessibility')) {
+      try {
+        accessibilityData = await collectAccessibility(page, deadline);
+      } catch (accessibilityError) {
+        console.warn(`[EliteScanner] Accessibility audit failed: ${accessibilityError.message}`);
+      }
     }
 
-    // --- 4. BROKEN RESOURCES (404 Errors) ---
-    
-    if (qualityFindings.brokenResources.length > 0) {
-      const brokenCount = qualityFindings.brokenResources.length;
-      const brokenTypes = [...new Set(qualityFindings.brokenResources.map(r => r.type))].join(', ');
-      const examples = qualityFindings.brokenResources.slice(0, 2)
-        .map(r => r.url.split('/').pop())
-        .join(', ');
-      
-      issues.push(
-        buildIssue(
-          'tech',
-          'high',
-          'Defekte Ressourcen',
-          `${brokenCount} Ressourcen konnten nicht geladen werden (404 Fehler). Typen: ${brokenTypes}. Beispiele: ${examples}`
-        )
-      );
-      applyPenalty(10);
+    // Mobile pass in an emulated phone - failures don't fail the scan,
+    // rules that need mobile data are skipped instead
+    let mobileData = null;
+    if (needs.has('mobile')) {
+      progress('phase', { phase: 'mobile' });
+      try {
+        if (timeLeft() === 0) throw new Error('no time left in the scan budget');
+        mobileData = await withTimeout(performMobilePass(finalUrl, options.signal), timeLeft(), 'timed out');
+      } catch (mobileError) {
+        console.warn(`[EliteScanner] Mobile pass failed: ${mobileError.message}`);
+      }
     }
 
-    // --- 5. MIXED CONTENT (HTTP on HTTPS) ---
-    
-    if (finalProtocol === 'https:' && httpRequests.length > 0) {
-      const mixedCount = httpRequests.length;
-      const mixedTypes = [...new Set(httpRequests.map(r => r.type))].join(', ');
-      
-      issues.push(
-        buildIssue(
-          'security',
-          'high',
-          'Unsichere Inhalte (Mixed Content)',
-          `${mixedCount} Ressourcen werden über unsicheres HTTP geladen, obwohl die Seite HTTPS nutzt. Das grüne Schloss im Browser verschwindet. Typen: ${mixedTypes}`
-        )
-      );
-      applyPenalty(20);
-    }
+    // Wait for the background work only as long as the budget allows
+    const settle = (promise, what) => withTimeout(promise, timeLeft(), `${what} didn't finish in time`)
+      .catch((settleError) => {
+        console.warn(`[EliteScanner] ${settleError.message}`);
+        return null;
+      });
+
+    const tlsData = await settle(tlsPromise, 'TLS check');
+    const linksData = linksPromise ? await settle(linksPromise, 'Link check') : null;
 
-    // --- SEO CHECKS ---
+    const crawlability = await settle(crawlabilityPromise, 'robots.txt/sitemap check');
+    const crawlabilityData = crawlability && noindex
+      ? {
+          robots: (({ parsed, ...robots }) => robots)(crawlability.robots),
+          sitemaps: crawlability.sitemaps,
+          sitemapUrlCount: crawlability.sitemapUrls.length,
+          noindex,
+        }
+      : null;
+    const redirectsData = needs.has('redirects')
+      ? { chain: redirectChain, wwwRetry, hostVariant: await settle(hostVariantPromise, 'Host variant check') }
+      : null;
+
+    // ========================================================================
+    // Rules (see rules/index.js)
+    // ========================================================================
+
+    const scanData = {
+      navigation: { finalUrl, finalProtocol },
+      network: { gdprFindings, thirdParties, qualityFindings, httpRequests },
+      dom: pageData,
+      legal: legalCheck,
+      mobile: mobileData,
+      performance: performanceData,
+      consent: consentData,
+      storage: storageData,
+      headers: headersData,
+      tls: tlsData,
+      redirects: redirectsData,
+      structuredData,
+      crawlability: crawlabilityData,
+      links: linksData,
+      accessibility: accessibilityData,
+      page,
+    };
+
+    let score = 100;
+    const issues = [];
     
-    if (!pageData.title) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'medium',
-          'Seitentitel fehlt',
-          'Seitentitel fehlt komplett. Wichtig für Suchmaschinen!'
-        )
-      );
-      applyPenalty(5);
-    } else if (pageData.title.length < 10) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'medium',
-          'Seitentitel zu kurz',
-          `Seitentitel ist zu kurz (${pageData.title.length} Zeichen). Empfohlen: 50-60 Zeichen.`
-        )
-      );
-      applyPenalty(5);
-    } else if (pageData.title.length > 70) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'low',
-          'Seitentitel zu lang',
-          `Seitentitel ist zu lang (${pageData.title.length} Zeichen). Google kürzt nach ~60 Zeichen.`
-        )
-      );
-      applyPenalty(3);
-    }
+    // Penalty points per score category (see SCORE_GROUPS)
+    const penalties = Object.fromEntries(SCORE_CATEGORIES.map(category => [category, 0]));
+    
+    const applyPenalty = (amount, category) => {
+      score = Math.max(0, score - amount);
+      penalties[category] = (penalties[category] || 0) + amount;
+    };
 
-    if (!pageData.metaDescription) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'medium',
-          'Meta-Description fehlt',
-          'Meta-Description fehlt. Wichtig für Suchergebnisse!'
-        )
-      );
-      applyPenalty(5);
-    } else if (pageData.metaDescription.length < 50) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'low',
-          'Meta-Description zu kurz',
-          `Meta-Description ist zu kurz (${pageData.metaDescription.length} Zeichen). Empfohlen: 150-160 Zeichen.`
-        )
-      );
-      applyPenalty(3);
-    }
+    // Strictest score cap of all rules that fired (e.g. deprecated HTML → max 50)
+    let scoreCap = null;
 
-    if (pageData.h1Count === 0) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'medium',
-          'H1-Überschrift fehlt',
-          'Keine H1-Überschrift gefunden. Wichtig für SEO-Struktur!'
-        )
-      );
-      applyPenalty(5);
-    } else if (pageData.h1Count > 1) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'medium',
-          'Mehrere H1-Überschriften',
-          `Mehrere H1-Überschriften gefunden (${pageData.h1Count}). Es sollte nur eine H1 pro Seite geben.`
-        )
-      );
-      applyPenalty(5);
-    }
+    progress('phase', { phase: 'rules' });
+    for (const rule of rules) {
+      if (rule.needs.some(need => scanData[need] === null)) {
+        console.log(`[Rules] Skipping '${rule.id}' (data not available)`);
+        continue;
+      }
 
-    if (!pageData.htmlLang) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'low',
-          'Sprachattribut fehlt',
-          'HTML-Sprachattribut fehlt. Sollte gesetzt werden für bessere Barrierefreiheit.'
-        )
-      );
-      applyPenalty(2);
-    }
+      let finding;
+      try {
+        finding = await rule.evaluate(scanData);
+      } catch (ruleError) {
+        // A broken rule must never crash the scan
+        console.warn(`[Rules] Rule '${rule.id}' failed: ${ruleError.message}`);
+        continue;
+      }
 
-    if (!pageData.ogTitle && !pageData.ogDescription) {
-      issues.push(
-        buildIssue(
-          'seo', 
-          'low',
-          'Open Graph Tags fehlen',
-          'Open Graph Tags fehlen. Wichtig für Social Media Sharing (Facebook, LinkedIn).'
-        )
-      );
-      applyPenalty(3);
-    }
+      if (!finding) continue;
 
-    // --- ACCESSIBILITY ---
-    
-    if (pageData.totalImages > 0 && pageData.imagesWithoutAlt > 0) {
-      const percentage = Math.round((pageData.imagesWithoutAlt / pageData.totalImages) * 100);
-      issues.push(
-        buildIssue(
-          'accessibility',
-          'medium',
-          'Bilder ohne Alt-Text',
-          `${pageData.imagesWithoutAlt} von ${pageData.totalImages} Bildern haben keinen Alt-Text (${percentage}%). Wichtig für Barrierefreiheit!`
-        )
-      );
-      applyPenalty(5);
+      const code = finding.code || rule.id;
+      const { title, message, remediation } = translate(code, lang, finding.params);
+
+      const issue = buildIssue(code, rule.category, finding.severity || rule.severity, title, message, {
+        url: finding.url || finalUrl,
+        elements: finding.elements,
+        evidence: finding.evidence,
+        remediation,
+        ...(rule.wcag && { wcag: rule.wcag }),
+      });
+      issues.push(issue);
+      progress('issue', { issue });
+      applyPenalty(rule.penalty, rule.scoreCategory);
+
+      if (rule.scoreCap && (!scoreCap || rule.scoreCap.max < scoreCap.max)) {
+        scoreCap = { ...rule.scoreCap, rule };
+      }
     }
 
     // ========================================================================
     // STRICT AUDITOR: Final Score Cap
     // ========================================================================
     
+    // Raw score before the cap
+    const scoreRaw = score;
+    
     // If old school HTML detected, MAX score is 50 (website is fundamentally outdated)
-    if (hasOldSchoolHTML && score > 50) {
+    if (scoreCap && score > scoreCap.max) {
       const scoreBefore = score;
-      score = 50;
-      console.log(`[StrictAuditor] Score capped at 50 due to deprecated HTML (was ${scoreBefore})`);
+      score = scoreCap.max;
+      console.log(`[StrictAuditor] Score capped at ${scoreCap.max} by rule '${scoreCap.rule.id}' (was ${scoreBefore})`);
       
-      issues.push(
-        buildIssue(
-          'tech',
-          'critical',
-          'Score auf 50 begrenzt',
-          'Aufgrund der veralteten HTML-Technik wurde der Score auf maximal 50 Punkte begrenzt. Eine technische Überarbeitung ist dringend empfohlen.'
-        )
+      const { title, message, remediation } = translate(scoreCap.code, lang, { max: scoreCap.max });
+
+      const issue = buildIssue(
+        scoreCap.code,
+        scoreCap.rule.category,
+        'critical',
+        title,
+        message,
+        { url: finalUrl, evidence: [`rule: ${scoreCap.rule.id}`], remediation }
       );
-    }
-    
-    // Screenshot capture with proper format
-    let screenshotDataUrl = null;
-    try {
-      const screenshotBuffer = await page.screenshot({
-        fullPage: false,
-        type: 'jpeg',
-        quality: 60,
-        timeout: 10000,
-      });
-      const base64String = screenshotBuffer.toString('base64');
-      // CRITICAL: Return as data URL for frontend display
-      screenshotDataUrl = `data:image/jpeg;base64,${base64String}`;
-      console.log('[EliteScanner] Screenshot captured successfully');
-    } catch (screenshotError) {
-      console.warn('[EliteScanner] Screenshot failed:', screenshotError.message);
+      issues.push(issue);
+      progress('issue', { issue });
     }
 
     const techStack = Array.from(new Set(pageData.techStack || []));
@@ -945,29 +2816,44 @@ async function performScan(inputUrl) {
     
     console.log(`[EliteScanner] Scan complete: Score ${score}/100, ${issues.length} issues found`);
     if (wasRedirected) {
-      console.log(`[EliteScanner] Redirected: ${targetUrl.href} → ${finalUrl}`);
+      console.log(`[EliteScanner] Redirected: ${targetUrl.href} → ${finalUrl} (${redirectChain.length} hops${wwwRetry ? ', www retry' : ''})`);
     }
 
     return {
       url: targetUrl.href,
       finalUrl,
       redirected: wasRedirected,
+      redirectChain,
+      wwwRetry,
+      hostVariant: redirectsData ? redirectsData.hostVariant : null,
       score,
+      scoreRaw,
+      ...buildScoreBreakdown(penalties),
       screenshot: screenshotDataUrl,
+      mobileScreenshotUrl: mobileData ? mobileData.screenshot : null,
+      mobile: mobileData
+        ? (({ screenshot, ...metrics }) => metrics)(mobileData)
+        : null,
       meta: {
         title: pageData.title || '',
         description: pageData.metaDescription || '',
       },
+      performance: performanceData,
+      thirdParties,
+      consent: consentData,
+      storage: storageData,
+      headers: headersData,
+      tls: tlsData,
+      structuredData,
+      crawlability: crawlabilityData,
+      links: linksData,
+      accessibility: accessibilityData,
       techStack,
       issues,
     };
   } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeError) {
-        console.error('[EliteScanner] Browser close error:', closeError);
-      }
+    if (release) {
+      await release();
     }
   }
 }
@@ -989,6 +2875,110 @@ const PRIORITY_SLUGS = [
   'referenzen', 'projekte', 'portfolio',
 ];
 
+/**
+ * Time budget of a harvest - grows with the page budget and the link check
+ */
+function harvestTimeoutMs(options = {}) {
+  const extraPages = Math.max(0, (options.maxPages || HARVEST_DEFAULT_PAGES) - HARVEST_DEFAULT_PAGES);
+  return HARVEST_TIMEOUT_MS + extraPages * HARVEST_EXTRA_MS_PER_PAGE + (options.linkCheck ? LINK_CHECK_EXTRA_MS : 0);
+}
+
+/**
+ * Why a regular expression from a request could backtrack catastrophically
+ * (null if it looks safe). Patterns run on the event loop, so repeated groups
+ * must not contain quantifiers or alternatives - "(a+)+" and
+ * "(a|a)*" take exponential time on a non-matching URL - and backreferences
+ * are not allowed at all.
+ */
+function unsafeRegexReason(source) {
+  if (/\\[1-9]|\\k</.test(source)) return 'backreferences are not allowed';
+
+  const groups = [{ repeats: false }];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class - quantifiers and parentheses mean nothing inside
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      // (?:...), lookarounds and named groups - their "?" is not a quantifier
+      const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+      if (prefix) i += prefix[0].length;
+      groups.push({ repeats: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = /^(?:[*+]|\{\d)/.test(source.slice(i + 1));
+      if (repeated && group.repeats) {
+        return 'nested quantifiers and repeated alternatives are not allowed';
+      }
+      groups[groups.length - 1].repeats ||= group.repeats || repeated;
+    } else if (char === '|' || /[*+?{]/.test(char)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile an include/exclude pattern into a URL matcher.
+ * "regex:<expression>" is tested against the full URL, anything else is a glob
+ * on path and query ("*" stays within a path segment, "**" spans segments).
+ * Throws on patterns longer than URL_PATTERN_MAX_LENGTH and on invalid or
+ * unsafe regular expressions (see unsafeRegexReason).
+ *
+ * @param {string} pattern - e.g. "/blog/**" or "regex:/produkte/\\d+$"
+ * @returns {function(string): boolean}
+ */
+function compileUrlPattern(pattern) {
+  if (pattern.length > URL_PATTERN_MAX_LENGTH) {
+    throw new Error(`longer than ${URL_PATTERN_MAX_LENGTH} characters`);
+  }
+
+  if (pattern.startsWith('regex:')) {
+    const source = pattern.slice('regex:'.length);
+    const unsafe = unsafeRegexReason(source);
+    if (unsafe) throw new Error(unsafe);
+
+    const regex = new RegExp(source);
+    return (url) => regex.test(url);
+  }
+
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  const glob = new RegExp(`^${source}$`, 'i');
+
+  return (url) => {
+    const { pathname, search } = new URL(url);
+    return glob.test(`${pathname}${search}`);
+  };
+}
+
+/**
+ * Public shape of a visited page in the harvest result (and its progress events)
+ */
+function serializeHarvestPage(page) {
+  return {
+    url: page.url,
+    depth: page.depth,
+    title: page.title,
+    headings: page.headings,
+    content: page.content,
+    // SAFETY: Only return absolute URLs (filter out any relative paths that slipped through)
+    images: page.images
+      .map(img => img.url)
+      .filter(url => url && (url.startsWith('http://') || url.startsWith('https://'))),
+  };
+}
+
 /**
  * Extract content from a single page
  */
@@ -1412,190 +3402,788 @@ async function extractSocials(page) {
 
 /**
  * The Deep Crawler - visits multiple pages and extracts everything
+ *
+ * @param {string} inputUrl - Raw URL input
+ * @param {object} [options] - Harvest options
+ * @param {boolean} [options.useSitemap] - Also take subpage links from the sitemaps
+ * @param {boolean} [options.polite] - Honour robots.txt and crawl-delay, send BOT_USER_AGENT
+ *                                     and rate-limit page loads per host
+ * @param {number} [options.maxPages] - Subpages to visit (page budget)
+ * @param {number} [options.maxDepth] - Link depth below the homepage (1 = homepage links only)
+ * @param {number} [options.concurrency] - Tabs visiting subpages at the same time
+ * @param {string[]} [options.include] - URL patterns a subpage must match (one of them)
+ * @param {string[]} [options.exclude] - URL patterns no subpage may match
+ * @param {string[]} [options.prioritySlugs] - Slugs visited first (replaces PRIORITY_SLUGS)
+ * @param {boolean} [options.linkCheck] - Check the targets of all links on the visited pages
+ * @param {AbortSignal} [options.signal] - Closes the harvest's browser context when aborted
+ * @param {function(string, object): void} [options.onProgress] - Progress events (see emitJobEvent)
  */
-async function deepCrawl(inputUrl) {
-  let browser;
+async function deepCrawl(inputUrl, options = {}) {
+  let release;
   const startTime = Date.now();
-  const MAX_PAGES = 5; // Reduced to prevent Vercel timeouts
-  const CONCURRENT_TABS = 3;
+  // Leave time to aggregate (and to check the links)
+  const deadline = startTime + harvestTimeoutMs(options) - 10000 - (options.linkCheck ? LINK_CHECK_EXTRA_MS : 0);
+  const maxPages = options.maxPages || HARVEST_DEFAULT_PAGES;
+  const maxDepth = options.maxDepth || HARVEST_DEFAULT_DEPTH;
+  const concurrency = options.concurrency || HARVEST_DEFAULT_CONCURRENCY;
+  const prioritySlugs = options.prioritySlugs || PRIORITY_SLUGS;
+  const include = (options.include || []).map(compileUrlPattern);
+  const exclude = (options.exclude || []).map(compileUrlPattern);
+  const inScope = (link) =>
+    (include.length === 0 || include.some(matches => matches(link))) &&
+    !exclude.some(matches => matches(link));
+  const userAgent = options.polite ? BOT_USER_AGENT : USER_AGENT;
+  const skipped = [];
+  // Progress events for streaming callers (see emitJobEvent)
+  const progress = options.onProgress || (() => {});
+  let pagesVisited = 0;
+
+  // robots.txt per origin, fetched once per crawl
+  const robotsByOrigin = new Map();
+  const getRobotsTxt = (origin) => {
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, fetchRobotsTxt(origin, userAgent));
+    }
+    return robotsByOrigin.get(origin);
+  };
+
+  // Polite mode: wait for the host's next slot - the crawl-delay if it is longer than the rate limit
+  const waitForHostSlot = async (url, slotDeadline) => {
+    const { origin, host } = new URL(url);
+    const crawlDelay = getCrawlDelay((await getRobotsTxt(origin)).parsed, BOT_USER_AGENT) || 0;
+    const intervalMs = Math.max(1000 / POLITE_REQUESTS_PER_SECOND, crawlDelay * 1000);
+    const waitMs = reserveHostSlot(host, intervalMs, slotDeadline);
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+    return waitMs !== null;
+  };
 
   try {
     const targetUrl = normalizeUrl(inputUrl);
     const baseUrl = targetUrl.href;
     const domain = targetUrl.hostname;
 
-    console.log(`[DeepCrawler] Starting deep crawl for ${domain}`);
+    console.log(`[DeepCrawler] Starting deep crawl for ${domain}${options.polite ? ` (polite, ${BOT_USER_AGENT})` : ''}`);
+    progress('phase', { phase: 'homepage', url: baseUrl });
+
+    if (options.polite) {
+      const blockReason = robotsBlockReason(await getRobotsTxt(targetUrl.origin), baseUrl);
+      if (blockReason) {
+        throw new Error(`Harvest blocked by robots.txt (${blockReason}): ${baseUrl}`);
+      }
+      await waitForHostSlot(baseUrl, Infinity);
+    }
+
+    const pooled = await acquireContext({
+      viewport: { width: 1920, height: 1080 },
+      userAgent,
+    }, options.signal);
+    const context = pooled.context;
+    release = pooled.release;
+
+    // Step 1: Visit homepage with smart navigation
+    console.log(`[DeepCrawler] Visiting homepage: ${baseUrl}`);
+    const homePage = await context.newPage();
+    homePage.setDefaultTimeout(10000);
+
+    let actualBaseUrl;
+    let redirectChain;
+    let wwwRetry;
+    try {
+      ({ finalUrl: actualBaseUrl, redirectChain, wwwRetry } = await navigateWithRetry(homePage, baseUrl, 10000));
+      await homePage.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+      console.log(`[DeepCrawler] Successfully loaded: ${actualBaseUrl}`);
+    } catch (navError) {
+      console.error(`[DeepCrawler] Failed to load homepage: ${navError.message}`);
+      throw new Error('Target site unreachable or timed out.');
+    }
+
+    // A redirect to another origin brings its own robots.txt
+    const finalOrigin = new URL(actualBaseUrl).origin;
+    if (options.polite && finalOrigin !== targetUrl.origin) {
+      const blockReason = robotsBlockReason(await getRobotsTxt(finalOrigin), actualBaseUrl);
+      if (blockReason) {
+        throw new Error(`Harvest blocked by robots.txt (${blockReason}): ${actualBaseUrl}`);
+      }
+    }
+
+    // Extract homepage content
+    const homeContent = await extractPageContent(homePage, baseUrl);
+    homeContent.localBusiness = await collectLocalBusiness(homePage);
+    homeContent.depth = 0;
+    homeContent.anchors = options.linkCheck ? await collectAnchors(homePage) : [];
+    console.log(`[DeepCrawler] Homepage extracted: ${homeContent.images.length} images found`);
+    progress('page', { page: serializeHarvestPage(homeContent), pagesVisited: ++pagesVisited });
+    if (homeContent.images.length > 0) {
+      console.log(`[DeepCrawler] Sample image URLs:`, homeContent.images.slice(0, 3).map(img => img.url));
+    }
+    
+    // Discover links
+    const discoveredLinks = await discoverLinks(homePage, baseUrl);
+    console.log(`[DeepCrawler] Discovered ${discoveredLinks.length} internal links`);
+
+    // Extract socials
+    const socials = await extractSocials(homePage);
+
+    // Close homepage
+    await homePage.close();
+
+    // Sitemap URLs as a second link source - sites with JS menus often have no crawlable anchors
+    let sitemapLinks = [];
+    if (options.useSitemap) {
+      try {
+        const sitemapUrls = await withTimeout(
+          getRobotsTxt(finalOrigin)
+            .then(robotsTxt => fetchSitemaps(finalOrigin, robotsTxt.parsed.sitemaps, userAgent))
+            .then(({ urls }) => urls),
+          ROBOTS_FETCH_TIMEOUT_MS,
+          'Sitemap discovery timed out'
+        );
+        sitemapLinks = sitemapUrls
+          .filter(url => isInternalUrl(actualBaseUrl, url))
+          .map(url => url.split('#')[0].replace(/\/$/, ''))
+          .filter(url => !/\.(pdf|jpg|jpeg|png|gif|zip|rar|doc|docx)$/i.test(url));
+        console.log(`[DeepCrawler] Sitemaps list ${sitemapLinks.length} internal URLs`);
+      } catch (sitemapError) {
+        console.warn(`[DeepCrawler] Sitemap discovery failed: ${sitemapError.message}`);
+      }
+    }
+
+    progress('links', { anchors: discoveredLinks.length, sitemap: sitemapLinks.length });
+
+    // Step 2: Breadth-first crawl - depth 1 are the links of the homepage (and sitemaps),
+    // depth n the links found on the pages of depth n-1
+    const homeUrls = [baseUrl, actualBaseUrl].flatMap(url => [url, url.replace(/\/$/, '')]);
+    const seen = new Set(homeUrls); // Exclude homepage
+    const subpageContents = [];
+    let frontier = [...discoveredLinks, ...sitemapLinks];
+    let attempted = 0;
+    let outOfTime = false;
+
+    const hasPrioritySlug = (link) => {
+      const urlLower = link.toLowerCase();
+      return prioritySlugs.some(slug =>
+        urlLower.includes(`/${slug}`) || urlLower.endsWith(`/${slug}`)
+      );
+    };
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0 && attempted < maxPages && !outOfTime; depth++) {
+      const candidates = [...new Set(frontier)]
+        .filter(link => !seen.has(link) && isInternalUrl(actualBaseUrl, link) && inScope(link));
+
+      // Prioritize links with important slugs
+      const priorityLinks = candidates.filter(hasPrioritySlug);
+      const otherLinks = candidates.filter(link => !hasPrioritySlug(link));
+
+      // Take priority links first, then fill with others up to the page budget
+      // (in polite mode, links robots.txt disallows are skipped and replaced by the next ones)
+      const levelLinks = [];
+      for (const link of [...priorityLinks, ...otherLinks]) {
+        if (attempted + levelLinks.length >= maxPages) break;
+        seen.add(link);
+
+        if (options.polite) {
+          const blockReason = robotsBlockReason(await getRobotsTxt(new URL(link).origin), link);
+          if (blockReason) {
+            skipped.push({ url: link, reason: blockReason });
+            continue;
+          }
+        }
+        levelLinks.push(link);
+      }
+
+      console.log(`[DeepCrawler] Depth ${depth}: will visit ${levelLinks.length} of ${candidates.length} subpages (${priorityLinks.length} priority pages found)`);
+      progress('phase', { phase: 'subpages', depth, pages: levelLinks.length, candidates: candidates.length });
+
+      // Step 3: Visit subpages with concurrency control
+      const nextFrontier = [];
+
+      for (let i = 0; i < levelLinks.length; i += concurrency) {
+        const batch = levelLinks.slice(i, i + concurrency);
+
+        // Check if we're running out of time
+        if (Date.now() > deadline) {
+          console.log(`[DeepCrawler] Approaching timeout, stopping at ${attempted + i} pages`);
+          progress('warning', { message: 'Approaching timeout, remaining subpages are skipped.', skipped: levelLinks.length - i });
+          levelLinks.slice(i).forEach(link => skipped.push({ url: link, reason: 'time-budget' }));
+          outOfTime = true;
+          break;
+        }
+
+        // Visit batch in parallel
+        const batchPromises = batch.map(async (link) => {
+          if (options.polite && !(await waitForHostSlot(link, deadline))) {
+            skipped.push({ url: link, reason: 'time-budget' });
+            return null;
+          }
+
+          const page = await context.newPage();
+          page.setDefaultTimeout(8000);
+
+          try {
+            console.log(`[DeepCrawler] Visiting: ${link}`);
+            await page.goto(link, {
+              waitUntil: 'domcontentloaded',
+              timeout: 8000,
+            });
+            await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+            const content = await extractPageContent(page, baseUrl);
+            content.localBusiness = await collectLocalBusiness(page);
+            content.depth = depth;
+            content.anchors = options.linkCheck ? await collectAnchors(page) : [];
+
+            // Links of the last level are never visited - don't collect them
+            const links = depth < maxDepth ? await discoverLinks(page, baseUrl) : [];
+            progress('page', { page: serializeHarvestPage(content), pagesVisited: ++pagesVisited });
+            return { content, links };
+          } catch (error) {
+            console.warn(`[DeepCrawler] Failed to load ${link}: ${error.message}`);
+            return null;
+          } finally {
+            await page.close().catch(() => {});
+          }
+        });
+
+        const batchResults = (await Promise.all(batchPromises)).filter(Boolean);
+        subpageContents.push(...batchResults.map(visit => visit.content));
+        nextFrontier.push(...batchResults.flatMap(visit => visit.links));
+      }
+
+      attempted += levelLinks.length;
+      frontier = nextFrontier;
+    }
+
+    // Step 4: Aggregate all data
+    const allPages = [homeContent, ...subpageContents];
+
+    // Collect all global contact info
+    const globalEmails = new Set();
+    const globalPhones = new Set();
+
+    allPages.forEach(page => {
+      page.emails.forEach(e => globalEmails.add(e));
+      page.phones.forEach(p => globalPhones.add(p));
+    });
+
+    // Link targets of all visited pages
+    let linkCheck = null;
+    if (options.linkCheck) {
+      progress('phase', { phase: 'link-check' });
+
+      // Polite harvests leave internal links robots.txt disallows unchecked and rate-limit the rest
+      const linkCheckDeadline = Date.now() + LINK_CHECK_BUDGET_MS;
+      const beforeRequest = async (url) => {
+        if (!isInternalUrl(actualBaseUrl, url)) return true;
+        if (robotsBlockReason(await getRobotsTxt(new URL(url).origin), url)) return false;
+        return waitForHostSlot(url, linkCheckDeadline);
+      };
+
+      linkCheck = await checkLinks(allPages.flatMap(page => page.anchors), actualBaseUrl, {
+        userAgent,
+        beforeRequest: options.polite ? beforeRequest : null,
+      });
+    }
+
+    // LocalBusiness markup - the homepage wins, then the first subpage that has it
+    const localBusiness = allPages.map(page => page.localBusiness).find(Boolean) || null;
+
+    // Check if redirected
+    const wasRedirected = baseUrl !== actualBaseUrl;
+    
+    // Build final response
+    const result = {
+      url: baseUrl,
+      finalUrl: actualBaseUrl,
+      redirected: wasRedirected,
+      redirectChain,
+      wwwRetry,
+      domain,
+      global: {
+        emails: Array.from(globalEmails),
+        phones: Array.from(globalPhones),
+        socials,
+        localBusiness,
+      },
+      linkCheck,
+      pages: allPages.map(serializeHarvestPage),
+      metadata: {
+        pagesVisited: allPages.length,
+        totalImages: allPages.reduce((sum, p) => sum + p.images.length, 0),
+        crawlDuration: `${Date.now() - startTime}ms`,
+        linkSources: {
+          anchors: discoveredLinks.length,
+          sitemap: sitemapLinks.length,
+        },
+        skipped,
+        politeness: options.polite
+          ? {
+              userAgent: BOT_USER_AGENT,
+              requestsPerSecond: POLITE_REQUESTS_PER_SECOND,
+              crawlDelay: getCrawlDelay((await getRobotsTxt(finalOrigin)).parsed, BOT_USER_AGENT),
+            }
+          : null,
+      },
+    };
+
+    console.log(`[DeepCrawler] Crawl complete: ${result.pages.length} pages, ${result.global.emails.length} emails, ${result.metadata.totalImages} images`);
+    if (skipped.length > 0) {
+      console.log(`[DeepCrawler] Skipped ${skipped.length} URLs: ${skipped.map(entry => `${entry.url} (${entry.reason})`).join(', ')}`);
+    }
+    if (wasRedirected) {
+      console.log(`[DeepCrawler] Redirected: ${baseUrl} → ${actualBaseUrl} (${redirectChain.length} hops${wwwRetry ? ', www retry' : ''})`);
+    }
+
+    return result;
+
+  } finally {
+    if (release) {
+      await release();
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Job queue - limits parallel Chromium instances
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate /scan options from a request body
+ */
+function parseScanOptions(body = {}) {
+  const options = {};
+
+  if (body.rules !== undefined) {
+    resolveRules(body.rules); // Throws on unknown rule ids
+    options.rules = body.rules;
+  }
+
+  if (body.lang !== undefined) {
+    if (!SUPPORTED_LANGS.includes(body.lang)) {
+      throw new Error(`Invalid lang option. Use one of: ${SUPPORTED_LANGS.join(', ')}.`);
+    }
+    options.lang = body.lang;
+  }
+
+  if (body.consentInteraction !== undefined) {
+    if (typeof body.consentInteraction !== 'boolean') {
+      throw new Error('Invalid consentInteraction option. Expected true or false.');
+    }
+    options.consentInteraction = body.consentInteraction;
+  }
+
+  if (body.linkCheck !== undefined) {
+    if (typeof body.linkCheck !== 'boolean') {
+      throw new Error('Invalid linkCheck option. Expected true or false.');
+    }
+    options.linkCheck = body.linkCheck;
+  }
+
+  return options;
+}
+
+/**
+ * Validate /harvest options from a request body
+ */
+function parseHarvestOptions(body = {}) {
+  const options = {};
+
+  if (body.useSitemap !== undefined) {
+    if (typeof body.useSitemap !== 'boolean') {
+      throw new Error('Invalid useSitemap option. Expected true or false.');
+    }
+    options.useSitemap = body.useSitemap;
+  }
+
+  if (body.polite !== undefined) {
+    if (typeof body.polite !== 'boolean') {
+      throw new Error('Invalid polite option. Expected true or false.');
+    }
+    options.polite = body.polite;
+  }
+
+  if (body.linkCheck !== undefined) {
+    if (typeof body.linkCheck !== 'boolean') {
+      throw new Error('Invalid linkCheck option. Expected true or false.');
+    }
+    options.linkCheck = body.linkCheck;
+  }
+
+  const limits = {
+    maxPages: HARVEST_MAX_PAGES,
+    maxDepth: HARVEST_MAX_DEPTH,
+    concurrency: HARVEST_MAX_CONCURRENCY,
+  };
+  for (const [name, max] of Object.entries(limits)) {
+    if (body[name] === undefined) continue;
+    if (!Number.isInteger(body[name]) || body[name] < 1 || body[name] > max) {
+      throw new Error(`Invalid ${name} option. Expected an integer between 1 and ${max}.`);
+    }
+    options[name] = body[name];
+  }
+
+  for (const name of ['include', 'exclude', 'prioritySlugs']) {
+    if (body[name] === undefined) continue;
+    if (!Array.isArray(body[name]) || !body[name].every(value => typeof value === 'string' && value)) {
+      throw new Error(`Invalid ${name} option. Expected an array of non-empty strings.`);
+    }
+    options[name] = body[name];
+  }
+
+  for (const pattern of [...(options.include || []), ...(options.exclude || [])]) {
+    try {
+      compileUrlPattern(pattern);
+    } catch (error) {
+      throw new Error(`Invalid pattern option '${pattern}': ${error.message}`);
+    }
+  }
+
+  if (options.prioritySlugs) {
+    options.prioritySlugs = options.prioritySlugs
+      .map(slug => slug.toLowerCase().replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean);
+  }
+
+  return options;
+}
+
+/**
+ * Job runners by job type
+ */
+const JOB_TYPES = {
+  scan: {
+    parseOptions: parseScanOptions,
+    run: (job, signal) => performScan(job.url, { ...job.options, signal, onProgress: (type, data) => emitJobEvent(job, type, data) }),
+    onDone: (job, result) => saveScanRun(job, result),
+    timeoutMs: (job) => scanTimeoutMs(job.options),
+    timeoutMessage: (seconds) => `Scan timeout after ${seconds} seconds.`,
+    logTag: '[EliteScanner]',
+  },
+  harvest: {
+    parseOptions: parseHarvestOptions,
+    run: (job, signal) => deepCrawl(job.url, { ...job.options, signal, onProgress: (type, data) => emitJobEvent(job, type, data) }),
+    timeoutMs: (job) => harvestTimeoutMs(job.options),
+    timeoutMessage: (seconds) => `Harvest timeout after ${seconds} seconds.`,
+    logTag: '[DeepCrawler]',
+  },
+};
+
+// Job callbacks, batch callbacks and monitor alerts (see webhooks/index.js)
+const webhooks = createWebhookSender({
+  secret: WEBHOOK_SECRET,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE,
+  userAgent: BOT_USER_AGENT,
+});
+
+const jobQueue = createJobQueue({
+  types: JOB_TYPES,
+  concurrency: SCAN_CONCURRENCY,
+  onFinish: (job) => {
+    if (!job.callbackUrl) return;
+
+    job.callback = webhooks.deliver(job.callbackUrl, {
+      event: `${job.type}.${job.status === 'done' ? 'completed' : 'failed'}`,
+      jobId: job.id,
+      type: job.type,
+      url: job.url,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+    }, job.id);
+  },
+});
+
+/**
+ * Create a job and put it into the queue.
+ * The URL is validated up front so invalid input fails before queuing.
+ *
+ * @param {string} type - Job type ('scan' or 'harvest')
+ * @param {object} body - Request body ({ url, jobId, ...options })
+ * @returns {object} - Job record (with internal `promise` resolving to the result)
+ */
+function enqueueJob(type, body = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Invalid job type. Use one of: ${Object.keys(JOB_TYPES).join(', ')}.`);
+  }
+
+  const url = normalizeUrlString(body.url);
+  const options = JOB_TYPES[type].parseOptions(body);
+  const callbackUrl = body.callbackUrl !== undefined ? webhooks.parseUrl(body.callbackUrl, 'callbackUrl') : null;
+  const id = body.jobId ? String(body.jobId) : crypto.randomUUID();
+
+  return jobQueue.enqueue({ id, type, url, options, callbackUrl });
+}
+
+/**
+ * Drop finished jobs and batches after JOB_TTL_MS to keep memory bounded
+ */
+function pruneJobs() {
+  jobQueue.prune(JOB_TTL_MS);
+  batches.prune(JOB_TTL_MS);
+}
+
+setInterval(pruneJobs, 5 * 60 * 1000).unref();
+
+// ---------------------------------------------------------------------------
+// Scan history - every /scan result under its URL and job id (see store/index.js)
+// ---------------------------------------------------------------------------
+
+const scanStore = SCAN_STORE === 'file'
+  ? createFileStore(SCAN_STORE_DIR, { maxRunsPerUrl: SCAN_STORE_MAX_RUNS_PER_URL, maxAgeDays: SCAN_STORE_MAX_AGE_DAYS })
+  : null;
+
+/**
+ * Store a finished scan. Failures are logged, the scan result is returned anyway.
+ */
+async function saveScanRun(job, result) {
+  if (!scanStore) return;
+
+  try {
+    await scanStore.save({
+      id: job.id,
+      url: job.url,
+      finalUrl: result.finalUrl,
+      createdAt: new Date().toISOString(),
+      score: result.score,
+      result,
+    });
+  } catch (error) {
+    console.error(`[ScanStore] Failed to save scan ${job.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a stored run or throw a 404-style error
+ */
+async function loadScanRun(id) {
+  const run = await scanStore.get(id);
+  if (!run) {
+    throw new Error(`Scan ${id} not found.`);
+  }
+  return run;
+}
+
+// ---------------------------------------------------------------------------
+// Batch scans - many URLs with shared options and an aggregate summary (see batch/index.js)
+// ---------------------------------------------------------------------------
 
-    browser = await chromium.launch({
-      headless: true,
-      args: HEADLESS_ARGS,
+const batches = createBatchRunner({
+  maxUrls: BATCH_MAX_URLS,
+  concurrency: BATCH_CONCURRENCY,
+  topIssues: BATCH_TOP_ISSUES,
+  parseOptions: parseScanOptions,
+  parseCallbackUrl: (value) => webhooks.parseUrl(value, 'callbackUrl'),
+  normalizeUrl: normalizeUrlString,
+  // Batch items link to the scan history instead of keeping the job with its full result
+  scan: async (url, options, jobId) => {
+    const job = enqueueJob('scan', { ...options, url, jobId });
+    try {
+      return await job.promise;
+    } finally {
+      jobQueue.delete(job.id);
+    }
+  },
+  resultUrl: (jobId) => (scanStore ? `/scans/${encodeURIComponent(jobId)}` : null),
+  onFinish: (batch) => {
+    if (!batch.callbackUrl) return;
+
+    batch.callback = webhooks.deliver(batch.callbackUrl, {
+      event: 'batch.completed',
+      ...batches.serialize(batch),
     });
+  },
+});
 
-    const context = await browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: USER_AGENT,
-    });
+// ---------------------------------------------------------------------------
+// Monitors - recurring scans on a cron schedule with change alerts
+// ---------------------------------------------------------------------------
 
-    // Step 1: Visit homepage with smart navigation
-    console.log(`[DeepCrawler] Visiting homepage: ${baseUrl}`);
-    const homePage = await context.newPage();
-    homePage.setDefaultTimeout(10000);
+const monitorStore = createMonitorFileStore(MONITORS_FILE);
+const monitors = new Map();         // Persisted monitor records by id
+const monitorSchedules = new Map(); // Parsed cron schedules by monitor id
+const monitorNextRuns = new Map();  // Next run (Date or null) by monitor id, see nextMonitorRun
+const runningMonitors = new Set();
 
-    let actualBaseUrl;
-    try {
-      actualBaseUrl = await navigateWithRetry(homePage, baseUrl, 10000);
-      await homePage.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-      console.log(`[DeepCrawler] Successfully loaded: ${actualBaseUrl}`);
-    } catch (navError) {
-      console.error(`[DeepCrawler] Failed to load homepage: ${navError.message}`);
-      throw new Error('Target site unreachable or timed out.');
-    }
+/**
+ * Validate a monitor from a request body.
+ * Scan options (rules, lang, consentInteraction, linkCheck) are accepted as in /scan.
+ */
+function parseMonitor(body = {}) {
+  const url = normalizeUrlString(body.url);
+  const schedule = parseCron(body.schedule);
+  if (!nextCronRun(schedule, new Date())) {
+    throw new Error('Invalid schedule option. The schedule never fires (e.g. February 30th).');
+  }
+  const options = parseScanOptions(body);
+  const alerts = parseAlerts(body.alerts);
 
-    // Extract homepage content
-    const homeContent = await extractPageContent(homePage, baseUrl);
-    console.log(`[DeepCrawler] Homepage extracted: ${homeContent.images.length} images found`);
-    if (homeContent.images.length > 0) {
-      console.log(`[DeepCrawler] Sample image URLs:`, homeContent.images.slice(0, 3).map(img => img.url));
-    }
-    
-    // Discover links
-    const discoveredLinks = await discoverLinks(homePage, baseUrl);
-    console.log(`[DeepCrawler] Discovered ${discoveredLinks.length} internal links`);
+  if (body.id !== undefined && (typeof body.id !== 'string' || !/^[\w-]+$/.test(body.id))) {
+    throw new Error('Invalid id option. Expected letters, digits, - and _.');
+  }
 
-    // Extract socials
-    const socials = await extractSocials(homePage);
+  if (body.name !== undefined && typeof body.name !== 'string') {
+    throw new Error('Invalid name option. Expected a string.');
+  }
 
-    // Close homepage
-    await homePage.close();
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    throw new Error('Invalid enabled option. Expected true or false.');
+  }
 
-    // Step 2: Filter and prioritize links
-    const allLinks = [...new Set(discoveredLinks)]
-      .filter(link => link !== baseUrl && link !== baseUrl + '/'); // Exclude homepage
-    
-    // Prioritize links with important slugs
-    const priorityLinks = [];
-    const otherLinks = [];
-    
-    allLinks.forEach(link => {
-      const urlLower = link.toLowerCase();
-      const hasPrioritySlug = PRIORITY_SLUGS.some(slug => 
-        urlLower.includes(`/${slug}`) || urlLower.endsWith(`/${slug}`)
-      );
-      
-      if (hasPrioritySlug) {
-        priorityLinks.push(link);
-      } else {
-        otherLinks.push(link);
-      }
-    });
-    
-    // Take priority links first, then fill with others up to MAX_PAGES
-    const uniqueLinks = [
-      ...priorityLinks.slice(0, MAX_PAGES),
-      ...otherLinks.slice(0, MAX_PAGES - Math.min(priorityLinks.length, MAX_PAGES))
-    ].slice(0, MAX_PAGES);
+  const webhookUrl = body.webhookUrl !== undefined ? webhooks.parseUrl(body.webhookUrl, 'webhookUrl') : null;
+
+  return {
+    monitor: {
+      id: body.id || crypto.randomUUID(),
+      name: body.name || null,
+      url,
+      schedule: body.schedule.trim(),
+      options,
+      alerts,
+      webhookUrl,
+      enabled: body.enabled !== false,
+      createdAt: new Date().toISOString(),
+      lastRun: null,
+      lastSuccessfulRun: null,
+      lastAlerts: null,
+    },
+    schedule,
+  };
+}
 
-    console.log(`[DeepCrawler] Will visit ${uniqueLinks.length} subpages (${priorityLinks.length} priority pages found)`);
+/**
+ * Next scheduled run of a monitor - computed again only once the cached one has passed
+ */
+function nextMonitorRun(monitor) {
+  if (!monitor.enabled) return null;
+
+  const now = new Date();
+  let next = monitorNextRuns.get(monitor.id);
+  if (next === undefined || (next && next <= now)) {
+    next = nextCronRun(monitorSchedules.get(monitor.id), now);
+    monitorNextRuns.set(monitor.id, next);
+  }
+  return next;
+}
 
-    // Step 3: Visit subpages with concurrency control
-    const subpageContents = [];
-    
-    for (let i = 0; i < uniqueLinks.length; i += CONCURRENT_TABS) {
-      const batch = uniqueLinks.slice(i, i + CONCURRENT_TABS);
-      
-      // Check if we're running out of time
-      const elapsed = Date.now() - startTime;
-      if (elapsed > HARVEST_TIMEOUT_MS - 10000) {
-        console.log(`[DeepCrawler] Approaching timeout, stopping at ${i} pages`);
-        break;
-      }
+/**
+ * Public representation of a monitor
+ */
+function serializeMonitor(monitor) {
+  const next = nextMonitorRun(monitor);
+
+  return {
+    ...monitor,
+    running: runningMonitors.has(monitor.id),
+    nextRunAt: next ? next.toISOString() : null,
+  };
+}
 
-      // Visit batch in parallel
-      const batchPromises = batch.map(async (link) => {
-        const page = await context.newPage();
-        page.setDefaultTimeout(8000);
+function saveMonitors() {
+  return monitorStore.save(Array.from(monitors.values())).catch((error) => {
+    console.error(`[Monitor] Failed to save monitors: ${error.message}`);
+  });
+}
 
-        try {
-          console.log(`[DeepCrawler] Visiting: ${link}`);
-          await page.goto(link, {
-            waitUntil: 'domcontentloaded',
-            timeout: 8000,
-          });
-          await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+/**
+ * Scan a monitor's URL through the job queue, compare with the previous
+ * runs and send alerts. A monitor whose last scan is still running is skipped.
+ */
+async function runMonitor(monitor) {
+  if (runningMonitors.has(monitor.id)) {
+    console.log(`[Monitor] ${monitor.id} is still running, skipping this run`);
+    return;
+  }
 
-          const content = await extractPageContent(page, baseUrl);
-          return content;
-        } catch (error) {
-          console.warn(`[DeepCrawler] Failed to load ${link}: ${error.message}`);
-          return null;
-  } finally {
-          await page.close().catch(() => {});
-        }
-      });
+  runningMonitors.add(monitor.id);
+  const jobId = `monitor-${monitor.id}-${Date.now()}`;
+  let result = null;
+  let error = null;
 
-      const batchResults = await Promise.all(batchPromises);
-      subpageContents.push(...batchResults.filter(Boolean));
-    }
+  try {
+    const job = enqueueJob('scan', { ...monitor.options, url: monitor.url, jobId });
+    result = await job.promise;
+  } catch (scanError) {
+    error = scanError && scanError.message ? scanError.message : 'Scan failed';
+  } finally {
+    runningMonitors.delete(monitor.id);
+  }
 
-    // Step 4: Aggregate all data
-    const allPages = [homeContent, ...subpageContents];
+  const current = summarizeMonitorRun(result, error);
+  const alerts = evaluateAlerts(monitor.alerts, monitor.lastRun, monitor.lastSuccessfulRun, current, result);
+  const finishedAt = new Date().toISOString();
 
-    // Collect all global contact info
-    const globalEmails = new Set();
-    const globalPhones = new Set();
+  monitor.lastRun = { jobId, finishedAt, ...current };
+  if (current.status === 'done') {
+    monitor.lastSuccessfulRun = monitor.lastRun;
+  }
 
-    allPages.forEach(page => {
-      page.emails.forEach(e => globalEmails.add(e));
-      page.phones.forEach(p => globalPhones.add(p));
-    });
+  if (alerts.length > 0) {
+    monitor.lastAlerts = { jobId, firedAt: finishedAt, alerts, deliveryId: null };
+    console.log(`[Monitor] ${monitor.id} (${monitor.url}): ${alerts.map(alert => alert.type).join(', ')}`);
+
+    if (monitor.webhookUrl) {
+      const delivery = webhooks.deliver(monitor.webhookUrl, {
+        event: 'monitor.alert',
+        monitor: { id: monitor.id, name: monitor.name, url: monitor.url },
+        jobId,
+        score: current.score,
+        firedAt: finishedAt,
+        alerts,
+      }, jobId);
+      monitor.lastAlerts.deliveryId = delivery.id;
+    }
+  }
 
-    // Check if redirected
-    const wasRedirected = baseUrl !== actualBaseUrl;
-    
-    // Build final response
-    const result = {
-      url: baseUrl,
-      finalUrl: actualBaseUrl,
-      redirected: wasRedirected,
-      domain,
-      global: {
-        emails: Array.from(globalEmails),
-        phones: Array.from(globalPhones),
-        socials,
-      },
-      pages: allPages.map(page => ({
-        url: page.url,
-        title: page.title,
-        headings: page.headings,
-        content: page.content,
-        // SAFETY: Only return absolute URLs (filter out any relative paths that slipped through)
-        images: page.images
-          .map(img => img.url)
-          .filter(url => url && (url.startsWith('http://') || url.startsWith('https://'))),
-      })),
-      metadata: {
-        pagesVisited: allPages.length,
-        totalImages: allPages.reduce((sum, p) => sum + p.images.length, 0),
-        crawlDuration: `${Date.now() - startTime}ms`,
-      },
-    };
+  // Deleted while the scan ran
+  if (monitors.get(monitor.id) === monitor) {
+    await saveMonitors();
+  }
+}
 
-    console.log(`[DeepCrawler] Crawl complete: ${result.pages.length} pages, ${result.global.emails.length} emails, ${result.metadata.totalImages} images`);
-    if (wasRedirected) {
-      console.log(`[DeepCrawler] Redirected: ${baseUrl} → ${actualBaseUrl}`);
+/**
+ * Run every enabled monitor whose schedule matches the minute of `date`
+ */
+function runDueMonitors(date) {
+  for (const monitor of monitors.values()) {
+    if (monitor.enabled && cronMatches(monitorSchedules.get(monitor.id), date)) {
+      runMonitor(monitor).catch((error) => console.error(`[Monitor] ${monitor.id} failed:`, error));
     }
+  }
+}
 
-    return result;
+/**
+ * Check the schedules at the start of every minute
+ */
+function scheduleMonitorTick() {
+  const now = new Date();
+  const delay = 60_000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+
+  setTimeout(() => {
+    runDueMonitors(new Date());
+    scheduleMonitorTick();
+  }, delay).unref();
+}
 
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeError) {
-        console.error('[DeepCrawler] Browser close error:', closeError);
-      }
+/**
+ * Load the stored monitors and start the scheduler
+ */
+async function startMonitors() {
+  for (const monitor of await monitorStore.load()) {
+    try {
+      monitorSchedules.set(monitor.id, parseCron(monitor.schedule));
+      monitors.set(monitor.id, monitor);
+    } catch (error) {
+      console.error(`[Monitor] Skipping stored monitor ${monitor.id}: ${error.message}`);
     }
   }
+
+  console.log(`[Monitor] Loaded ${monitors.size} monitors from ${MONITORS_FILE}`);
+  scheduleMonitorTick();
 }
 
 // ---------------------------------------------------------------------------
@@ -1603,40 +4191,40 @@ async function deepCrawl(inputUrl) {
 // ---------------------------------------------------------------------------
 
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', service: 'sitesweep-scanner' });
+  res.json({
+    status: 'ok',
+    service: 'sitesweep-scanner',
+    jobs: jobQueue.stats(),
+    browserPool: getBrowserPoolStats(),
+  });
 });
 
 app.post('/scan', async (req, res) => {
   try {
-    // Validate and normalize URL immediately (accepts lazy inputs like "example.com")
     const rawUrl = req.body && req.body.url;
     
-    // This will throw if URL is invalid or missing
-    const normalizedUrl = normalizeUrlString(rawUrl);
+    // Validates and normalizes the URL (accepts lazy inputs like "example.com") - throws if invalid
+    const job = enqueueJob('scan', req.body);
     
-    console.log(`[API] Scan request: ${rawUrl} → ${normalizedUrl}`);
+    console.log(`[API] Scan request: ${rawUrl} → ${job.url} (job ${job.id})`);
 
-    const result = await withTimeout(
-      performScan(rawUrl), // Pass original - performScan will normalize it again (but that's OK)
-      SCAN_TIMEOUT_MS,
-      'Scan timeout after 30 seconds.'
-    );
+    if (wantsEventStream(req)) {
+      return streamJobEvents(job, req, res);
+    }
+
+    // The result goes to the callback - don't hold the connection
+    if (job.callbackUrl) {
+      return res.status(202).json(jobQueue.serialize(job));
+    }
+
+    const result = await job.promise;
 
     res.json(result);
   } catch (error) {
-    console.error('[EliteScanner] Scan failed:', error);
-
     const message = error && error.message ? error.message : 'Scan failed';
-    const isUserError =
-      message.includes('URL is required') ||
-      message.includes('Invalid URL') ||
-      message.includes('Only HTTP/HTTPS protocols are allowed.');
+    console.error(`[EliteScanner] Scan failed: ${message}`);
 
-    const status = isUserError
-      ? 400
-      : message.includes('unreachable') || message.includes('timeout')
-      ? 502
-      : 500;
+    const status = message.includes('already exists') ? 409 : errorStatus(message);
 
     res.status(status).json({ error: message });
   }
@@ -1644,55 +4232,293 @@ app.post('/scan', async (req, res) => {
 
 app.post('/harvest', async (req, res) => {
   try {
-    // Validate and normalize URL immediately (accepts lazy inputs like "example.com")
     const rawUrl = req.body && req.body.url;
     
-    // This will throw if URL is invalid or missing
-    const normalizedUrl = normalizeUrlString(rawUrl);
+    // Validates and normalizes the URL (accepts lazy inputs like "example.com") - throws if invalid
+    const job = enqueueJob('harvest', req.body);
     
-    console.log(`[API] Harvest request: ${rawUrl} → ${normalizedUrl}`);
+    console.log(`[API] Harvest request: ${rawUrl} → ${job.url} (job ${job.id})`);
 
-    const result = await withTimeout(
-      deepCrawl(rawUrl), // Pass original - deepCrawl will normalize it again (but that's OK)
-      HARVEST_TIMEOUT_MS,
-      'Harvest timeout after 45 seconds.'
-    );
+    if (wantsEventStream(req)) {
+      return streamJobEvents(job, req, res);
+    }
+
+    // The result goes to the callback - don't hold the connection
+    if (job.callbackUrl) {
+      return res.status(202).json(jobQueue.serialize(job));
+    }
+
+    const result = await job.promise;
 
     res.json(result);
   } catch (error) {
-    console.error('[DeepCrawler] Harvest failed:', error);
-
     const message = error && error.message ? error.message : 'Harvest failed';
-    const isUserError =
-      message.includes('URL is required') ||
-      message.includes('Invalid URL') ||
-      message.includes('Only HTTP/HTTPS protocols are allowed.');
+    console.error(`[DeepCrawler] Harvest failed: ${message}`);
+
+    const status = message.includes('already exists') ? 409 : errorStatus(message);
+
+    res.status(status).json({ error: message });
+  }
+});
+
+app.post('/scan/batch', (req, res) => {
+  let batch;
+  try {
+    batch = batches.create(req.body || {});
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Batch creation failed';
+    return res.status(errorStatus(message)).json({ error: message });
+  }
+
+  console.log(`[API] Batch request: ${batch.items.length} URLs (batch ${batch.id})`);
+
+  if (!req.body.stream) {
+    return res.status(202).json(batches.serialize(batch));
+  }
+
+  // NDJSON: one line per finished URL, the summary last. The batch keeps
+  // running (and stays pollable) if the client disconnects.
+  res.status(200).type('application/x-ndjson');
+  const write = (event) => res.write(`${JSON.stringify(event)}\n`);
+  const listener = (event) => {
+    write(event);
+    if (event.type === 'summary') {
+      batch.listeners.delete(listener);
+      res.end();
+    }
+  };
+
+  write({ type: 'batch', id: batch.id, total: batch.items.length });
+  batch.items.filter(item => item.status === 'failed').forEach(item => write({ type: 'item', item }));
+  batch.listeners.add(listener);
+  res.on('close', () => batch.listeners.delete(listener));
+});
+
+app.get('/scan/batch/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json(batches.serialize(batch));
+});
+
+app.post('/jobs', (req, res) => {
+  try {
+    const body = req.body || {};
+    const job = enqueueJob(body.type || 'scan', body);
+
+    console.log(`[API] Job request: ${job.type} ${body.url} → ${job.url} (job ${job.id})`);
+
+    res.status(202).json(jobQueue.serialize(job));
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Job creation failed';
+    const status = message.includes('already exists') ? 409 : 400;
+
+    res.status(status).json({ error: message });
+  }
+});
+
+app.get('/rules', (_req, res) => {
+  res.json(
+    getRules().map(rule => ({
+      id: rule.id,
+      category: rule.category,
+      scoreCategory: rule.scoreCategory,
+      severity: rule.severity,
+      penalty: rule.penalty,
+      needs: rule.needs,
+      wcag: rule.wcag || null,
+      enabledByDefault: rule.enabledByDefault,
+    }))
+  );
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(jobQueue.serialize(job));
+});
+
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  streamJobEvents(job, req, res);
+});
+
+/**
+ * Respond with 404 when the scan history is disabled (SCAN_STORE=none)
+ */
+function requireScanStore(_req, res, next) {
+  if (!scanStore) {
+    return res.status(404).json({ error: 'Scan history is disabled (SCAN_STORE=none).' });
+  }
+  next();
+}
+
+app.get('/scans', requireScanStore, async (req, res) => {
+  try {
+    const url = req.query.url !== undefined ? normalizeUrlString(req.query.url) : undefined;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : SCAN_HISTORY_DEFAULT_LIMIT;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Invalid limit option. Expected a positive integer.');
+    }
+
+    res.json(await scanStore.list({ url, limit }));
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Listing scans failed';
+    res.status(errorStatus(message)).json({ error: message });
+  }
+});
+
+// Before /scans/:id so "diff" isn't taken for a scan id
+app.get('/scans/diff', requireScanStore, async (req, res) => {
+  try {
+    const { from, to, url } = req.query;
+    let fromRun;
+    let toRun;
+
+    if (from !== undefined || to !== undefined) {
+      if (!from || !to) {
+        throw new Error('Invalid diff option. Expected from and to scan ids, or a url.');
+      }
+      fromRun = await loadScanRun(from);
+      toRun = await loadScanRun(to);
+    } else if (url !== undefined) {
+      // The two latest runs of the URL
+      const [latest, previous] = await scanStore.list({ url: normalizeUrlString(url), limit: 2 });
+      if (!previous) {
+        throw new Error(`Less than two scans found for ${url}.`);
+      }
+      fromRun = await loadScanRun(previous.id);
+      toRun = await loadScanRun(latest.id);
+    } else {
+      throw new Error('Invalid diff option. Expected from and to scan ids, or a url.');
+    }
+
+    res.json(diffRuns(fromRun, toRun));
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Diff failed';
+    const status = message.includes('not found') || message.startsWith('Less than two scans') ? 404 : errorStatus(message);
+
+    res.status(status).json({ error: message });
+  }
+});
+
+app.get('/scans/:id', requireScanStore, async (req, res) => {
+  try {
+    res.json(await loadScanRun(req.params.id));
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Loading scan failed';
+    const status = message.includes('not found') ? 404 : errorStatus(message);
+
+    res.status(status).json({ error: message });
+  }
+});
 
-    const status = isUserError
-      ? 400
-      : message.includes('unreachable') || message.includes('timeout')
-      ? 502
-      : 500;
+app.post('/monitors', async (req, res) => {
+  try {
+    const { monitor, schedule } = parseMonitor(req.body || {});
+
+    if (monitors.has(monitor.id)) {
+      throw new Error(`Monitor ${monitor.id} already exists.`);
+    }
+
+    monitors.set(monitor.id, monitor);
+    monitorSchedules.set(monitor.id, schedule);
+    await saveMonitors();
+
+    console.log(`[API] Monitor ${monitor.id}: ${monitor.url} (${monitor.schedule})`);
+    res.status(201).json(serializeMonitor(monitor));
+  } catch (error) {
+    const message = error && error.message ? error.message : 'Monitor creation failed';
+    const status = message.includes('already exists') ? 409 : errorStatus(message);
 
     res.status(status).json({ error: message });
   }
 });
 
+app.get('/monitors', (_req, res) => {
+  res.json(Array.from(monitors.values()).map(serializeMonitor));
+});
+
+app.get('/monitors/:id', (req, res) => {
+  const monitor = monitors.get(req.params.id);
+
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+
+  res.json(serializeMonitor(monitor));
+});
+
+app.delete('/monitors/:id', async (req, res) => {
+  if (!monitors.has(req.params.id)) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+
+  monitors.delete(req.params.id);
+  monitorSchedules.delete(req.params.id);
+  monitorNextRuns.delete(req.params.id);
+  await saveMonitors();
+
+  res.status(204).end();
+});
+
+// Run a monitor now, outside its schedule
+app.post('/monitors/:id/run', (req, res) => {
+  const monitor = monitors.get(req.params.id);
+
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  if (runningMonitors.has(monitor.id)) {
+    return res.status(409).json({ error: `Monitor ${monitor.id} is already running.` });
+  }
+
+  runMonitor(monitor).catch((error) => console.error(`[Monitor] ${monitor.id} failed:`, error));
+  res.status(202).json(serializeMonitor(monitor));
+});
+
+app.get('/webhooks/deliveries', (req, res) => {
+  const { jobId, status } = req.query;
+
+  res.json(webhooks.listDeliveries({ jobId, status }));
+});
+
 // ---------------------------------------------------------------------------
 // Server lifecycle
 // ---------------------------------------------------------------------------
 
+// Client-specific checks (see rules/index.js for the rule format)
+if (process.env.CUSTOM_RULES_DIR) {
+  const count = loadRulesFromDir(process.env.CUSTOM_RULES_DIR);
+  console.log(`[SiteSweep] Loaded ${count} custom rules from ${process.env.CUSTOM_RULES_DIR}`);
+}
+
 app.listen(PORT, () => {
   console.log(`[SiteSweep] Server listening on port ${PORT}`);
-  console.log(`[SiteSweep] Endpoints: /health, /scan, /harvest`);
+  console.log(`[SiteSweep] Endpoints: /health, /scan, /harvest, /jobs, /rules, /scan/batch, /scans, /monitors, /webhooks/deliveries`);
+  warmUpBrowserPool();
+  startMonitors().catch((error) => console.error('[Monitor] Failed to load monitors:', error));
 });
 
-process.on('SIGTERM', () => {
-  console.log('[SiteSweep] SIGTERM received, shutting down.');
-  process.exit(0);
-});
+function shutdown(signal) {
+  console.log(`[SiteSweep] ${signal} received, shutting down.`);
+  withTimeout(closeBrowserPool(), 5000)
+    .catch(() => {})
+    .finally(() => process.exit(0));
+}
 
-process.on('SIGINT', () => {
-  console.log('[SiteSweep] SIGINT received, shutting down.');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,281 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------------------------------------------------------------------------
+// Scan history store - keeps every /scan result for listing and diffing
+// (plus the monitor list, see createMonitorFileStore)
+// ---------------------------------------------------------------------------
+
+/**
+ * A store implements:
+ * - save(run):             persist a run { id, url, finalUrl, createdAt, score, result }.
+ *                          A run with the id of an earlier run replaces it. May delete
+ *                          old runs according to the store's retention settings.
+ * - list({ url, limit }):  run summaries (without result), newest first, optionally
+ *                          only for one normalized URL
+ * - get(id):               the full run, or null
+ *
+ * All methods are async, so a database-backed store can be dropped in later.
+ */
+
+/**
+ * Summary of a run as kept in the index
+ */
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    url: run.url,
+    finalUrl: run.finalUrl,
+    createdAt: run.createdAt,
+    score: run.score,
+    issueCount: run.result.issues.length,
+  };
+}
+
+/**
+ * File-based store: one JSON file per run plus an index (index.jsonl, one
+ * summary per line) for listing without reading every run. Summaries are
+ * appended on save and kept in memory after the first read; the file is
+ * rewritten without stale lines once they outnumber the live ones.
+ *
+ * Retention: on every save, runs of the same URL beyond `maxRunsPerUrl` and
+ * runs older than `maxAgeDays` are deleted.
+ *
+ * @param {string} dir - Directory for the store (created on first save)
+ * @param {object} [retention]
+ * @param {number} [retention.maxRunsPerUrl] - Runs kept per URL (0 = no limit)
+ * @param {number} [retention.maxAgeDays] - Days a run is kept (0 = no limit)
+ * @returns {object} - Store
+ */
+function createFileStore(dir, { maxRunsPerUrl = 0, maxAgeDays = 0 } = {}) {
+  const indexFile = path.join(dir, 'index.jsonl');
+  // Job ids come from the caller - hash them for safe file names
+  const runFile = (id) => path.join(dir, `${crypto.createHash('sha1').update(id).digest('hex')}.json`);
+
+  // Serializes writes so index lines and run files never interleave
+  let writes = Promise.resolve();
+
+  // Summaries by id (insertion order = save order), and index lines that no longer count
+  let summaries = null;
+  let staleLines = 0;
+
+  async function loadIndex() {
+    if (summaries) return summaries;
+
+    let text;
+    try {
+      text = await fs.promises.readFile(indexFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      text = '';
+    }
+
+    // Later lines win for repeated ids; a torn last line (crash mid-append) is ignored
+    const loaded = new Map();
+    let lines = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const summary = JSON.parse(line);
+        loaded.delete(summary.id);
+        if (!summary.deleted) loaded.set(summary.id, summary);
+      } catch {
+        // Skip unreadable lines
+      }
+    }
+
+    // A concurrent call may have loaded the index in the meantime
+    if (!summaries) {
+      summaries = loaded;
+      staleLines = lines - loaded.size;
+    }
+    return summaries;
+  }
+
+  /**
+   * Runs to delete after saving a run of `url`: the oldest beyond
+   * maxRunsPerUrl, and all runs older than maxAgeDays
+   */
+  function expiredRuns(url) {
+    const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString() : null;
+    const expired = Array.from(summaries.values()).filter(summary => cutoff && summary.createdAt < cutoff);
+
+    if (maxRunsPerUrl) {
+      const runsOfUrl = Array.from(summaries.values())
+        .filter(summary => summary.url === url)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      expired.push(...runsOfUrl.slice(maxRunsPerUrl));
+    }
+    return [...new Set(expired)];
+  }
+
+  async function compactIndex() {
+    const text = Array.from(summaries.values()).map(summary => `${JSON.stringify(summary)}\n`).join('');
+    await fs.promises.writeFile(`${indexFile}.tmp`, text);
+    await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+    staleLines = 0;
+  }
+
+  return {
+    save(run) {
+      const write = writes.then(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await loadIndex();
+
+        const file = runFile(run.id);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(run));
+        await fs.promises.rename(`${file}.tmp`, file);
+
+        const summary = summarizeRun(run);
+        let lines = `${JSON.stringify(summary)}\n`;
+        if (summaries.delete(run.id)) staleLines++;
+        summaries.set(run.id, summary);
+
+        // Tombstones keep deleted runs out of the index until it is compacted
+        const expired = expiredRuns(run.url);
+        for (const old of expired) {
+          summaries.delete(old.id);
+          lines += `${JSON.stringify({ id: old.id, deleted: true })}\n`;
+          staleLines += 2;
+        }
+        await fs.promises.appendFile(indexFile, lines);
+
+        for (const old of expired) {
+          await fs.promises.unlink(runFile(old.id)).catch((error) => {
+            if (error.code !== 'ENOENT') throw error;
+          });
+        }
+
+        if (staleLines > summaries.size) {
+          await compactIndex();
+        }
+      });
+
+      writes = write.catch(() => {});
+      return write;
+    },
+
+    async list({ url, limit } = {}) {
+      const matching = Array.from((await loadIndex()).values())
+        .filter(summary => !url || summary.url === url)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      return limit ? matching.slice(0, limit) : matching;
+    },
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(runFile(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * File-based monitor store: all monitors in one JSON file, rewritten on every change
+ *
+ * @param {string} file - JSON file (created on first save)
+ * @returns {{load: function(): Promise<Array>, save: function(Array): Promise<void>}}
+ */
+function createMonitorFileStore(file) {
+  let writes = Promise.resolve();
+
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    save(monitors) {
+      const text = JSON.stringify(monitors, null, 2);
+      const write = writes.then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, text);
+        await fs.promises.rename(`${file}.tmp`, file);
+      });
+
+      writes = write.catch(() => {});
+      return write;
+    },
+  };
+}
+
+/**
+ * Compare the issues and scores of two runs.
+ *
+ * Issues are matched by fingerprint first, then leftovers by code - so an issue
+ * whose page URL or elements changed (e.g. after moving to HTTPS) still counts
+ * as unchanged instead of resolved + new.
+ *
+ * @param {object} from - Earlier run
+ * @param {object} to - Later run
+ * @returns {object} - { from, to, score, categoryScores, issues: { new, resolved, unchanged } }
+ */
+function diffRuns(from, to) {
+  const fromIssues = from.result.issues;
+  const toIssues = to.result.issues;
+  const matched = new Set();
+  const unchanged = [];
+  const added = [];
+
+  const pending = [];
+  for (const issue of toIssues) {
+    const match = fromIssues.find(old => !matched.has(old) && old.fingerprint === issue.fingerprint);
+    if (match) {
+      matched.add(match);
+      unchanged.push(issue);
+    } else {
+      pending.push(issue);
+    }
+  }
+
+  for (const issue of pending) {
+    const match = fromIssues.find(old => !matched.has(old) && old.code === issue.code);
+    if (match) {
+      matched.add(match);
+      unchanged.push(issue);
+    } else {
+      added.push(issue);
+    }
+  }
+
+  const categoryScores = {};
+  for (const category of Object.keys(to.result.categoryScores || {})) {
+    const before = (from.result.categoryScores || {})[category];
+    const after = to.result.categoryScores[category];
+    categoryScores[category] = {
+      from: before !== undefined ? before : null,
+      to: after,
+      change: before !== undefined ? after - before : null,
+    };
+  }
+
+  return {
+    from: summarizeRun(from),
+    to: summarizeRun(to),
+    score: { from: from.score, to: to.score, change: to.score - from.score },
+    categoryScores,
+    issues: {
+      new: added,
+      resolved: fromIssues.filter(issue => !matched.has(issue)),
+      unchanged,
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+  createMonitorFileStore,
+  diffRuns,
+};
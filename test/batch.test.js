@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeBatch, createBatchRunner } = require('../batch');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+const issue = (code, severity = 'medium') => ({ code, title: code, severity });
+
+test('summarizeBatch aggregates scores, issues and technologies of finished items', () => {
+  const batch = {
+    items: [
+      { status: 'done', score: 80, issues: [issue('no-https', 'critical'), issue('missing-alt')], techStack: ['WordPress'] },
+      { status: 'done', score: 65, issues: [issue('missing-alt')], techStack: ['WordPress', 'jQuery'] },
+      { status: 'done', score: 90, issues: [], techStack: [] },
+      { status: 'failed', score: null, issues: [], techStack: [] },
+      { status: 'running', score: null, issues: [], techStack: [] },
+    ],
+  };
+
+  assert.deepStrictEqual(summarizeBatch(batch), {
+    total: 5,
+    done: 3,
+    failed: 1,
+    pending: 1,
+    averageScore: 78.3,
+    topIssues: [
+      { code: 'missing-alt', title: 'missing-alt', severity: 'medium', sites: 2, share: 67 },
+      { code: 'no-https', title: 'no-https', severity: 'critical', sites: 1, share: 33 },
+    ],
+    techStack: [{ name: 'WordPress', sites: 2 }, { name: 'jQuery', sites: 1 }],
+  });
+
+  assert.strictEqual(summarizeBatch(batch, 1).topIssues.length, 1);
+  assert.strictEqual(summarizeBatch({ items: [] }).averageScore, null);
+});
+
+test('summarizeBatch lists the more severe of equally common issues first', () => {
+  const batch = {
+    items: [
+      { status: 'done', score: 70, issues: [issue('h1-missing', 'low'), issue('csp-missing', 'medium'), issue('no-https', 'critical')], techStack: [] },
+      { status: 'done', score: 60, issues: [issue('h1-missing', 'low'), issue('csp-missing', 'medium'), issue('mixed-content', 'high')], techStack: [] },
+    ],
+  };
+
+  assert.deepStrictEqual(summarizeBatch(batch).topIssues.map(entry => entry.code), ['csp-missing', 'h1-missing', 'no-https', 'mixed-content']);
+  assert.deepStrictEqual(summarizeBatch(batch, 1).topIssues.map(entry => entry.code), ['csp-missing']);
+});
+
+test('a batch scans its URLs, keeps summaries and reports every item', async () => {
+  const scanned = [];
+  const finished = [];
+  const batches = createBatchRunner({
+    maxUrls: 5,
+    concurrency: 2,
+    parseOptions: (body) => ({ lang: body.lang }),
+    parseCallbackUrl: (value) => value,
+    normalizeUrl: (input) => {
+      if (!input.includes('.')) throw new Error('Invalid URL format');
+      return `https://${input}/`;
+    },
+    scan: async (url, options, jobId) => {
+      scanned.push({ url, options, jobId });
+      if (url.includes('down')) throw new Error('Website unreachable: ENOTFOUND');
+      return {
+        finalUrl: url,
+        score: 70,
+        issues: [issue('missing-alt'), issue('missing-alt'), issue('no-https', 'critical')],
+        techStack: ['Shopify'],
+        screenshot: 'large',
+      };
+    },
+    resultUrl: (jobId) => `/scans/${jobId}`,
+    onFinish: (batch) => finished.push(batch.id),
+  });
+
+  const batch = batches.create({ urls: ['a.example', 'nope', 'down.example'], lang: 'de' });
+  const events = [];
+  const summary = new Promise(resolve => batch.listeners.add((event) => {
+    events.push(event);
+    if (event.type === 'summary') resolve(event.summary);
+  }));
+
+  assert.strictEqual(batch.items[1].status, 'failed');
+  assert.strictEqual(batch.items[1].error.status, 400);
+
+  assert.strictEqual((await summary).done, 1);
+  assert.deepStrictEqual(scanned.map(entry => entry.url), ['https://a.example/', 'https://down.example/']);
+  assert.deepStrictEqual(scanned[0].options, { lang: 'de' });
+  assert.deepStrictEqual(finished, [batch.id]);
+
+  const [done, , down] = batch.items;
+  assert.deepStrictEqual(done, {
+    index: 0,
+    url: 'https://a.example/',
+    jobId: `batch-${batch.id}-0`,
+    status: 'done',
+    finalUrl: 'https://a.example/',
+    score: 70,
+    issues: [issue('missing-alt'), issue('no-https', 'critical')],
+    techStack: ['Shopify'],
+    resultUrl: `/scans/batch-${batch.id}-0`,
+    error: null,
+  });
+  assert.deepStrictEqual(down.error, { message: 'Website unreachable: ENOTFOUND', status: 502 });
+  assert.deepStrictEqual(events.map(event => event.type), ['item', 'item', 'summary']);
+
+  const serialized = batches.serialize(batches.get(batch.id));
+  assert.strictEqual(serialized.status, 'done');
+  assert.strictEqual(serialized.summary.failed, 2);
+  assert.strictEqual('listeners' in serialized, false);
+});
+
+test('create validates the urls and stream options', () => {
+  const batches = createBatchRunner({
+    maxUrls: 2,
+    concurrency: 1,
+    parseOptions: () => ({}),
+    parseCallbackUrl: (value) => value,
+    normalizeUrl: (input) => input,
+    scan: async () => ({}),
+    resultUrl: () => null,
+  });
+
+  assert.throws(() => batches.create({ urls: [] }), /^Error: Invalid urls option. Expected a non-empty array/);
+  assert.throws(() => batches.create({ urls: ['a', 'b', 'c'] }), /At most 2 URLs per batch/);
+  assert.throws(() => batches.create({ urls: ['a'], stream: 'yes' }), /Invalid stream option/);
+});
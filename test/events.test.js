@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_JOB_EVENTS, emitJobEvent, streamJobEvents } = require('../jobs/events');
+
+function createJob(fields = {}) {
+  return { status: 'running', result: null, error: null, events: [], eventCount: 0, finalEventId: null, listeners: new Set(), ...fields };
+}
+
+// Just enough of Express' req/res for streamJobEvents
+function createExchange(lastEventId) {
+  const req = { get: (name) => (name === 'last-event-id' ? lastEventId : undefined) };
+  const res = {
+    statusCode: null,
+    chunks: [],
+    ended: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    },
+    on(event, handler) {
+      if (event === 'close') this.onClose = handler;
+    },
+  };
+  return { req, res };
+}
+
+const eventIds = (res) => res.chunks.map(chunk => Number(chunk.match(/^id: (\d+)/)[1]));
+
+test('emitJobEvent numbers events and caps the replay buffer', () => {
+  const job = createJob();
+  for (let i = 0; i < MAX_JOB_EVENTS + 5; i++) emitJobEvent(job, 'phase', { i });
+
+  assert.strictEqual(job.eventCount, MAX_JOB_EVENTS + 5);
+  assert.strictEqual(job.events.length, MAX_JOB_EVENTS);
+  assert.strictEqual(job.events[0].id, 6);
+});
+
+test('emitJobEvent passes the final event on but drops the buffer', () => {
+  const job = createJob();
+  const received = [];
+  job.listeners.add(event => received.push(event.type));
+
+  emitJobEvent(job, 'started', {});
+  emitJobEvent(job, 'result', { score: 90 });
+
+  assert.deepStrictEqual(received, ['started', 'result']);
+  assert.deepStrictEqual(job.events, []);
+});
+
+test('emitJobEvent ignores events after the final event', () => {
+  const job = createJob();
+  const received = [];
+  job.listeners.add(event => received.push(event.id));
+
+  emitJobEvent(job, 'started', {});
+  emitJobEvent(job, 'failed', { message: 'Scan timeout after 30 seconds.', status: 502 });
+  // The timed-out run is still going
+  emitJobEvent(job, 'phase', { phase: 'mobile' });
+  emitJobEvent(job, 'result', { score: 90 });
+
+  assert.deepStrictEqual(received, [1, 2]);
+  assert.strictEqual(job.eventCount, 2);
+  assert.strictEqual(job.finalEventId, 2);
+  assert.deepStrictEqual(job.events, []);
+});
+
+test('streamJobEvents replays events after Last-Event-ID and follows the job', () => {
+  const job = createJob();
+  emitJobEvent(job, 'queued', {});
+  emitJobEvent(job, 'started', {});
+  emitJobEvent(job, 'phase', { phase: 'loading' });
+
+  const { req, res } = createExchange('1');
+  streamJobEvents(job, req, res);
+  assert.deepStrictEqual(eventIds(res), [2, 3]);
+
+  job.status = 'done';
+  job.result = { score: 90 };
+  emitJobEvent(job, 'result', job.result);
+
+  assert.deepStrictEqual(eventIds(res), [2, 3, 4]);
+  assert.match(res.chunks[2], /event: result\ndata: {"score":90}/);
+  assert.ok(res.ended);
+  assert.strictEqual(job.listeners.size, 0);
+  res.onClose();
+});
+
+test('streamJobEvents sends only the final event of a finished job', () => {
+  const job = createJob({ status: 'failed', error: { message: 'Scan timeout after 30 seconds.', status: 502 }, eventCount: 7 });
+
+  const { req, res } = createExchange(undefined);
+  streamJobEvents(job, req, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.chunks.length, 1);
+  assert.match(res.chunks[0], /^id: 7\nevent: failed\n/);
+  assert.ok(res.ended);
+});
+
+test('streamJobEvents answers 204 when the client has the final event', () => {
+  const job = createJob({ status: 'done', result: {}, eventCount: 7 });
+
+  const { req, res } = createExchange('7');
+  streamJobEvents(job, req, res);
+
+  assert.strictEqual(res.statusCode, 204);
+  assert.deepStrictEqual(res.chunks, []);
+  assert.ok(res.ended);
+});
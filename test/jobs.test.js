@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { errorStatus, createJobQueue } = require('../jobs');
+
+// Quiet the queue's console logs
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A job type whose runs finish when the test says so
+ */
+function createControlledType(timeoutMs = 1000) {
+  const runs = [];
+  return {
+    runs,
+    type: {
+      run: (job, signal) => new Promise((resolve, reject) => {
+        runs.push({ job, signal, resolve, reject });
+      }),
+      timeoutMs: () => timeoutMs,
+      timeoutMessage: (seconds) => `Test timeout after ${seconds} seconds.`,
+      logTag: '[Test]',
+    },
+  };
+}
+
+test('errorStatus maps error messages to HTTP status codes', () => {
+  assert.strictEqual(errorStatus('URL is required'), 400);
+  assert.strictEqual(errorStatus('Invalid maxPages option. Expected a number.'), 400);
+  assert.strictEqual(errorStatus('Only HTTP/HTTPS protocols are allowed.'), 400);
+  assert.strictEqual(errorStatus('Start page is blocked by robots.txt'), 403);
+  assert.strictEqual(errorStatus('Website unreachable: ENOTFOUND'), 502);
+  assert.strictEqual(errorStatus('Scan timeout after 30 seconds.'), 502);
+  assert.strictEqual(errorStatus('Something broke'), 500);
+});
+
+test('the queue runs at most `concurrency` jobs at a time, in order', async () => {
+  const { runs, type } = createControlledType();
+  const queue = createJobQueue({ types: { test: type }, concurrency: 2 });
+
+  const jobs = ['a', 'b', 'c'].map(id => queue.enqueue({ id, type: 'test', url: `https://${id}.example/`, options: {} }));
+  await wait(0);
+
+  assert.deepStrictEqual(runs.map(run => run.job.id), ['a', 'b']);
+  assert.deepStrictEqual(queue.stats(), { running: 2, queued: 1, concurrency: 2 });
+  assert.strictEqual(queue.serialize(jobs[2]).queuePosition, 1);
+
+  runs[0].resolve({ score: 90 });
+  assert.deepStrictEqual(await jobs[0].promise, { score: 90 });
+  await wait(0);
+
+  assert.strictEqual(jobs[0].status, 'done');
+  assert.deepStrictEqual(runs.map(run => run.job.id), ['a', 'b', 'c']);
+  assert.strictEqual(queue.serialize(jobs[2]).queuePosition, null);
+
+  runs[1].resolve({});
+  runs[2].resolve({});
+  await Promise.all([jobs[1].promise, jobs[2].promise]);
+});
+
+test('enqueue rejects a duplicate job id', async () => {
+  const { runs, type } = createControlledType();
+  const queue = createJobQueue({ types: { test: type }, concurrency: 1 });
+
+  const job = queue.enqueue({ id: 'same', type: 'test', url: 'https://example.com/', options: {} });
+  assert.throws(() => queue.enqueue({ id: 'same', type: 'test', url: 'https://example.com/', options: {} }), /already exists/);
+
+  await wait(0);
+  runs[0].resolve({});
+  await job.promise;
+});
+
+test('a timed-out job fails at once but holds its slot until the run stops', async () => {
+  const { runs, type } = createControlledType(20);
+  const finished = [];
+  const queue = createJobQueue({ types: { test: type }, concurrency: 1, onFinish: job => finished.push(job.id) });
+
+  const slow = queue.enqueue({ id: 'slow', type: 'test', url: 'https://slow.example/', options: {} });
+  const next = queue.enqueue({ id: 'next', type: 'test', url: 'https://next.example/', options: {} });
+
+  await assert.rejects(slow.promise, /Test timeout after 0.02 seconds/);
+  assert.strictEqual(slow.status, 'failed');
+  assert.deepStrictEqual(slow.error, { message: 'Test timeout after 0.02 seconds.', status: 502 });
+  assert.ok(runs[0].signal.aborted);
+  assert.deepStrictEqual(finished, ['slow']);
+
+  // Still running: the next job waits
+  await wait(0);
+  assert.strictEqual(runs.length, 1);
+  assert.deepStrictEqual(queue.stats(), { running: 1, queued: 1, concurrency: 1 });
+
+  runs[0].reject(new Error('Job was aborted.'));
+  await wait(0);
+  assert.strictEqual(runs.length, 2);
+  assert.strictEqual(runs[1].job, next);
+
+  runs[1].resolve({});
+  await next.promise;
+});
+
+test('prune drops jobs finished longer ago than the given age', async () => {
+  const { runs, type } = createControlledType();
+  const queue = createJobQueue({ types: { test: type }, concurrency: 2 });
+
+  const done = queue.enqueue({ id: 'done', type: 'test', url: 'https://done.example/', options: {} });
+  queue.enqueue({ id: 'running', type: 'test', url: 'https://running.example/', options: {} });
+  await wait(0);
+  runs[0].resolve({});
+  await done.promise;
+
+  done.finishedAt = new Date(Date.now() - 2000).toISOString();
+  queue.prune(1000);
+
+  assert.strictEqual(queue.get('done'), undefined);
+  assert.ok(queue.get('running'));
+  runs[1].resolve({});
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_ALERTS,
+  parseCron,
+  nextCronRun,
+  parseAlerts,
+  summarizeMonitorRun,
+  evaluateAlerts,
+} = require('../monitors');
+
+// Dates are local time, like the schedules
+const at = (text) => new Date(text);
+
+test('parseCron reads fields, ranges, lists, steps and shortcuts', () => {
+  const schedule = parseCron('*/15 6-8 1,15 * 1-5');
+
+  assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...schedule.hours], [6, 7, 8]);
+  assert.deepStrictEqual([...schedule.days], [1, 15]);
+  assert.strictEqual(schedule.months.size, 12);
+  assert.deepStrictEqual([...schedule.weekdays], [1, 2, 3, 4, 5]);
+  assert.strictEqual(schedule.dayOr, true);
+
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('parseCron rejects invalid expressions', () => {
+  assert.throws(() => parseCron(42), /^Error: Invalid schedule option/);
+  assert.throws(() => parseCron('0 6 * *'), /Expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute '60' is outside 0-59/);
+  assert.throws(() => parseCron('0 5-3 * * *'), /hour '5-3' is outside 0-23/);
+  assert.throws(() => parseCron('0 * * * mon'), /can't read day of week 'mon'/);
+});
+
+test('nextCronRun finds the next matching minute', () => {
+  const daily = parseCron('0 6 * * *');
+  assert.deepStrictEqual(nextCronRun(daily, at('2024-03-10T05:59:30')), at('2024-03-10T06:00:00'));
+  assert.deepStrictEqual(nextCronRun(daily, at('2024-03-10T06:00:00')), at('2024-03-11T06:00:00'));
+
+  // Day of month OR day of week when both are restricted
+  const either = parseCron('0 0 13 * 5');
+  assert.deepStrictEqual(nextCronRun(either, at('2024-09-01T12:00:00')), at('2024-09-06T00:00:00'));
+  assert.deepStrictEqual(nextCronRun(either, at('2024-09-07T12:00:00')), at('2024-09-13T00:00:00'));
+
+  // February 29th is up to 8 years away, February 30th never comes
+  assert.deepStrictEqual(nextCronRun(parseCron('0 0 29 2 *'), at('2096-03-01T00:00:00')), at('2104-02-29T00:00:00'));
+  assert.strictEqual(nextCronRun(parseCron('0 0 30 2 *'), at('2024-01-01T00:00:00')), null);
+});
+
+test('nextCronRun skips non-matching days and hours instead of walking every minute', () => {
+  const startedAt = Date.now();
+  for (let i = 0; i < 100; i++) {
+    nextCronRun(parseCron('0 0 30 2 *'), at('2024-01-01T00:00:00'));
+  }
+  assert.ok(Date.now() - startedAt < 1000);
+
+  assert.deepStrictEqual(nextCronRun(parseCron('30 23 31 12 *'), at('2024-01-01T00:00:00')), at('2024-12-31T23:30:00'));
+  assert.deepStrictEqual(nextCronRun(parseCron('*/10 * * * *'), at('2024-05-05T10:55:00')), at('2024-05-05T11:00:00'));
+});
+
+test('parseAlerts merges overrides with the defaults', () => {
+  assert.deepStrictEqual(parseAlerts(undefined), DEFAULT_ALERTS);
+  assert.deepStrictEqual(parseAlerts({ scoreDrop: 5, impressumMissing: null }), {
+    ...DEFAULT_ALERTS,
+    scoreDrop: 5,
+    impressumMissing: false,
+  });
+
+  assert.throws(() => parseAlerts([]), /Invalid alerts option. Expected an object/);
+  assert.throws(() => parseAlerts({ uptime: true }), /unknown alert 'uptime'/);
+  assert.throws(() => parseAlerts({ scoreDrop: -1 }), /scoreDrop must be a number >= 0/);
+  assert.throws(() => parseAlerts({ scanFailed: 'yes' }), /scanFailed must be true or false/);
+});
+
+/**
+ * A /scan result with just the fields monitors look at
+ */
+function scanResult({ score = 90, critical = [], impressumMissing = false, certificateDays = 200 } = {}) {
+  const issues = critical.map(code => ({ code, title: code, severity: 'critical', url: 'https://example.com/' }));
+  if (impressumMissing) issues.push({ code: 'impressum-missing', title: 'Impressum', severity: 'high', url: 'https://example.com/' });
+
+  return {
+    score,
+    issues,
+    tls: { certificate: { daysRemaining: certificateDays, validTo: '2025-01-01T00:00:00.000Z' } },
+  };
+}
+
+const run = (fields) => {
+  const result = scanResult(fields);
+  return { result, summary: summarizeMonitorRun(result, null) };
+};
+
+test('evaluateAlerts reports changes against the last successful run', () => {
+  const baseline = run({ score: 90, critical: ['no-https'] }).summary;
+  const current = run({ score: 70, critical: ['no-https', 'mixed-content'], impressumMissing: true });
+
+  const alerts = evaluateAlerts(DEFAULT_ALERTS, baseline, baseline, current.summary, current.result);
+
+  assert.deepStrictEqual(alerts.map(alert => alert.type), ['score-drop', 'critical-issue', 'impressum-missing']);
+  assert.deepStrictEqual(alerts[0], { type: 'score-drop', message: 'Score dropped from 90 to 70.', from: 90, to: 70, threshold: 10 });
+  assert.deepStrictEqual(alerts[1].issues, [{ code: 'mixed-content', title: 'mixed-content', url: 'https://example.com/' }]);
+
+  // A drop within the threshold, and switched-off alerts, stay quiet
+  const small = run({ score: 85, critical: ['no-https'] });
+  assert.deepStrictEqual(evaluateAlerts(DEFAULT_ALERTS, baseline, baseline, small.summary, small.result), []);
+  const quiet = { ...DEFAULT_ALERTS, scoreDrop: false, criticalIssue: false, impressumMissing: false };
+  assert.deepStrictEqual(evaluateAlerts(quiet, baseline, baseline, current.summary, current.result), []);
+
+  // Nothing to compare on the first run
+  assert.deepStrictEqual(evaluateAlerts(DEFAULT_ALERTS, null, null, current.summary, current.result), []);
+});
+
+test('evaluateAlerts fires certificate and failure alerts once per state', () => {
+  const fine = run({ certificateDays: 60 }).summary;
+  const expiring = run({ certificateDays: 10 });
+
+  const alerts = evaluateAlerts(DEFAULT_ALERTS, fine, fine, expiring.summary, expiring.result);
+  assert.deepStrictEqual(alerts, [{
+    type: 'certificate-expiring',
+    message: 'The TLS certificate expires in 10 days.',
+    daysRemaining: 10,
+    validTo: '2025-01-01T00:00:00.000Z',
+  }]);
+  assert.deepStrictEqual(evaluateAlerts(DEFAULT_ALERTS, expiring.summary, expiring.summary, expiring.summary, expiring.result), []);
+
+  const failed = summarizeMonitorRun(null, 'Website unreachable: ENOTFOUND');
+  assert.deepStrictEqual(evaluateAlerts(DEFAULT_ALERTS, fine, fine, failed, null), [{
+    type: 'scan-failed',
+    message: 'Scan failed: Website unreachable: ENOTFOUND',
+    error: 'Website unreachable: ENOTFOUND',
+  }]);
+  assert.deepStrictEqual(evaluateAlerts(DEFAULT_ALERTS, failed, fine, failed, null), []);
+});
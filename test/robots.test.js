@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const {
+  parseRobotsTxt,
+  isPathAllowed,
+  getCrawlDelay,
+  fetchText,
+  fetchRobotsTxt,
+  extractSitemapLocs,
+  fetchSitemaps,
+} = require('../robots');
+
+const ROBOTS_TXT = `
+# Comments are ignored
+User-agent: *
+Disallow: /admin/
+Allow: /admin/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /private
+Allow: /private/press
+
+Sitemap: https://example.com/sitemap_index.xml
+`;
+
+test('parseRobotsTxt groups consecutive user agents and collects sitemaps', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.deepStrictEqual(robots.sitemaps, ['https://example.com/sitemap_index.xml']);
+  assert.strictEqual(robots.groups.length, 2);
+  assert.deepStrictEqual(robots.groups[0], {
+    userAgents: ['*'],
+    rules: [
+      { type: 'disallow', path: '/admin/' },
+      { type: 'allow', path: '/admin/public' },
+      { type: 'disallow', path: '/*.pdf$' },
+    ],
+    crawlDelay: 2,
+  });
+  assert.deepStrictEqual(robots.groups[1].userAgents, ['googlebot', 'bingbot']);
+  assert.deepStrictEqual(parseRobotsTxt(''), { groups: [], sitemaps: [] });
+});
+
+test('isPathAllowed applies the longest match and the matching group', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+  const bot = 'SiteSweepBot/1.0';
+
+  assert.strictEqual(isPathAllowed(robots, bot, '/'), true);
+  assert.strictEqual(isPathAllowed(robots, bot, '/admin/users'), false);
+  assert.strictEqual(isPathAllowed(robots, bot, '/admin/public/logo.png'), true);
+  assert.strictEqual(isPathAllowed(robots, bot, '/files/report.pdf'), false);
+  assert.strictEqual(isPathAllowed(robots, bot, '/files/report.pdf?download=1'), true);
+
+  // Googlebot has its own group, so the * rules don't apply
+  assert.strictEqual(isPathAllowed(robots, 'Googlebot', '/admin/users'), true);
+  assert.strictEqual(isPathAllowed(robots, 'Googlebot', '/private/notes'), false);
+  assert.strictEqual(isPathAllowed(robots, 'Mozilla/5.0 (compatible; Googlebot/2.1)', '/private/press/2024'), true);
+
+  // Allow wins ties
+  const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+  assert.strictEqual(isPathAllowed(tie, bot, '/page'), true);
+});
+
+test('isPathAllowed matches wildcards without backtracking blow-ups', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow: /*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*b\nDisallow: /shop/*/cart*$');
+  const startedAt = Date.now();
+
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', `/${'a'.repeat(40)}`), true);
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', `/${'a'.repeat(5000)}`), true);
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', `/${'a'.repeat(20)}b`), false);
+  assert.ok(Date.now() - startedAt < 1000);
+
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', '/shop/shoes/cart'), false);
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', '/shop/shoes/cart/items'), false);
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot', '/shop/cart'), true);
+});
+
+test('groups match the product token exactly, not a substring of the user agent', () => {
+  const robots = parseRobotsTxt('User-agent: bot\nUser-agent: a\nDisallow: /\n\nUser-agent: *\nDisallow: /admin');
+
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot/1.0', '/'), true);
+  assert.strictEqual(isPathAllowed(robots, 'SiteSweepBot/1.0', '/admin'), false);
+  assert.strictEqual(isPathAllowed(robots, 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)', '/'), true);
+  assert.strictEqual(isPathAllowed(robots, 'Bot/2.0', '/'), false);
+
+  const named = parseRobotsTxt('User-agent: SiteSweepBot\nDisallow: /private');
+  assert.strictEqual(isPathAllowed(named, 'SiteSweepBot/1.0', '/private'), false);
+  assert.strictEqual(isPathAllowed(named, 'SiteSweepBotPlus/1.0', '/private'), true);
+});
+
+test('getCrawlDelay reads the delay of the matching group', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.strictEqual(getCrawlDelay(robots, 'SiteSweepBot/1.0'), 2);
+  assert.strictEqual(getCrawlDelay(robots, 'Googlebot'), null);
+});
+
+test('extractSitemapLocs decodes CDATA and entities', () => {
+  const xml = `<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>https://example.com/</loc></url>
+      <url><loc><![CDATA[https://example.com/a?x=1&y=2]]></loc></url>
+      <url><loc> https://example.com/b?x=1&amp;y=2 </loc></url>
+      <url><image:loc>https://example.com/c.png</image:loc></url>
+    </urlset>`;
+
+  assert.deepStrictEqual(extractSitemapLocs(xml), [
+    'https://example.com/',
+    'https://example.com/a?x=1&y=2',
+    'https://example.com/b?x=1&y=2',
+    'https://example.com/c.png',
+  ]);
+});
+
+test('fetching robots.txt and sitemaps', async (t) => {
+  const urlset = (paths) => `<urlset>${paths.map(path => `<url><loc>${base}${path}</loc></url>`).join('')}</urlset>`;
+  let base = '';
+
+  const server = http.createServer((req, res) => {
+    const routes = {
+      '/robots.txt': () => res.end(`User-agent: *\nDisallow: /admin\nSitemap: ${base}/sitemap_index.xml`),
+      '/sitemap_index.xml': () => res.end(`<sitemapindex><sitemap><loc>${base}/pages.xml.gz</loc></sitemap><sitemap><loc>${base}/missing.xml</loc></sitemap></sitemapindex>`),
+      '/pages.xml.gz': () => res.end(zlib.gzipSync(urlset(['/', '/about']))),
+      '/huge.txt': () => res.end(zlib.gzipSync(Buffer.alloc(11 * 1024 * 1024))),
+    };
+    if (routes[req.url]) return routes[req.url]();
+    res.statusCode = 404;
+    res.end('Not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  await t.test('fetchRobotsTxt parses robots.txt, a missing one allows everything', async () => {
+    const robotsTxt = await fetchRobotsTxt(base, 'Test');
+    assert.strictEqual(robotsTxt.found, true);
+    assert.strictEqual(isPathAllowed(robotsTxt.parsed, 'Test', '/admin'), false);
+
+    const missing = await fetchRobotsTxt(`${base}/nothing`, 'Test');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.found, false);
+    assert.strictEqual(isPathAllowed(missing.parsed, 'Test', '/admin'), true);
+  });
+
+  await t.test('fetchText unpacks gzip and refuses oversized bodies', async () => {
+    const { text } = await fetchText(`${base}/pages.xml.gz`, 'Test');
+    assert.match(text, /^<urlset>/);
+
+    await assert.rejects(fetchText(`${base}/huge.txt`, 'Test'), /Response larger than 10 MB/);
+  });
+
+  await t.test('fetchSitemaps follows sitemap indexes', async () => {
+    const robotsTxt = await fetchRobotsTxt(base, 'Test');
+    const { sitemaps, urls } = await fetchSitemaps(base, robotsTxt.parsed.sitemaps, 'Test');
+
+    assert.deepStrictEqual(urls, [`${base}/`, `${base}/about`]);
+    assert.deepStrictEqual(sitemaps.map(({ url, status, type, urlCount }) => ({ url, status, type, urlCount })), [
+      { url: `${base}/sitemap_index.xml`, status: 200, type: 'sitemapindex', urlCount: 2 },
+      { url: `${base}/pages.xml.gz`, status: 200, type: 'urlset', urlCount: 2 },
+      { url: `${base}/missing.xml`, status: 404, type: null, urlCount: 0 },
+    ]);
+  });
+});
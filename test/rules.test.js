@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRules, registerRule, unregisterRule, resolveRules } = require('../rules');
+const { SUPPORTED_LANGS } = require('../messages');
+
+/**
+ * Register an opt-in rule (no built-in rule is opt-in) for one test
+ */
+function registerOptInRule(t) {
+  registerRule({
+    id: 'test-opt-in',
+    category: 'seo',
+    severity: 'low',
+    penalty: 1,
+    needs: ['dom'],
+    enabledByDefault: false,
+    messages: { de: { title: 'Test', message: 'Test' } },
+    evaluate: () => null,
+  });
+  t.after(() => unregisterRule('test-opt-in'));
+}
+
+const getRule = (id) => getRules().find(rule => rule.id === id);
+const ids = (rules) => rules.map(rule => rule.id);
+
+test('resolveRules runs the default rules in report order', (t) => {
+  registerOptInRule(t);
+  const rules = resolveRules();
+  const defaults = getRules().filter(rule => rule.enabledByDefault);
+
+  assert.deepStrictEqual(ids(rules), ids(defaults));
+  assert.strictEqual(ids(rules).includes('test-opt-in'), false);
+  assert.deepStrictEqual(ids(resolveRules({})), ids(rules));
+});
+
+test('resolveRules enables, disables and re-weights rules', (t) => {
+  registerOptInRule(t);
+  const rules = resolveRules({
+    enable: ['test-opt-in'],
+    disable: ['google-fonts', 'csp-missing'],
+    penalties: { 'no-https': 50, 'h1-missing': 0 },
+  });
+  const byId = new Map(rules.map(rule => [rule.id, rule]));
+
+  assert.ok(byId.has('test-opt-in'));
+  assert.strictEqual(byId.has('google-fonts'), false);
+  assert.strictEqual(byId.has('csp-missing'), false);
+  assert.strictEqual(byId.get('no-https').penalty, 50);
+  assert.strictEqual(byId.get('h1-missing').penalty, 0);
+
+  // Overrides don't leak into the registry
+  const registered = getRule('no-https');
+  assert.notStrictEqual(registered.penalty, 50);
+
+  // Disabling wins over enabling
+  assert.strictEqual(ids(resolveRules({ enable: ['test-opt-in'], disable: ['test-opt-in'] })).includes('test-opt-in'), false);
+});
+
+test('resolveRules rejects unknown rules and invalid penalties', () => {
+  assert.throws(() => resolveRules({ enable: 'no-https' }), /^Error: Invalid rules option. Expected/);
+  assert.throws(() => resolveRules({ disable: ['no-such-rule'] }), /unknown rule 'no-such-rule'/);
+  assert.throws(() => resolveRules({ penalties: { 'no-such-rule': 5 } }), /unknown rule 'no-such-rule'/);
+  assert.throws(() => resolveRules({ penalties: { 'no-https': -1 } }), /penalty for 'no-https' must be a number >= 0/);
+  assert.throws(() => resolveRules({ penalties: { 'no-https': '10' } }), /penalty for 'no-https' must be a number >= 0/);
+});
+
+test('registerRule validates rule modules', () => {
+  const rule = { id: 'test-invalid', category: 'seo', severity: 'low', penalty: 1, evaluate: () => null };
+
+  assert.throws(() => registerRule({ ...rule, id: '' }), /Rule must have an id/);
+  assert.throws(() => registerRule({ ...rule, id: 'no-https' }), /'no-https' is already registered/);
+  assert.throws(() => registerRule({ ...rule, evaluate: undefined }), /must have an evaluate function/);
+  assert.throws(() => registerRule({ ...rule, severity: 'minor' }), /invalid severity 'minor'/);
+  assert.throws(() => registerRule({ ...rule, penalty: -1 }), /penalty >= 0/);
+  assert.throws(() => registerRule({ ...rule, needs: ['dom', 'cookies'] }), /needs unknown data: cookies/);
+  assert.strictEqual(getRule('test-invalid'), undefined);
+});
+
+test('unregisterRule removes a rule from the registry', () => {
+  registerRule({ id: 'test-removed', category: 'seo', severity: 'low', penalty: 1, evaluate: () => null });
+  assert.strictEqual(ids(resolveRules()).includes('test-removed'), true);
+
+  assert.strictEqual(unregisterRule('test-removed'), true);
+  assert.strictEqual(getRule('test-removed'), undefined);
+  assert.throws(() => resolveRules({ disable: ['test-removed'] }), /unknown rule 'test-removed'/);
+  assert.strictEqual(unregisterRule('test-removed'), false);
+});
+
+test('every built-in rule has texts in every language catalog', () => {
+  for (const lang of SUPPORTED_LANGS) {
+    const catalog = require(`../messages/${lang}`);
+    for (const rule of getRules()) {
+      assert.ok(catalog[rule.id] && catalog[rule.id].title && catalog[rule.id].message, `${rule.id} (${lang})`);
+    }
+  }
+});
+
+test('cookie-long-lived-tracking flags tracking cookies older than 13 months', () => {
+  const rule = getRule('cookie-long-lived-tracking');
+  const cookie = (name, purpose, lifetimeDays) => ({ name, purpose, lifetimeDays, vendor: null, domain: '.example.com' });
+
+  const finding = rule.evaluate({
+    storage: {
+      cookies: [
+        cookie('_ga', 'analytics', 730),
+        cookie('_fbp', 'marketing', 90),
+        cookie('session', 'necessary', 3650),
+      ],
+    },
+  });
+
+  assert.strictEqual(finding.params.count, 1);
+  assert.deepStrictEqual(finding.evidence, ['cookie: _ga (.example.com, 730 days)']);
+  assert.strictEqual(rule.evaluate({ storage: { cookies: [cookie('_fbp', 'marketing', 90)] } }), null);
+});
+
+// [rule id, scan data, expected finding (null: passes)]
+const EVALUATE_CASES = [
+  ['no-https', { navigation: { finalProtocol: 'https:', finalUrl: 'https://example.com/' } }, null],
+  ['no-https', { navigation: { finalProtocol: 'http:', finalUrl: 'http://example.com/' } }, { evidence: ['http://example.com/'] }],
+
+  ['impressum-missing', { dom: { hasImpressumLink: true } }, null],
+  ['impressum-missing', { dom: { hasImpressumLink: false } }, {}],
+
+  ['google-fonts', { network: { gdprFindings: { googleFonts: false }, thirdParties: [] } }, null],
+  ['google-fonts', {
+    network: {
+      gdprFindings: { googleFonts: true },
+      thirdParties: [
+        { vendor: 'Google Fonts', sampleUrls: ['https://fonts.googleapis.com/css2?family=Roboto'] },
+        { vendor: 'Google Analytics', sampleUrls: ['https://www.google-analytics.com/g/collect'] },
+      ],
+    },
+  }, { evidence: ['https://fonts.googleapis.com/css2?family=Roboto'] }],
+
+  ['mixed-content', { navigation: { finalProtocol: 'https:' }, network: { httpRequests: [] } }, null],
+  // An HTTP page is no-https, not mixed content
+  ['mixed-content', { navigation: { finalProtocol: 'http:' }, network: { httpRequests: [{ url: 'http://cdn.example/a.js', type: 'script' }] } }, null],
+  ['mixed-content', {
+    navigation: { finalProtocol: 'https:' },
+    network: {
+      httpRequests: [
+        { url: 'http://cdn.example/a.js', type: 'script' },
+        { url: 'http://cdn.example/b.js', type: 'script' },
+        { url: 'http://img.example/c.png', type: 'image' },
+      ],
+    },
+  }, {
+    params: { count: 3, types: 'script, image' },
+    evidence: ['http://cdn.example/a.js', 'http://cdn.example/b.js', 'http://img.example/c.png'],
+  }],
+
+  ['csp-missing', { headers: { headers: { 'content-security-policy': "default-src 'self'" } } }, null],
+  ['csp-missing', { headers: { headers: {} } }, { params: { reportOnly: false }, evidence: [] }],
+  ['csp-missing', { headers: { headers: { 'content-security-policy-report-only': "default-src 'self'" } } }, {
+    params: { reportOnly: true },
+    evidence: ["content-security-policy-report-only: default-src 'self'"],
+  }],
+];
+
+test('built-in rules evaluate scan data to findings', async (t) => {
+  for (const [index, [id, data, expected]] of EVALUATE_CASES.entries()) {
+    await t.test(`#${index} ${id} ${expected ? 'fires' : 'passes'}`, async () => {
+      assert.deepStrictEqual(await getRule(id).evaluate(data), expected);
+    });
+  }
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore, createMonitorFileStore, diffRuns } = require('../store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A run as saved by the server, `daysAgo` days old
+ */
+function createRun(id, url, { daysAgo = 0, score = 80, issues = [], categoryScores = {} } = {}) {
+  return {
+    id,
+    url,
+    finalUrl: url,
+    createdAt: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+    score,
+    result: { score, issues, categoryScores },
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitesweep-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const indexLines = (dir) => fs.readFileSync(path.join(dir, 'index.jsonl'), 'utf8').trim().split('\n');
+const runFiles = (dir) => fs.readdirSync(dir).filter(file => file !== 'index.jsonl');
+
+test('diffRuns matches issues by fingerprint, then by code', () => {
+  const from = createRun('a', 'https://example.com/', {
+    score: 70,
+    categoryScores: { security: 60, seo: 80 },
+    issues: [
+      { code: 'no-https', fingerprint: 'f1' },
+      { code: 'missing-alt', fingerprint: 'f2' },
+      { code: 'broken-link', fingerprint: 'f3' },
+    ],
+  });
+  const to = createRun('b', 'https://example.com/', {
+    score: 85,
+    categoryScores: { security: 90, seo: 80, accessibility: 75 },
+    issues: [
+      { code: 'no-https', fingerprint: 'f1' },
+      { code: 'missing-alt', fingerprint: 'f2-moved' },
+      { code: 'mixed-content', fingerprint: 'f4' },
+    ],
+  });
+
+  const diff = diffRuns(from, to);
+
+  assert.deepStrictEqual(diff.score, { from: 70, to: 85, change: 15 });
+  assert.deepStrictEqual(diff.categoryScores, {
+    security: { from: 60, to: 90, change: 30 },
+    seo: { from: 80, to: 80, change: 0 },
+    accessibility: { from: null, to: 75, change: null },
+  });
+  assert.deepStrictEqual(diff.issues.unchanged.map(issue => issue.fingerprint), ['f1', 'f2-moved']);
+  assert.deepStrictEqual(diff.issues.new.map(issue => issue.code), ['mixed-content']);
+  assert.deepStrictEqual(diff.issues.resolved.map(issue => issue.code), ['broken-link']);
+  assert.deepStrictEqual(diff.from, { id: 'a', url: 'https://example.com/', finalUrl: 'https://example.com/', createdAt: from.createdAt, score: 70, issueCount: 3 });
+});
+
+test('the file store saves, lists and reads runs', async (t) => {
+  const dir = tempDir(t);
+  const store = createFileStore(dir);
+
+  await store.save(createRun('a', 'https://a.example/', { daysAgo: 2 }));
+  await store.save(createRun('b', 'https://b.example/', { daysAgo: 1 }));
+  await store.save(createRun('a', 'https://a.example/', { daysAgo: 0, score: 95 }));
+
+  assert.deepStrictEqual((await store.list()).map(run => [run.id, run.score]), [['a', 95], ['b', 80]]);
+  assert.deepStrictEqual((await store.list({ url: 'https://b.example/' })).map(run => run.id), ['b']);
+  assert.deepStrictEqual((await store.list({ limit: 1 })).map(run => run.id), ['a']);
+  assert.strictEqual((await store.get('a')).score, 95);
+  assert.strictEqual(await store.get('missing'), null);
+
+  // A new store instance reads the same index
+  assert.deepStrictEqual((await createFileStore(dir).list()).map(run => run.id), ['a', 'b']);
+});
+
+test('retention deletes the oldest runs of a URL and expired runs', async (t) => {
+  const dir = tempDir(t);
+  const store = createFileStore(dir, { maxRunsPerUrl: 2, maxAgeDays: 30 });
+
+  await store.save(createRun('old', 'https://b.example/', { daysAgo: 40 }));
+  await store.save(createRun('a1', 'https://a.example/', { daysAgo: 3 }));
+  await store.save(createRun('a2', 'https://a.example/', { daysAgo: 2 }));
+  await store.save(createRun('a3', 'https://a.example/', { daysAgo: 1 }));
+
+  assert.deepStrictEqual((await store.list()).map(run => run.id), ['a3', 'a2']);
+  assert.strictEqual(await store.get('old'), null);
+  assert.strictEqual(await store.get('a1'), null);
+  assert.strictEqual(runFiles(dir).length, 2);
+
+  // Deleted runs stay deleted for a new store instance
+  assert.deepStrictEqual((await createFileStore(dir).list()).map(run => run.id), ['a3', 'a2']);
+});
+
+test('the index is compacted once stale lines outnumber live runs', async (t) => {
+  const dir = tempDir(t);
+  const store = createFileStore(dir, { maxRunsPerUrl: 1 });
+
+  await store.save(createRun('r1', 'https://example.com/', { daysAgo: 2 }));
+  await store.save(createRun('r2', 'https://example.com/', { daysAgo: 1 }));
+
+  // r1 summary + r2 summary + r1 tombstone = 2 stale lines for 1 run
+  assert.deepStrictEqual(indexLines(dir).map(line => JSON.parse(line).id), ['r2']);
+  assert.deepStrictEqual((await createFileStore(dir).list()).map(run => run.id), ['r2']);
+});
+
+test('the monitor store round-trips the monitor list', async (t) => {
+  const file = path.join(tempDir(t), 'nested', 'monitors.json');
+  const store = createMonitorFileStore(file);
+
+  assert.deepStrictEqual(await store.load(), []);
+  await store.save([{ id: 'm1', url: 'https://example.com/', schedule: '@daily' }]);
+  assert.deepStrictEqual(await store.load(), [{ id: 'm1', url: 'https://example.com/', schedule: '@daily' }]);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { isPrivateAddress, signWebhook, createWebhookSender } = require('../webhooks');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+/**
+ * Wait until a delivery has no attempt in flight and no retry pending
+ */
+async function settled(delivery) {
+  while (delivery.status === 'pending') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return delivery;
+}
+
+test('signWebhook signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  const body = '{"event":"scan.completed"}';
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signWebhook('secret', 1700000000, body), `sha256=${expected}`);
+  assert.notStrictEqual(signWebhook('secret', 1700000001, body), signWebhook('secret', 1700000000, body));
+});
+
+test('isPrivateAddress recognizes internal IPv4 and IPv6 addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '::ffff:5db8:d822']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('parseUrl needs a secret and a public http(s) URL', () => {
+  const sender = createWebhookSender({ secret: 'secret', userAgent: 'Test' });
+
+  assert.strictEqual(sender.parseUrl('https://hooks.example.com/sitesweep', 'callbackUrl'), 'https://hooks.example.com/sitesweep');
+  assert.throws(() => sender.parseUrl('ftp://hooks.example.com/', 'callbackUrl'), /^Error: Invalid callbackUrl option. Expected an http\(s\) URL/);
+  assert.throws(() => sender.parseUrl('http://127.0.0.1:8080/', 'webhookUrl'), /Private, loopback and link-local/);
+  assert.throws(() => sender.parseUrl('http://[::1]/', 'webhookUrl'), /Private, loopback and link-local/);
+  assert.throws(() => sender.parseUrl('http://app.localhost/', 'webhookUrl'), /Private, loopback and link-local/);
+
+  const unsigned = createWebhookSender({ secret: null, userAgent: 'Test' });
+  assert.throws(() => unsigned.parseUrl('https://hooks.example.com/', 'callbackUrl'), /set WEBHOOK_SECRET/);
+
+  const local = createWebhookSender({ secret: 'secret', allowPrivate: true, userAgent: 'Test' });
+  assert.strictEqual(local.parseUrl('http://127.0.0.1:8080/hook', 'callbackUrl'), 'http://127.0.0.1:8080/hook');
+});
+
+test('deliver POSTs a signed payload and logs the delivery', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk)).on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = req.url === '/gone' ? 410 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sender = createWebhookSender({ secret: 'secret', allowPrivate: true, userAgent: 'Test' });
+
+  const delivery = await settled(sender.deliver(`${base}/hook`, { event: 'scan.completed', jobId: 'a' }, 'a'));
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.attempts[0].status, 204);
+
+  const { headers, body } = requests[0];
+  assert.strictEqual(body, '{"event":"scan.completed","jobId":"a"}');
+  assert.strictEqual(headers['x-sitesweep-event'], 'scan.completed');
+  assert.strictEqual(headers['x-sitesweep-signature'], signWebhook('secret', headers['x-sitesweep-timestamp'], body));
+
+  // Other 4xx are not retried
+  const gone = await settled(sender.deliver(`${base}/gone`, { event: 'scan.failed' }, 'b'));
+  assert.strictEqual(gone.status, 'failed');
+  assert.strictEqual(gone.attempts.length, 1);
+  assert.strictEqual(gone.attempts[0].error, 'HTTP 410');
+
+  assert.deepStrictEqual(sender.listDeliveries().map(entry => entry.jobId), ['b', 'a']);
+  assert.deepStrictEqual(sender.listDeliveries({ status: 'delivered' }).map(entry => entry.jobId), ['a']);
+});
+
+test('deliver refuses private targets and a missing secret without retrying', async () => {
+  const sender = createWebhookSender({ secret: 'secret', userAgent: 'Test' });
+  const blocked = await settled(sender.deliver('http://127.0.0.1:9/hook', { event: 'monitor.alert' }));
+  assert.strictEqual(blocked.status, 'failed');
+  assert.deepStrictEqual(blocked.attempts.map(attempt => attempt.error), ['private-address']);
+
+  const unsigned = createWebhookSender({ secret: null, userAgent: 'Test' });
+  const missing = await settled(unsigned.deliver('https://hooks.example.com/', { event: 'monitor.alert' }));
+  assert.deepStrictEqual(missing.attempts.map(attempt => attempt.error), ['webhook-secret-missing']);
+});
@@ -0,0 +1,239 @@
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+// ---------------------------------------------------------------------------
+// Webhooks - signed POSTs with retries and a delivery log
+// ---------------------------------------------------------------------------
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_MAX_ATTEMPTS = 6;         // First try + 5 retries
+const WEBHOOK_RETRY_BASE_MS = 5000;     // Backoff 5s, 10s, 20s, 40s, 80s
+const MAX_WEBHOOK_DELIVERIES = 1000;    // Deliveries kept in the log
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * publicly routable
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (mapped) {
+    const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+      .flatMap(hex => [parseInt(hex, 16) >> 8, parseInt(hex, 16) & 255])
+      .join('.');
+    return isPrivateAddress(ipv4);
+  }
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const lower = address.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+/**
+ * Whether a URL host is a private address or a localhost name (without DNS lookup)
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) !== 0 && isPrivateAddress(host));
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>" - the timestamp is signed too so
+ * receivers can reject replays of old deliveries
+ *
+ * @param {string} secret - Shared secret (WEBHOOK_SECRET)
+ * @param {number} timestamp - Unix time in seconds, also sent as x-sitesweep-timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value of the x-sitesweep-signature header
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Create the webhook sender of the server
+ *
+ * @param {object} config
+ * @param {string|null} config.secret - Signing secret; webhooks are refused without one
+ * @param {boolean} [config.allowPrivate] - Allow internal targets (local development)
+ * @param {string} config.userAgent - User-Agent of the POSTs
+ * @returns {object} - { parseUrl, deliver, listDeliveries }
+ */
+function createWebhookSender({ secret, allowPrivate = false, userAgent }) {
+  // Delivery records by id, oldest first
+  const deliveries = new Map();
+
+  /**
+   * Why a webhook must not be sent to a host (null if it may): the server's own
+   * network is off limits, also for public names that resolve to internal addresses
+   */
+  async function hostBlockReason(hostname) {
+    if (allowPrivate) return null;
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (isPrivateHost(host)) return 'private-address';
+    if (net.isIP(host)) return null;
+
+    try {
+      const addresses = await dns.lookup(host, { all: true });
+      return addresses.some(({ address }) => isPrivateAddress(address)) ? 'private-address' : null;
+    } catch {
+      return null; // DNS errors are reported (and retried) by the request itself
+    }
+  }
+
+  /**
+   * Send one attempt of a delivery and schedule the next one if it failed
+   */
+  async function attemptDelivery(delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date().toISOString(), status: null, error: null, durationMs: null };
+    const startedAt = Date.now();
+    let retryable = false;
+
+    // Checked on every attempt: monitors outlive a server restart without the secret,
+    // and DNS may point a name somewhere else by the next retry
+    const blockReason = secret
+      ? await hostBlockReason(new URL(delivery.url).hostname)
+      : 'webhook-secret-missing';
+
+    if (blockReason) {
+      attempt.error = blockReason;
+    } else {
+      try {
+        const response = await fetch(delivery.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': userAgent,
+            'x-sitesweep-event': delivery.event,
+            'x-sitesweep-delivery': delivery.id,
+            'x-sitesweep-timestamp': String(timestamp),
+            'x-sitesweep-signature': signWebhook(secret, timestamp, body),
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        attempt.status = response.status;
+        if (!response.ok) {
+          attempt.error = `HTTP ${response.status}`;
+          retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        }
+        await response.body?.cancel();
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? 'timeout' : error.cause?.code || error.message;
+        retryable = true;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.nextAttemptAt = null;
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.finishedAt = new Date().toISOString();
+      console.log(`[Webhook] Delivered ${delivery.event} to ${delivery.url} (attempt ${delivery.attempts.length})`);
+      return;
+    }
+
+    if (retryable && delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+      const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`[Webhook] ${delivery.event} to ${delivery.url} failed (${attempt.error}), retrying in ${delay / 1000}s`);
+      setTimeout(() => attemptDelivery(delivery, body), delay).unref();
+      return;
+    }
+
+    delivery.status = 'failed';
+    delivery.finishedAt = new Date().toISOString();
+    console.error(`[Webhook] ${delivery.event} to ${delivery.url} failed after ${delivery.attempts.length} attempts (${attempt.error})`);
+  }
+
+  return {
+    /**
+     * Validate a webhook URL option (callbackUrl, webhookUrl).
+     * Webhooks are always signed, so they need the secret.
+     *
+     * @param {*} value - Option value
+     * @param {string} name - Option name for error messages
+     * @returns {string} - Normalized URL
+     */
+    parseUrl(value, name) {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        url = null;
+      }
+
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Invalid ${name} option. Expected an http(s) URL.`);
+      }
+      if (!secret) {
+        throw new Error(`Invalid ${name} option. Webhooks are signed, set WEBHOOK_SECRET on the server to use them.`);
+      }
+      if (!allowPrivate && isPrivateHost(url.hostname)) {
+        throw new Error(`Invalid ${name} option. Private, loopback and link-local addresses are not allowed.`);
+      }
+      return url.href;
+    },
+
+    /**
+     * POST a payload to a webhook in the background. Network errors, timeouts,
+     * 5xx, 408 and 429 are retried with exponential backoff; other 4xx fail at once.
+     *
+     * @param {string} url - Webhook URL
+     * @param {object} payload - JSON payload with an `event` field
+     * @param {string|null} [jobId] - Job the delivery belongs to
+     * @returns {object} - Delivery record, updated with every attempt
+     */
+    deliver(url, payload, jobId = null) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        url,
+        event: payload.event,
+        jobId,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        nextAttemptAt: null,
+        attempts: [],
+      };
+
+      deliveries.set(delivery.id, delivery);
+      if (deliveries.size > MAX_WEBHOOK_DELIVERIES) {
+        deliveries.delete(deliveries.keys().next().value);
+      }
+
+      attemptDelivery(delivery, JSON.stringify(payload));
+      return delivery;
+    },
+
+    /**
+     * Logged deliveries, newest first, optionally of one job or status
+     */
+    listDeliveries({ jobId, status } = {}) {
+      return Array.from(deliveries.values())
+        .filter(delivery => (!jobId || delivery.jobId === jobId) && (!status || delivery.status === status))
+        .reverse();
+    },
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  signWebhook,
+  createWebhookSender,
+};